@@ -23,700 +23,872 @@ THE SOFTWARE.
 */
 
 /**
-*	This JavaScript file creates an infinite, randomly-generated maze.
+*	This JavaScript file runs the infinite, randomly-generated maze on the page.
 *	As the "Character" moves up the maze, new rows of blocks are generated and old ones discarded.
 *
-*	The maze is a changeable grid of Block objects laid over a permanent grid of points.
-*	Each new Block object is set as a black Wall by default.
-*	The program creates paths out of the blocks.
+*	The maze itself lives in maze_engine.js, which has no idea there is a page or a canvas.
+*	maze_renderer.js draws it, and this file wires the two together with the mouse and maze_input.js
+*	(the keyboard, swipes, an on-screen D-pad and game controllers).
 *
-*	There is one "main" path which never travels downward.
-*	Branching paths may go in any direction.
+*	The number of blocks in the grid can conveniently be changed in the "config" object (or in the URL).
+*	The maze can be any width and height, and the canvas fits itself to the page, and follows the window when it's resized.
+*	Holding a key down moves the character at a steady "movesPerSecond", which is in the config too.
+*	We recommend a number smaller than fifty. It gets ugly around 70, but 200 still shifts and redraws quickly.
 *
-*	The maze appears as a square, but it is really three times as tall as it is wide.
-*	Two thirds of the maze is invisible, with the path laid out off-screen.
-*	This avoids the effect of newly-generated paths "popping" into existence from somewhere above.
+*	Every random decision goes through a seeded generator, so the same seed and the same moves always build the same maze.
+*	Pass a seed in the URL (inifinite_maze_09.html?seed=daily) or to start({ seed: "daily" }).
+*	The maze style can be chosen the same way: ?generator=eller or start({ generator: "growingTree" }).
 *
-*	The number of blocks in the grid can conveniently be changed by adjusting "numberOfRowBlocks" variable.
-*	We recommend a number smaller than fifty. It gets ugly around 70, and may get slow by 100.
-*	50 is lots! But feel free to try higher numbers if your computer can handle it.
+*	Games can be saved in localStorage slots, or downloaded as files, and loaded again later (see maze_storage.js).
+*	The maze can also be exported as ASCII, SVG, PNG or a Tiled map (see maze_export.js).
+*	The page keeps every row of the climb, so the whole climb can be exported in one go.
+*
+*	The rows climbed, the time and the steps are shown above the maze. When the run ends, the best runs up the same maze
+*	(the same seed, grid, generator, difficulty and lava) are shown from a high score table kept in localStorage, and the player can climb again.
+*
+*	The maze can be drawn in any of the themes in maze_themes.js, picked under the maze (and remembered) or with ?theme=highContrast.
+*
+*	Every run is recorded as a replay (see maze_replay.js), which can be downloaded and watched again. The replay of the best run
+*	up each maze is kept with its high score table, and its ghost races the character up the same maze.
+*
+*	The debug overlay and the minimap (see maze_debug.js) show how the maze is being generated, with ?debug=1 or the checkbox under the maze.
 *
 */
 
-window.onload = start;
+window.onload = function () {
+	setupInput();
+	setupClickToMove();
+	setupBindingControls();
+	setupAutopilotControls();
+	setupFogControls();
+	setupSaveControls();
+	setupExportControls();
+	setupSetPieceControls();
+	setupGameOverControls();
+	setupHazardControls();
+	setupDifficultyControls();
+	setupThemeControls();
+	setupReplayControls();
+	setupDebugControls();
+	start();
+};
 
-var context;
-var mazeCanvas;
+/**
+*	The size and shape of the maze, and how it's shown. Change these here, or in the URL
+*	(inifinite_maze_09.html?columns=20&rows=40&blockSize=16), or pass them to start().
+*/
+var config = {
+	//The number of blocks across, and from top to bottom. They don't have to match: wide and tall (portrait) mazes work too.
+	numberOfRowBlocks: 30,
+	numberOfVisibleRows: 30,
 
-//Dimensions:
-//Change the numberOfRowBlocks to define the number of blocks on each side.
-var squareLength;
-var numberOfRowBlocks = 30;
-var numberOfRowPoints;
+	//The maze generates this many times as many rows as are visible, so it's always ready before the character gets there.
+	bufferMultiplier: 3,
 
-//The pointGrid stays in place forever, even as the maze generates new rows of blocks.
-//The program will always use the static pointGrid as a reference for location within the canvas.
-var pointGrid;
-var maze;
-var mainPath;
-var paths = [];
-var pathSeeds = [];   //pathSeeds are blocks which will branch off into new paths
-var secondSeeds = [];
-var pathsToSplice = [];
+	//The size of each block in pixels, or null to make the maze as big as fits in the page.
+	blockSize: null,
 
-var character;
-var characterCircleRadius;
+	//The fog of war (see maze_visibility.js): "off", "radius" (a light around the character) or "lineOfSight" (the light, but walls block it).
+	//Also ?fog=lineOfSight in the URL. Blocks seen before stay on the map, dimmed, if rememberExplored is true.
+	fog: "off",
+	fogRadius: 6,
+	rememberExplored: true,
 
-//Path-creation variables
-var currentBlock;
-var currentRow;
+	//How many times a second the character moves while a key is held down.
+	movesPerSecond: 8,
 
+	//Whether to show the on-screen D-pad: true, false, or null to show it only on touch screens.
+	showDpad: null,
 
-function start() {
+	//How many steps a second the autopilot takes, and whether it starts climbing as soon as the page loads (?autopilot=1 does that too).
+	autopilotSpeed: 10,
+	autopilot: false,
 
-	setupCanvas();
-	setupKeyListener();
+	//The maze style: "paths", "eller" or "growingTree" (see maze_generators.js). Also ?generator=eller in the URL.
+	generator: "paths",
 
-	calculateDimensions();
+	//Survival mode, with lava rising from the bottom: "off", "easy", "normal" or "hard". Also ?hazard=normal in the URL.
+	hazard: "off",
 
-	makePointGrid();
-	makeMaze();
-	makePath();
-	makeCharacter();
+	//How the path generator's mazes change as the character climbs: "classic", "sparse", "twisty", "branchy" or "braided"
+	//(see difficultyProfiles in maze_generators.js), or a profile loaded from a JSON file. Also ?difficulty=branchy in the URL.
+	difficulty: "classic",
 
-	drawMaze();
-	drawCharacter();
-}
+	//What the maze looks like: "classic", "night", "highContrast" or "dungeon" (see mazeThemes in maze_themes.js).
+	//Also ?theme=night in the URL. A theme picked on the page is remembered in this browser.
+	theme: "classic",
 
-/**
-*	Get the html canvas, get it's context, and get its dimensions.
-*	The dimensions set IN THE HTML TAG are important for resolution and shape.
-*/
-function setupCanvas() {
-	mazeCanvas = document.getElementById("mazeCanvas");
-	context = mazeCanvas.getContext('2d');
-	mazeCanvas.height = document.getElementById("mazeCanvas").height;
-	mazeCanvas.width = document.getElementById("mazeCanvas").width;
-}
+	//Race the ghost of the best run up the same maze (see maze_replay.js), if there's one in the high score table.
+	raceGhost: true,
 
-/**
-*	Tell the browser to send a signal to our program when certain keys are pressed (W,A,S,D), and then perform a certain function for each key.
-*/
-function setupKeyListener() {
-	document.addEventListener(
-		"keydown",
-		(event) => {
-			const input = event.key || event.code;
-			switch (event.code) {
-				case "KeyS":
-				case "ArrowDown":
-					moveDown();
-					break;
-				case "KeyW":
-				case "ArrowUp":
-					moveUp();
-					break;
-				case "KeyA":
-				case "ArrowLeft":
-					moveLeft();
-					break;
-				case "KeyD":
-				case "ArrowRight":
-					moveRight();
-					break;
-			}
-		},
-		true,
-	);
+	//Show the generator's paths and seeds over the maze, and a minimap of the whole buffer (see maze_debug.js). Also ?debug=1 in the URL.
+	debug: false
+};
 
-}
+var maze;
+var renderer;
+var visibility;
 
-/**
-*	The canvas size (Height & Width) and the number of Blocks per row are already decided. 
-*	This critical function calculates the size of the blocks based on the previously mentioned dimensions.
-*	For now we are only dealing with square grids.
-*/
-function calculateDimensions() {
-	squareLength = mazeCanvas.width / numberOfRowBlocks;
-	numberOfRowPoints = numberOfRowBlocks + 1;
-	characterCircleRadius = squareLength / 2;
-}
+//The minimap of the whole buffer, or null while the debug overlay is off.
+var minimap = null;
 
-/**
-	This function creates a grid of points which extends above the canvas. That's four points for every block, with each block sharing
-	corner-points with the blocks around it.
-*/
-function makePointGrid() {
-	pointGrid = new PointGrid();
-
-	//Make thrice as many rows as we will need,
-	//so they can constantly auto-generate off-screen before the character gets there.
-	for (var i = 0; i < numberOfRowPoints * 3; i++) {
-		//These new Rows are permanent Row objects which never move.
-		pointGrid.rows[i] = new Row();
-
-		for (var k = 0; k < numberOfRowPoints; k++) {
-			pointGrid.rows[i].points[k] = new Point(
-				k * squareLength,
-				(i * squareLength) - (numberOfRowPoints * 2 * squareLength)
-			);
-		}
-	}
+//The input controller (see maze_input.js), and the time the character is ready to move again.
+var input;
+var nextMoveTime = 0;
 
-}
+//Click-to-move: the Blocks the character still has to walk through, first step first.
+var walkingRoute = [];
 
-/**
-	This function also creates a grid,
-	but it's a grid of Block objects which can either be wall-blocks or floor blocks.
-	So this essentially creates a map of blocks, based on the grid of points from the makePointGrid function.
-*/
-function makeMaze() {
-	maze = new Maze();
-	var fourPoints = [];
+//The autopilot (see maze_autopilot.js) climbs on its own while it's running. Any key, button or click takes back control.
+var autopilot;
+var autopilotIsRunning = false;
 
-	for (var i = 0; i < pointGrid.rows.length - 2; i++) {
-		//These new Rows are changeable Row objects will may flow over top of the pointGrid's rows.
-		maze.rows[i] = new Row();
+//Runs the autopilot helped with don't go in the high score table.
+var autopilotWasUsed = false;
 
-		for (var k = 0; k < pointGrid.rows[i].points.length - 2; k++) {
-			fourPoints[0] = new Point(pointGrid.rows[i].points[k].x, pointGrid.rows[i].points[k].y);
-			fourPoints[1] = new Point(pointGrid.rows[i].points[k + 1].x, pointGrid.rows[i].points[k + 1].y);
-			fourPoints[2] = new Point(pointGrid.rows[i + 1].points[k + 1].x, pointGrid.rows[i + 1].points[k + 1].y);
-			fourPoints[3] = new Point(pointGrid.rows[i + 1].points[k].x, pointGrid.rows[i + 1].points[k].y);
+//Every run is recorded (see maze_replay.js). While a replay is being watched, it plays the maze instead of the player,
+//and a run which started as a replay doesn't go in the high score table either.
+var recorder;
+var replayPlayer = null;
+var replayWasWatched = false;
 
-			maze.rows[i].blocks[k] = new Block(fourPoints);
-			maze.rows[i].blocks[k].rowIndex = i;
-			maze.rows[i].blocks[k].blockIndex = k;
+//The ghost of the best run up this maze, or null if it isn't being raced.
+var ghost = null;
 
-			fourPoints = [];
-		}
-	}
+//The time of the last animation frame, so the maze's clock can be told how much time has passed.
+var lastFrameTime;
 
-	/**
-	*	Now that all the blocks have been created,
-	*	give each one a list of his adjacent blocks.
-	*	This helps us get information when generating paths.
-	*/
-	for (var i = 0; i < maze.rows.length; i++) {
-		for (var k = 0; k < maze.rows[i].blocks.length; k++) {
-			getAdjacentBlocks(maze.rows[i].blocks[k]);
-		}
-	}
-}
 
-/**
-	This function turns a few Blocks from wall-blocks into floor-blocks.
-	Note that the path array BEGINS at the END of the rowIndex (rows start at y-0... but the PATH starts at maze.rows.length-2)
-*/
-function makePath() {
-	mainPath = new Path();
-	mainPath.distance = numberOfRowBlocks * 20;
-	var createPath = true;
-	var possibleNextBlocks = [];
-	pathSeeds = [];
-
-	currentRow = maze.rows[maze.rows.length - 1];
-
-	//get a random block from the bottom row.
-	var randomBlockIndex = Math.floor(Math.random() * (currentRow.blocks.length - 1)) + 1;
-	currentBlock = currentRow.blocks[randomBlockIndex];
-	currentBlock.isWall = false;
-	mainPath.subPath[0] = currentBlock;
-	//move up ONE row and make that block part of the path.
-	currentRow = maze.rows[maze.rows.length - 2];
-
-	currentBlock = currentRow.blocks[randomBlockIndex];
-	currentBlock.isWall = false;
-	mainPath.subPath[1] = currentBlock;
-
-	//Each iteration of this while-loop attempts to add a single Block object to the Path's subPath array.
-	//I duplicate parts of this while-loop several times because it's needed in slightly different contexts.
-	//If I can, I will turn it into a single function. But for now this is the best way.
-	while (createPath == true) {
-		var nBlock;
-		possibleNextBlocks = [];
-
-		//Check each block adjacent to the "currentBlock" (Block at the end of the path)
-		//and see if it fits the criteria for being added to the path.
-		for (var i = 0; i < currentBlock.adjacentBlocks.length; i++) {
-			nBlock = currentBlock.adjacentBlocks[i];
-
-			if (nBlock.rowIndex > 0 && nBlock.rowIndex <= currentBlock.rowIndex && nBlock.blockIndex > 0 && nBlock.blockIndex < numberOfRowBlocks - 1 && nBlock.isWall == true) {
-				possibleNextBlocks[possibleNextBlocks.length] = nBlock;
-
-				checkForWallBlocks(nBlock);
-				if (nBlock.numberOfAdjacentWalls > 1) {
-					possibleNextBlocks[possibleNextBlocks.length] = nBlock;
-				}
-				if (nBlock.numberOfAdjacentWalls > 2) {
-					possibleNextBlocks[possibleNextBlocks.length] = nBlock;
-				}
-
-			}
-		}
+function start(options) {
+	options = options || {};
 
-		//Conditions for pausing the path's growth
-		if (currentBlock.rowIndex == 1 || possibleNextBlocks.length == 0) {
-			createPath = false;
-		}
-		else  //Add a valid block to the path
-		{
-			currentBlock = possibleNextBlocks[Math.floor(Math.random() * possibleNextBlocks.length)];
-			currentBlock.isWall = false;
-			mainPath.subPath[mainPath.subPath.length] = currentBlock;
-
-			if (Math.floor(Math.random() * 21) < 4) {
-				//At random intervals, set aside a block to be the seed for a new path
-				pathSeeds[pathSeeds.length] = currentBlock;
-			}
-		}
+	var urlParameters = new URLSearchParams(window.location.search);
 
+	var seed = options.seed;
+	if (seed === undefined || seed === null || seed === "") {
+		seed = urlParameters.get("seed");
 	}
 
-	for (var i = 0; i < pathSeeds.length; i++) {
-		makeSubPath(pathSeeds[i]);
+	config.numberOfRowBlocks = Number(options.numberOfRowBlocks || urlParameters.get("columns") || config.numberOfRowBlocks);
+	config.numberOfVisibleRows = Number(options.numberOfVisibleRows || urlParameters.get("rows") || config.numberOfVisibleRows);
+	config.bufferMultiplier = Number(options.bufferMultiplier || urlParameters.get("buffer") || config.bufferMultiplier);
+	config.blockSize = Number(options.blockSize || urlParameters.get("blockSize") || config.blockSize) || null;
+	config.fog = options.fog || urlParameters.get("fog") || config.fog;
+	config.generator = options.generator || urlParameters.get("generator") || config.generator;
+	config.hazard = options.hazard || urlParameters.get("hazard") || config.hazard;
+	config.difficulty = options.difficulty || urlParameters.get("difficulty") || config.difficulty;
+	config.theme = options.theme || urlParameters.get("theme") || loadThemeName() || config.theme;
+	//The URL only switches the debug overlay on for the first maze, so the checkbox can switch it off for good.
+	config.debug = options.debug !== undefined ? options.debug : (config.debug || (renderer === undefined && urlParameters.get("debug") == "1"));
+	if (typeof config.theme == "string" && mazeThemes[config.theme] === undefined) {
+		config.theme = "classic";
 	}
 
-	//The makeSubPath function sets aside MORE blocks as "second" seeds for more branching paths
-	pathSeeds = secondSeeds;
-
-	for (var i = 0; i < pathSeeds.length; i++) {
-		makeSubPath(pathSeeds[i]);
+	//A replay has to be watched on the grid it was recorded on: the grid of the maze being played,
+	//which may be a saved game's, not the config's. If it wasn't, the game carries on as it was.
+	if (options.replay !== undefined) {
+		checkReplayGrid(options.replay, maze !== undefined ? maze.getConfig() : config);
 	}
 
-	//Some paths have outgrown their usefulness. Splice them.
-	for (var i = 0; i < pathsToSplice.length; i++) {
-		paths.splice(paths.indexOf(pathsToSplice[i]), 1);
+	if (renderer !== undefined) {
+		renderer.stop();
+	}
+	walkingRoute = [];
+	replayPlayer = null;
+	replayWasWatched = options.replay !== undefined;
+
+	if (options.savedGame !== undefined) {
+		maze = loadMaze(options.savedGame);
+		config.generator = options.savedGame.config.generator || "paths";
+		config.hazard = options.savedGame.config.hazard || "off";
+		config.difficulty = options.savedGame.config.difficulty || "classic";
+	} else if (options.replay !== undefined) {
+		replayPlayer = createReplayPlayer(options.replay);
+		maze = replayPlayer.maze;
+		config.generator = getReplayConfig(options.replay).generator || "paths";
+		config.hazard = getReplayConfig(options.replay).hazard || "off";
+		config.difficulty = getReplayConfig(options.replay).difficulty || "classic";
+	} else {
+		maze = createMaze({
+			seed: seed,
+			numberOfRowBlocks: config.numberOfRowBlocks,
+			numberOfVisibleRows: config.numberOfVisibleRows,
+			bufferMultiplier: config.bufferMultiplier,
+			generator: config.generator,
+			hazard: config.hazard == "off" ? null : config.hazard,
+			difficulty: config.difficulty,
+			keepHistory: true
+		});
 	}
 
-	pathSeeds = []
-	secondSeeds = []
-	pathsToSplice = []
-}
-
-//This function makes secondary offshoots from the main path.
-//It replicates a lot of the code from the function that makes the mainPath,
-//but I want the freedom to apply different rules to a subPath.
-//
-//This function needs to be fed a seed block.
-function makeSubPath(firstBlock) {
-	var newPath = new Path()
-
-	newPath.distance = Math.floor(Math.random() * (numberOfRowBlocks * 2))
-	newPath.subPath[0] = firstBlock
-
-	currentBlock = firstBlock
-	var createPath = true
-	var possibleNextBlocks = []
-
-	while (createPath == true) {
-		var nBlock
-		possibleNextBlocks = []
-
-		for (var i = 0; i < currentBlock.adjacentBlocks.length; i++) {
-			nBlock = currentBlock.adjacentBlocks[i];
-			checkForWallBlocks(nBlock);
-
-			if (nBlock.rowIndex > 0 &&
-				nBlock.rowIndex <= maze.rows.length - 3 &&
-				nBlock.blockIndex > 0 &&
-				nBlock.blockIndex < numberOfRowBlocks - 1 &&
-				nBlock.isWall == true &&
-				nBlock.numberOfAdjacentWalls > 2
-			) {
-				possibleNextBlocks[possibleNextBlocks.length] = nBlock;
-			}
-			else if (nBlock.rowIndex == 1 && nBlock.numberOfAdjacentWalls > 1) {
-				possibleNextBlocks[possibleNextBlocks.length] = nBlock;
-			}
-		}
-
-		if (possibleNextBlocks.length > 0) {
-			currentBlock = possibleNextBlocks[Math.floor(Math.random() * possibleNextBlocks.length)];
-			currentBlock.isWall = false;
-			newPath.subPath[newPath.subPath.length] = currentBlock;
-		}
+	//The recorder hears about the end of the run before the game over screen does, so the replay has its end.
+	if (recorder !== undefined) {
+		recorder.stop();
+	}
+	recorder = createRecorder(maze);
+	maze.subscribe("gameOver", showGameOver);
+	//With a fixed block size, the canvas decides how big its box is, instead of the other way around.
+	document.getElementById("mazeContainer").style.height = config.blockSize === null ? "" : "auto";
 
-		if (currentBlock.rowIndex == 1 || possibleNextBlocks.length == 0 || newPath.subPath.length >= newPath.distance) {
-			createPath = false;
+	if (visibility !== undefined) {
+		visibility.stop();
+	}
+	visibility = createVisibility(maze, { mode: config.fog, radius: config.fogRadius, remember: config.rememberExplored });
+	document.getElementById("fogMode").value = config.fog;
+	document.getElementById("hazardMode").value = config.hazard;
+	document.getElementById("difficultyProfile").value = typeof config.difficulty == "string" ? config.difficulty : "custom";
+	document.getElementById("themeSelect").value = typeof config.theme == "string" ? config.theme : "";
+
+	//The character finishes sliding to each block before it's ready to move again.
+	renderer = createCanvasRenderer(maze, document.getElementById("mazeCanvas"), {
+		visibility: visibility,
+		blockSize: config.blockSize,
+		fitToContainer: config.blockSize === null,
+		moveDuration: Math.min(100, 1000 / config.movesPerSecond),
+		theme: config.theme,
+		debug: config.debug
+	});
+
+	startGhost();
+	showDebug();
+
+	//The seed is shown on the page so a maze can be shared or reproduced.
+	document.getElementById("seedText").textContent = "Seed: " + maze.seed;
+
+	if (autopilot !== undefined) {
+		autopilot.stop();
+	}
+	autopilot = createAutopilot(maze);
+	autopilotWasUsed = false;
+	setAutopilotRunning(replayPlayer === null && (autopilotIsRunning || config.autopilot || urlParameters.get("autopilot") == "1"));
 
-			if (possibleNextBlocks.length == 0 || newPath.subPath.length >= newPath.distance) {
-				//If this path is too long, or if it can't generate more blocks,
-				//set it aside to be spliced from the array of paths.
-				pathsToSplice[pathsToSplice.length] = newPath;
-			}
+	showScore();
+	document.getElementById("gameOverPanel").style.display = "none";
 
-		} else if (Math.floor(Math.random() * 20) < 3) {
-			//At random intervals, set aside a block as a seed to generate a new path.
-			secondSeeds[secondSeeds.length] = currentBlock;
-		}
+	//A game saved after its run was over is shown over, but doesn't go in the high score table a second time.
+	if (maze.isGameOver()) {
+		showGameOver({ reason: maze.getScore().gameOverReason, score: maze.getScore(), isOld: true });
 	}
 }
 
 /**
-*	There may be many reasons to get a list of blocks adjacent to any specific block.
-*	This function fills the block's "adjacentBlocks" list with those blocks.
-*	The list will start at the top with [0], and move clockwise for [1, 2, 3].
+*	Listen for the keyboard, swipes on the canvas, the on-screen D-pad and game controllers (see maze_input.js),
+*	and move the character whichever way they say.
+*	(Clicking a floor walks the character there instead. See setupClickToMove. Or the autopilot can do the climbing.)
+*	A held key or button moves the character config.movesPerSecond times a second, every time.
+*	A press which comes too soon after the last move isn't lost: it's kept until the character is ready to move again.
 */
-function getAdjacentBlocks(middleBlock) {
-	var aBlocks = []
-	var thisRowIndex = middleBlock.rowIndex
-	var thisBlockIndex = middleBlock.blockIndex
-
-
-	//check to see if each block really exists, then add that block to the list.
-	if (thisRowIndex > 0) {
-		aBlocks[aBlocks.length] = maze.rows[thisRowIndex - 1].blocks[thisBlockIndex]
+function setupInput() {
+	var dpadElement = document.getElementById("dpad");
+	var showDpad = config.showDpad;
+	if (showDpad === null) {
+		showDpad = window.matchMedia("(pointer: coarse)").matches;
 	}
 
-	if (thisBlockIndex < numberOfRowBlocks - 2) {
-		aBlocks[aBlocks.length] = maze.rows[thisRowIndex].blocks[thisBlockIndex + 1]
-	}
+	input = createInputController({
+		canvas: document.getElementById("mazeCanvas"),
+		dpad: showDpad ? dpadElement : undefined,
+		onPress: () => moveCharacter(performance.now())
+	});
 
-	if (thisRowIndex < maze.rows.length - 3) {
-		aBlocks[aBlocks.length] = maze.rows[thisRowIndex + 1].blocks[thisBlockIndex]
-	}
+	dpadElement.style.display = showDpad ? "" : "none";
+
+	requestAnimationFrame(moveLoop);
+}
 
-	if (thisBlockIndex > 0) {
-		aBlocks[aBlocks.length] = maze.rows[thisRowIndex].blocks[thisBlockIndex - 1]
+//Every frame, the maze's clock moves on and the character gets a chance to move.
+//A long gap (the page was hidden, so there were no frames) only counts as a quarter of a second.
+function moveLoop(time) {
+	if (lastFrameTime !== undefined) {
+		runClocks(Math.min(time - lastFrameTime, 250));
 	}
+	lastFrameTime = time;
 
-	middleBlock.adjacentBlocks = aBlocks
+	moveCharacter(time);
+	showScore();
+	requestAnimationFrame(moveLoop);
 }
 
-//This function cycles through all the blocks and sets their adjacentBlocks lists.
-function resetAdjacentBlocks() {
-	for (var i = maze.rows.length - 1; i > 0; i--) {
-		maze.rows[i].blocks.map(block => getAdjacentBlocks(block))
+/**
+*	While a replay is being watched, it runs the maze's clock and makes the moves. Otherwise the clock just runs.
+*	Then the ghost catches up with the maze. A replay or a ghost which goes wrong is stopped, and the game carries on without it.
+*/
+function runClocks(timePassed) {
+	try {
+		if (replayPlayer !== null) {
+			replayPlayer.tick(timePassed);
+		} else {
+			maze.tick(timePassed);
+		}
+	} catch (error) {
+		replayPlayer = null;
+		showSaveStatus(error.message);
 	}
-}
 
-//This function creates a Character object and set its location on the map.
-//(The first block in the mainPath's arraylist of blocks)
-function makeCharacter() {
-	character = new Character();
-	character.location = mainPath.subPath[0];
+	try {
+		if (ghost !== null) {
+			ghost.update();
+		}
+	} catch (error) {
+		stopGhost();
+		showSaveStatus(error.message);
+	}
 }
 
 /**
-	This function just iterates through each block in each row of the maze, and tells the drawBlock function to draw that block.
+*	If the character is ready to move again, move it whichever way the input says,
+*	or else take the next step along the route it was sent on by a click.
 */
-function drawMaze() {
-	context.strokeStyle = "#2E64FE";
-	context.fillStyle = "#000000";
-	context.fillRect(0, 0, mazeCanvas.width, mazeCanvas.height);
-
-	maze.rows.map(row => 
-		row.blocks.map(block => drawBlock(block))
-	)
-}
+function moveCharacter(time) {
+	if (time < nextMoveTime) {
+		return;
+	}
 
-//Draw one block.
-//Its colour depends on whether it's a wall or not.
-function drawBlock(block) {
-	context.fillStyle = "#FFFFFF";
-	if (block.isWall == true) {
-		context.fillStyle = "#000000";
+	var direction = input.takeDirection();
+
+	if (direction !== undefined) {
+		//The keys and buttons take over from click-to-move, from the autopilot, and from a replay.
+		stopWalking();
+		setAutopilotRunning(false);
+		stopWatching();
+		maze.move(direction);
+		nextMoveTime = time + (1000 / config.movesPerSecond);
+	} else if (walkingRoute.length > 0) {
+		walkOneStep();
+		nextMoveTime = time + (1000 / config.movesPerSecond);
+	} else if (autopilotIsRunning) {
+		autopilotWasUsed = true;
+		autopilot.step();
+		showAutopilotStats();
+		nextMoveTime = time + (1000 / config.autopilotSpeed);
 	}
-	context.fillRect(block.points[0].x, block.points[0].y, squareLength + 1, squareLength + 1);
 }
 
-//Draw the character on whatever block it occupies.
-function drawCharacter() {
-	context.strokeStyle = "#000000";
-	context.fillStyle = "#FF0000";
-	context.beginPath();
-	context.arc(character.location.centerPoint.x, character.location.centerPoint.y, characterCircleRadius, 0, 2 * Math.PI);
-	context.fill();
-	context.stroke();
-	context.closePath();
+/**
+*	Click (or tap) a floor to walk there along the shortest route (see maze_pathfinder.js).
+*	Walls, and floors the character can't get to from here, flash instead.
+*	The route only goes through doors the character has a key for, through gates the right way, and onto a teleporter
+*	only if it was the one clicked.
+*/
+function setupClickToMove() {
+	document.getElementById("mazeCanvas").addEventListener("click", function (event) {
+		var clickedBlock = renderer.getBlockAt(event.clientX, event.clientY);
+		if (clickedBlock === undefined) {
+			return;
+		}
+
+		if (clickedBlock.isWall == true) {
+			renderer.flashBlock(clickedBlock, "wall");
+			return;
+		}
 
+		var route = findShortestPath(maze.getCharacter().location, clickedBlock, function (fromBlock, toBlock) {
+			var isTeleporter = toBlock.tile !== null && toBlock.tile.type == "teleporter";
+			return maze.canStep(fromBlock, toBlock, maze.getCharacter()) && (!isTeleporter || toBlock == clickedBlock);
+		});
+		if (route === null) {
+			renderer.flashBlock(clickedBlock, "unreachable");
+			return;
+		}
+
+		walkingRoute = route;
+		renderer.setRoute(walkingRoute);
+		setAutopilotRunning(false);
+		stopWatching();
+		moveCharacter(performance.now());
+	});
 }
 
-//The next few functions handle user input, moving the character through the maze.
-//First we have to make sure the character is not moving into a wall.
-//If the character is moving into a valid path block, change the character's location,
-//redraw the maze, and redraw the character.
+//Take the next step along the route, with the same move() as the keys, so the maze shifts and grows just the same.
+//If the step can't be taken after all, give up on the route.
+function walkOneStep() {
+	var nextBlock = walkingRoute.shift();
+	var direction = getDirection(maze.getCharacter().location, nextBlock);
 
-//The moveUp function can shift the whole maze down, causing the generation of a new row.
-function moveUp() {
-	var currentLocation = character.location;
-	var possibleNewLocation;
+	if (direction === undefined || !maze.move(direction)) {
+		stopWalking();
+	}
 
-	possibleNewLocation = maze.rows[currentLocation.rowIndex - 1].blocks[currentLocation.blockIndex];
+	renderer.setRoute(walkingRoute);
+}
 
+function stopWalking() {
+	walkingRoute = [];
+	renderer.setRoute(walkingRoute);
+}
 
-	if (possibleNewLocation.isWall == false) {
-		//If we've reached halfway up the visible map, shift the maze to make new rows.
-		if (possibleNewLocation.rowIndex < (maze.rows.length * (5 / 6)) - 1) {
-			shiftMaze();
+/**
+*	Hook up the save and load buttons.
+*	Anything that goes wrong (an empty slot, a file which isn't a saved game) is shown next to the buttons, and the current game carries on.
+*/
+function setupSaveControls() {
+	var slotSelect = document.getElementById("saveSlot");
+
+	//The climb so far goes in the save, so a long one can fill up localStorage. It can still be downloaded.
+	document.getElementById("saveButton").addEventListener("click", function () {
+		try {
+			saveToSlot(maze, slotSelect.value);
+			showSaveStatus("Saved in slot " + slotSelect.value + ".");
+		} catch (error) {
+			showSaveStatus("Couldn't save in slot " + slotSelect.value + " (" + error.message + "). Try downloading the game instead.");
 		}
+	});
+
+	document.getElementById("loadButton").addEventListener("click", function () {
+		try {
+			start({ savedGame: loadFromSlot(slotSelect.value) });
+			showSaveStatus("Loaded slot " + slotSelect.value + ".");
+		} catch (error) {
+			showSaveStatus(error.message);
+		}
+	});
 
-		character.location = possibleNewLocation;
-		drawMaze();
-		drawCharacter();
-	}
-}
+	document.getElementById("downloadButton").addEventListener("click", function () {
+		downloadSave(maze);
+	});
+
+	document.getElementById("uploadInput").addEventListener("change", function (event) {
+		var file = event.target.files[0];
+		if (file === undefined) {
+			return;
+		}
 
-function moveDown() {
-	var currentLocation = character.location;
-	var possibleNewLocation = maze.rows[currentLocation.rowIndex + 1].blocks[currentLocation.blockIndex];
+		readSaveFile(file)
+			.then(savedGame => {
+				start({ savedGame: savedGame });
+				showSaveStatus("Loaded " + file.name + ".");
+			})
+			.catch(error => showSaveStatus(error.message));
 
-	if (possibleNewLocation.isWall == false) {
-		drawMaze();
-		character.location = possibleNewLocation;
-		drawCharacter();
-	}
+		//Let the same file be picked again.
+		event.target.value = "";
+	});
 }
 
-function moveLeft() {
-	var currentLocation = character.location;
-	var possibleNewLocation = maze.rows[currentLocation.rowIndex].blocks[currentLocation.blockIndex - 1];
+/**
+*	Hook up the export buttons. The region (what's on screen, the whole buffer, or the whole climb) comes from the select box.
+*/
+function setupExportControls() {
+	var regionSelect = document.getElementById("exportRegion");
 
-	if (possibleNewLocation.isWall == false) {
-		drawMaze();
-		character.location = possibleNewLocation;
-		drawCharacter();
+	function fileName(extension) {
+		return "infinite_maze_" + maze.seed + "_" + regionSelect.value + "." + extension;
 	}
+
+	document.getElementById("exportAsciiButton").addEventListener("click", function () {
+		var ascii = exportAscii(maze, { region: regionSelect.value });
+		downloadBlob(new Blob([ascii], { type: "text/plain" }), fileName("txt"));
+	});
+
+	document.getElementById("exportSvgButton").addEventListener("click", function () {
+		var svg = exportSvg(maze, { region: regionSelect.value });
+		downloadBlob(new Blob([svg], { type: "image/svg+xml" }), fileName("svg"));
+	});
+
+	document.getElementById("exportPngButton").addEventListener("click", function () {
+		exportPng(maze, { region: regionSelect.value, canvas: document.getElementById("mazeCanvas") })
+			.then(png => downloadBlob(png, fileName("png")));
+	});
+
+	document.getElementById("exportTiledButton").addEventListener("click", function () {
+		var tiledMap = exportTiledMap(maze, { region: regionSelect.value });
+		downloadBlob(new Blob([JSON.stringify(tiledMap)], { type: "application/json" }), fileName("tmj"));
+	});
 }
 
-function moveRight() {
-	var currentLocation = character.location;
-	var possibleNewLocation = maze.rows[currentLocation.rowIndex].blocks[currentLocation.blockIndex + 1];
+/**
+*	Hook up the set piece file picker. The set piece is queued just above the top (off-screen) row of the maze,
+*	so it scrolls into view as the character climbs. Files ending in .json or .tmj are read as Tiled maps, and anything else as ASCII.
+*/
+function setupSetPieceControls() {
+	document.getElementById("setPieceInput").addEventListener("change", function (event) {
+		var file = event.target.files[0];
+		if (file === undefined) {
+			return;
+		}
 
-	if (possibleNewLocation.isWall == false) {
-		drawMaze();
-		character.location = possibleNewLocation;
-		drawCharacter();
-	}
+		file.text()
+			.then(text => {
+				var setPiece = /\.(json|tmj)$/i.test(file.name) ? importTiledMap(text) : importAscii(text);
+				maze.queueSetPiece(setPiece, maze.getTopHeight() + 1);
+				showSaveStatus("Queued " + file.name + ". It's coming up.");
+			})
+			.catch(error => showSaveStatus(error.message));
+
+		//Let the same file be picked again.
+		event.target.value = "";
+	});
 }
 
-//These next few functions perform all the functions necessary to move the maze down, add new rows,
-//and remove the old, abandoned rows.
-function shiftMaze() {
-	//cut all ties to the row we've just abandoned below us.
-	for (var i = 0; i < maze.rows[maze.rows.length - 1].blocks.length; i++) {
-		maze.rows[maze.rows.length - 1].blocks[i].adjacentBlocks = [];
+/**
+*	Show which keys and gamepad buttons move the character, and let the player change them.
+*	"Change" waits for the next key or button, and binds it to that direction (in place of that direction's old keys, or old buttons).
+*/
+function setupBindingControls() {
+	var bindingList = document.getElementById("bindingList");
+
+	function showBindings() {
+		var bindings = input.getBindings();
+		bindingList.textContent = "";
+
+		["up", "down", "left", "right"].map(function (direction) {
+			var line = document.createElement("div");
+			var changeButton = document.createElement("button");
+
+			line.textContent = direction + ": " + bindings.keys[direction].join(", ") +
+				" / gamepad " + bindings.gamepadButtons[direction].map(button => "button " + button).join(", ") + " ";
+
+			changeButton.textContent = "Change";
+			changeButton.addEventListener("click", function () {
+				showSaveStatus("Press a key or gamepad button for " + direction + ".");
+				input.captureNextInput(function (pressed) {
+					if (pressed.source == "keyboard") {
+						input.setBinding("keyboard", direction, [pressed.code]);
+					} else {
+						input.setBinding("gamepad", direction, [pressed.button]);
+					}
+					showSaveStatus("Moved " + direction + " to " + (pressed.code || "gamepad button " + pressed.button) + ".");
+					showBindings();
+				});
+			});
+
+			line.appendChild(changeButton);
+			bindingList.appendChild(line);
+		});
 	}
 
-	for (var i = maze.rows.length - 1; i > 0; i--) {
-		maze.rows[i] = maze.rows[i - 1];
-		maze.rows[i].blocks.map(block => moveBlockDown(block))
-	}
+	document.getElementById("resetBindingsButton").addEventListener("click", function () {
+		input.resetBindings();
+		showBindings();
+	});
 
-	createNewRow();
-	resetAdjacentBlocks();
-	shiftPaths();
+	showBindings();
 }
 
-function moveBlockDown(mBlock) {
-	mBlock.rowIndex++;
-	mBlock.centerPoint.y += squareLength;
-	mBlock.points.map(point => point.y += squareLength)
+/**
+*	Hook up the autopilot's start/pause button and speed slider.
+*/
+function setupAutopilotControls() {
+	var speedInput = document.getElementById("autopilotSpeed");
+	speedInput.value = config.autopilotSpeed;
+
+	document.getElementById("autopilotButton").addEventListener("click", function () {
+		stopWatching();
+		setAutopilotRunning(!autopilotIsRunning);
+	});
+
+	speedInput.addEventListener("input", function () {
+		config.autopilotSpeed = Number(speedInput.value);
+	});
 }
 
-function createNewRow() {
-	var fourPoints = [];
-
-	maze.rows[0] = new Row();
+//The fog of war can be changed in the middle of a game. What's been explored so far is kept.
+function setupFogControls() {
+	var modeSelect = document.getElementById("fogMode");
+	var rememberInput = document.getElementById("fogRemember");
+	rememberInput.checked = config.rememberExplored;
+
+	modeSelect.addEventListener("change", function () {
+		config.fog = modeSelect.value;
+		visibility.setOptions({ mode: config.fog });
+		renderer.draw();
+	});
+
+	rememberInput.addEventListener("change", function () {
+		config.rememberExplored = rememberInput.checked;
+		visibility.setOptions({ remember: config.rememberExplored });
+		renderer.draw();
+	});
+}
 
-	for (var k = 0; k < pointGrid.rows[0].points.length - 2; k++) {
-		fourPoints[0] = new Point(pointGrid.rows[0].points[k].x, pointGrid.rows[0].points[k].y);
-		fourPoints[1] = new Point(pointGrid.rows[0].points[k + 1].x, pointGrid.rows[0].points[k + 1].y);
-		fourPoints[2] = new Point(pointGrid.rows[1].points[k + 1].x, pointGrid.rows[1].points[k + 1].y);
-		fourPoints[3] = new Point(pointGrid.rows[1].points[k].x, pointGrid.rows[1].points[k].y);
+//The theme can be changed in the middle of a game too, and it's remembered for next time.
+function setupThemeControls() {
+	var themeSelect = document.getElementById("themeSelect");
 
-		maze.rows[0].blocks[k] = new Block(fourPoints);
-		maze.rows[0].blocks[k].rowIndex = 0;
-		maze.rows[0].blocks[k].blockIndex = k;
+	themeSelect.addEventListener("change", function () {
+		config.theme = themeSelect.value;
+		renderer.setTheme(config.theme);
+		saveThemeName(config.theme);
+	});
+}
 
-		fourPoints = [];
-	}
+function setupDebugControls() {
+	var debugToggle = document.getElementById("debugToggle");
 
-	resetAdjacentBlocks();
+	debugToggle.addEventListener("change", function () {
+		config.debug = debugToggle.checked;
+		renderer.setDebug(config.debug);
+		showDebug();
+	});
 }
 
-/* Now that the maze and all its blocks have been shifted, and new rows generated,
- *	We need to extend our paths.
- */
-function shiftPaths() {
-
-	//Splice out the dead paths
-	for (var i = 0; i < pathsToSplice.length; i++) {
-		paths.splice(paths.indexOf(pathsToSplice[i]), 1);
+//Show or hide the minimap to go with the debug overlay. It's made again for every new maze.
+function showDebug() {
+	if (minimap !== null) {
+		minimap.stop();
+		minimap = null;
 	}
-	pathsToSplice = [];
 
-	extendMainPath();
+	document.getElementById("debugToggle").checked = config.debug;
+	document.getElementById("minimapPanel").style.display = config.debug ? "block" : "none";
 
-	//make new subPaths from the mainPath
-	for (var i = 0; i < pathSeeds.length; i++) {
-		makeSubPath(pathSeeds[i]);
-	}
-
-	pathSeeds = [];
-	//perpetuate any existing subPaths
-	for (var i = 1; i < paths.length; i++) {
-		extendPaths(paths[i]);
-		if (paths[i].subPath.length == 0) {
-			pathsToSplice[pathsToSplice.length] = paths[i];
-		}
+	if (config.debug) {
+		minimap = createMinimap(maze, document.getElementById("minimapCanvas"), { blockSize: 3 });
 	}
+}
 
-	pathSeeds = secondSeeds;
+function setAutopilotRunning(isRunning) {
+	autopilotIsRunning = isRunning;
+	document.getElementById("autopilotButton").textContent = isRunning ? "Pause autopilot" : "Start autopilot";
+	showAutopilotStats();
+}
 
-	//create new subPaths FROM the secondary branches
-	for (var i = 0; i < pathSeeds.length; i++) {
-		makeSubPath(pathSeeds[i]);
-	}
+function showAutopilotStats() {
+	var stats = autopilot.getStats();
+	document.getElementById("autopilotReadout").textContent = "Rows climbed: " + stats.rowsClimbed + ", steps: " + stats.steps +
+		(autopilotIsRunning ? "" : " (paused)");
+}
 
-	pathSeeds = [];
-	secondSeeds = [];
+/**
+*	Hook up the end run button, and the buttons on the game over screen.
+*	"Climb this maze again" starts the same maze (the same seed, size and style) from the bottom. "New maze" picks a new seed.
+*/
+function setupGameOverControls() {
+	document.getElementById("endRunButton").addEventListener("click", function () {
+		maze.endGame("gaveUp");
+	});
+
+	document.getElementById("retryButton").addEventListener("click", function () {
+		start({
+			seed: maze.seed,
+			numberOfRowBlocks: maze.numberOfRowBlocks,
+			numberOfVisibleRows: maze.numberOfVisibleRows,
+			bufferMultiplier: maze.bufferMultiplier,
+			generator: maze.getConfig().generator
+		});
+	});
+
+	document.getElementById("newMazeButton").addEventListener("click", function () {
+		//A seed of its own, or the seed in the URL would come straight back.
+		start({ seed: String(Math.floor(Math.random() * 4294967296)) });
+	});
 }
 
-function extendMainPath() {
-	var latestBlock = mainPath.subPath[mainPath.subPath.length - 1];
-	var createPath = true;
-	var possibleNextBlocks = [];
+//The rows climbed, the time, the steps and what's been picked up, above the maze. It's only touched when something has changed.
+function showScore() {
+	var score = maze.getScore();
+	var readout = document.getElementById("scoreReadout");
+	var scoreText = "Rows: " + score.rowsClimbed + "   Time: " + formatTime(score.elapsedTime) + "   Steps: " + score.steps +
+		"   Coins: " + score.coins + "   Keys: " + (maze.getCharacter().keys + maze.getCharacter().doorKeys.length) + "   Lives: " + maze.getCharacter().lives;
+
+	var hazard = maze.getHazard();
+	if (hazard !== null && hazard.startsIn > 0) {
+		scoreText += "   Lava in " + Math.ceil(hazard.startsIn / 1000) + "s";
+	} else if (hazard !== null) {
+		scoreText += "   Lava: " + Math.max(0, Math.floor(maze.getCharacter().location.row.height - hazard.level)) + " rows below";
+	}
 
-	//Another variation on the while-loop that adds blocks to a path.
-	while (createPath == true) {
-		var nBlock;
-		possibleNextBlocks = [];
+	if (readout.textContent != scoreText) {
+		readout.textContent = scoreText;
+	}
+}
 
-		for (var i = 0; i < latestBlock.adjacentBlocks.length; i++) {
-			nBlock = latestBlock.adjacentBlocks[i];
-			checkForWallBlocks(nBlock);
+/**
+*	The run is over (see the "gameOver" event in maze_engine.js). Stop everything which moves the character,
+*	put the run in the high score table, and show the table with this run picked out.
+*/
+function showGameOver(event) {
+	var tableName = getHighScoreTableName(maze);
+	var place = 0;
 
-			if (nBlock.rowIndex > 0 && nBlock.rowIndex <= latestBlock.rowIndex && nBlock.blockIndex > 0 && nBlock.blockIndex < numberOfRowBlocks && nBlock.isWall == true && nBlock.numberOfAdjacentWalls > 1) {
-				possibleNextBlocks[possibleNextBlocks.length] = nBlock;
-			}
-			else if (nBlock.rowIndex == 1 && nBlock.numberOfAdjacentWalls > 2) {
-				possibleNextBlocks[possibleNextBlocks.length] = nBlock;
-			}
+	stopWalking();
+	setAutopilotRunning(false);
 
-		}
+	if (event.isOld !== true && !autopilotWasUsed && !replayWasWatched) {
+		place = addHighScore(tableName, event.score);
+	}
 
-		if (possibleNextBlocks.length > 0) {
-			latestBlock = possibleNextBlocks[Math.floor(Math.random() * possibleNextBlocks.length)];
-			latestBlock.isWall = false;
-			mainPath.subPath[mainPath.subPath.length] = latestBlock;
-			mainPath.subPath.splice(0, 1);
+	//The best run's replay is kept for its ghost, as long as it climbed the maze from the start.
+	var replay = recorder.getReplay();
+	if (place == 1 && replay.start.config !== undefined) {
+		try {
+			saveBestReplay(replay);
+		} catch (error) {
+			showSaveStatus("The replay of this run couldn't be kept: " + error.message);
 		}
+	}
 
-		if (latestBlock.rowIndex == 1 || possibleNextBlocks.length == 0) {
-			createPath = false;
-		} else if (Math.floor(Math.random() * 7) < 1) {
-			pathSeeds[pathSeeds.length] = latestBlock;
-		}
+	var gameOverText = (gameOverHeadlines[event.reason] || "Game over! ") +
+		"You climbed " + event.score.rowsClimbed + " rows in " + formatTime(event.score.elapsedTime) +
+		" and picked up " + event.score.coins + " coins.";
+	if (place == 1) {
+		gameOverText += " That's a new best!";
+	} else if (autopilotWasUsed) {
+		gameOverText += " (The autopilot helped, so it's not a high score.)";
+	} else if (replayWasWatched) {
+		gameOverText += " (It started as a replay, so it's not a high score.)";
 	}
+	document.getElementById("gameOverText").textContent = gameOverText;
+	document.getElementById("highScoreTitle").textContent = "Best climbs (" + tableName + "):";
+
+	var highScoreList = document.getElementById("highScoreList");
+	highScoreList.textContent = "";
+	loadHighScores(tableName).map(function (entry, i) {
+		var line = document.createElement("li");
+		line.textContent = entry.rowsClimbed + " rows, " + formatTime(entry.elapsedTime) + ", " + entry.steps + " steps, " + (entry.coins || 0) + " coins";
+		if (i == place - 1) {
+			line.className = "newHighScore";
+		}
+		highScoreList.appendChild(line);
+	});
 
+	document.getElementById("gameOverPanel").style.display = "block";
 }
 
-/* Extend all the secondary paths */
-function extendPaths(thisPath) {
-	var latestBlock = thisPath.subPath[thisPath.subPath.length - 1];
-	var createPath = true;
-	var possibleNextBlocks = [];
-
-	getAdjacentBlocks(latestBlock);
-
-	while (createPath == true) {
-		var nBlock;
-		possibleNextBlocks = [];
-
-		for (var i = 0; i < latestBlock.adjacentBlocks.length; i++) {
-			nBlock = latestBlock.adjacentBlocks[i];
-			checkForWallBlocks(nBlock);
-
-			if (nBlock.rowIndex > 0 &&
-				nBlock.rowIndex <= maze.rows.length - 3 &&
-				nBlock.blockIndex > 0 &&
-				nBlock.blockIndex < numberOfRowBlocks - 1 &&
-				nBlock.isWall == true &&
-				nBlock.numberOfAdjacentWalls > 2
-			){
-				possibleNextBlocks[possibleNextBlocks.length] = nBlock;
-			}
-		}
+//What the game over screen says first, for each way of ending a run.
+var gameOverHeadlines = {
+	gaveUp: "Game over! ",
+	caught: "Caught! ",
+	hazard: "The lava got you! "
+};
+
+//Picking a survival mode starts a new climb of the same maze in that mode.
+function setupHazardControls() {
+	var modeSelect = document.getElementById("hazardMode");
+
+	modeSelect.addEventListener("change", function () {
+		start({
+			seed: maze.seed,
+			numberOfRowBlocks: maze.numberOfRowBlocks,
+			numberOfVisibleRows: maze.numberOfVisibleRows,
+			bufferMultiplier: maze.bufferMultiplier,
+			hazard: modeSelect.value
+		});
+	});
+}
 
-		if (possibleNextBlocks.length > 0) {
-			latestBlock = possibleNextBlocks[Math.floor(Math.random() * possibleNextBlocks.length)];
-			latestBlock.isWall = false;
-			thisPath.subPath[thisPath.subPath.length] = latestBlock;
+/**
+*	Picking a difficulty profile, or loading one from a JSON file, starts a new climb of the same maze with it.
+*	A file which isn't a difficulty profile is reported next to the save buttons, and the current game carries on.
+*/
+function setupDifficultyControls() {
+	var profileSelect = document.getElementById("difficultyProfile");
+
+	function restartWith(difficulty) {
+		start({
+			seed: maze.seed,
+			numberOfRowBlocks: maze.numberOfRowBlocks,
+			numberOfVisibleRows: maze.numberOfVisibleRows,
+			bufferMultiplier: maze.bufferMultiplier,
+			difficulty: difficulty
+		});
+	}
 
-			if (Math.floor(Math.random() * 9) < 1) {
-				secondSeeds[secondSeeds.length] = latestBlock;
-			}
+	profileSelect.addEventListener("change", function () {
+		if (profileSelect.value != "custom") {
+			restartWith(profileSelect.value);
 		}
+	});
 
-		if (latestBlock.rowIndex == 1 || possibleNextBlocks.length == 0 || thisPath.subPath.length >= thisPath.distance) {
-			createPath = false;
-
-			if (thisPath.subPath.length >= thisPath.distance || possibleNextBlocks.length == 0 || nBlock.rowIndex >= maze.rows.length - 3) {
-				pathsToSplice[pathsToSplice.length] = thisPath;
-			}
-
+	document.getElementById("difficultyInput").addEventListener("change", function (event) {
+		var file = event.target.files[0];
+		if (file === undefined) {
+			return;
 		}
-	}
-
-}
 
+		file.text()
+			.then(text => {
+				restartWith(loadDifficultyProfile(text));
+				showSaveStatus("Climbing with the difficulty profile in " + file.name + ".");
+			})
+			.catch(error => showSaveStatus(error.message));
 
-function checkForWallBlocks(thisBlock) {
-	thisBlock.numberOfAdjacentWalls = 0;
-	for (var i = 0; i < thisBlock.adjacentBlocks.length; i++) {
-		if (thisBlock.adjacentBlocks[i].isWall) {
-			thisBlock.numberOfAdjacentWalls++;
-		}
-	}
+		//Let the same file be picked again.
+		event.target.value = "";
+	});
 }
 
+//Milliseconds as minutes and seconds ("2:05").
+function formatTime(milliseconds) {
+	var seconds = Math.floor(milliseconds / 1000);
+	return Math.floor(seconds / 60) + ":" + String(seconds % 60).padStart(2, "0");
+}
 
-//These are the functions which act as classes for objects in the game.
+/**
+*	Hook up the replay controls: download the run so far as a replay, watch a replay from a file, and race the ghost or not.
+*	A replay from a file has to have been recorded on a grid the same size as this one (see the config).
+*/
+function setupReplayControls() {
+	var ghostToggle = document.getElementById("ghostToggle");
+	ghostToggle.checked = config.raceGhost;
+
+	document.getElementById("downloadReplayButton").addEventListener("click", function () {
+		downloadReplay(recorder.getReplay());
+	});
+
+	document.getElementById("replayInput").addEventListener("change", function (event) {
+		var file = event.target.files[0];
+		if (file === undefined) {
+			return;
+		}
 
-function Character() {
-	this.location;
+		file.text()
+			.then(text => {
+				start({ replay: loadReplay(text) });
+				showSaveStatus("Watching " + file.name + ". Press a key, click or start the autopilot to take over.");
+			})
+			.catch(error => showSaveStatus(error.message));
+
+		//Let the same file be picked again.
+		event.target.value = "";
+	});
+
+	ghostToggle.addEventListener("change", function () {
+		config.raceGhost = ghostToggle.checked;
+		startGhost();
+	});
 }
 
-function Maze() {
-	this.rows = [];
-}
+/**
+*	Start racing the ghost of the best run up this maze, if there is one (and it isn't a replay being watched).
+*	A ghost which sets off late catches up with the character's clock straight away.
+*/
+function startGhost() {
+	var bestReplay = loadBestReplay(maze);
 
-function Block(fourPoints) {
-	this.points = fourPoints;
-	this.isWall = true;
+	stopGhost();
+	if (!config.raceGhost || replayPlayer !== null || bestReplay === null) {
+		return;
+	}
 
-	this.centerPoint = new Point(
-		this.points[1].x - (squareLength / 2),
-		this.points[2].y - (squareLength / 2));
+	//A best replay from a different maze (kept before its config was checked, say) just isn't raced.
+	try {
+		checkReplayMatches(bestReplay, maze);
+	} catch (error) {
+		return;
+	}
 
-	this.rowIndex;
-	this.blockIndex;
-	this.adjacentBlocks = [];
-	this.numberOfAdjacentWalls = 0;
+	try {
+		ghost = createGhost(bestReplay, maze);
+		renderer.setGhost(ghost.maze);
+	} catch (error) {
+		showSaveStatus("The ghost of the best run can't race this maze. " + error.message);
+	}
 }
 
-function Path() {
-	this.subPath = [];
-	this.distance = 0;
-	paths[paths.length] = this;
+function stopGhost() {
+	ghost = null;
+	renderer.setGhost(null);
 }
 
-function PointGrid() {
-	this.rows = [];
+//Stop watching a replay, and let the player carry on from wherever it got to.
+function stopWatching() {
+	if (replayPlayer !== null) {
+		replayPlayer = null;
+		showSaveStatus("You've taken over from the replay.");
+	}
 }
 
-/* A Row may hold either Block objects, or Point objects, or both. */
-function Row() {
-	this.points = [];
-	this.blocks = [];
+function showSaveStatus(message) {
+	document.getElementById("saveStatus").textContent = message;
 }
-
-/*
- * "Point" is the class for point objects in an animation.
- */
-function Point(newPointX, newPointY) {
-	this.x = newPointX;
-	this.y = newPointY;
-}
\ No newline at end of file
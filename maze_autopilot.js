@@ -0,0 +1,236 @@
+/**
+The MIT License (MIT)
+
+Copyright (c) 2024 Matt Payne
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+THE SOFTWARE.
+*/
+
+/**
+*	The autopilot climbs the maze on its own, for demos, attract screens, and soak-testing the generators.
+*
+*	It works out the highest floor it can reach (a breadth-first search, stepping the way the character can, see getWalkingNeighbours
+*	in maze_validator.js), and walks there
+*	along the shortest route. Side branches which lead nowhere are never on that route, so it doesn't get lost in dead ends.
+*	When it gets there, the maze has usually shifted and grown above it, so it looks again.
+*	It goes through doors (see maze_tiles.js) it has a key for and gates the right way only, and if a locked door is all that's
+*	left in its way, it fetches the nearest key it can reach first. It steps around teleporters, which would only carry it off its route.
+*	If there's nowhere higher to go at all, it's stuck: the generator (and the repair, if it's on) let the character down.
+*
+*	runSoakTest() runs the autopilot headless, as fast as it will go, through any number of mazes,
+*	and reports anything that goes wrong. soak_test.js runs it from the command line.
+*/
+
+//In Node, the pathfinder and the validator have to be fetched. In the browser, they're loaded alongside this file.
+if (typeof module !== "undefined" && module.exports) {
+	var getDirection = require("./maze_pathfinder.js").getDirection;
+	var getWalkingNeighbours = require("./maze_validator.js").getWalkingNeighbours;
+	var createMaze = require("./maze_engine.js").createMaze;
+}
+
+/**
+*	Put the autopilot in charge of a maze's character.
+*	Returns an object with:
+*		step()     - take one step, and return true if the character moved (false if it's stuck).
+*		getStats() - { rowsClimbed, steps, timesStuck }. Rows climbed counts from where the character was when the autopilot took over.
+*		stop()     - stop listening to the maze.
+*/
+function createAutopilot(maze) {
+	var startHeight = maze.getCharacter().location.row.height;
+	var highestHeight = startHeight;
+	var steps = 0;
+	var timesStuck = 0;
+
+	//The Blocks still to walk through to get to the highest floor, first step first.
+	var route = [];
+
+	//If walls were carved, there may be a better way up now.
+	var unsubscribe = maze.subscribe("repair", () => route = []);
+
+	return {
+		step: step,
+		getStats: getStats,
+		stop: unsubscribe
+	};
+
+	function step() {
+		if (route.length == 0) {
+			route = findRouteUp(maze.getCharacter().location, canStep);
+		}
+
+		if (route.length == 0) {
+			timesStuck++;
+			return false;
+		}
+
+		var nextBlock = route.shift();
+		var direction = getDirection(maze.getCharacter().location, nextBlock);
+
+		//Somebody else moved the character (or it was carried off by a load), so look again next time.
+		if (direction === undefined || !maze.move(direction)) {
+			route = [];
+			return false;
+		}
+
+		steps++;
+		highestHeight = Math.max(highestHeight, maze.getCharacter().location.row.height);
+		return true;
+	}
+
+	function canStep(fromBlock, toBlock) {
+		return maze.canStep(fromBlock, toBlock, maze.getCharacter()) && (toBlock.tile === null || toBlock.tile.type != "teleporter");
+	}
+
+	function getStats() {
+		return {
+			rowsClimbed: highestHeight - startHeight,
+			steps: steps,
+			timesStuck: timesStuck
+		};
+	}
+}
+
+/**
+*	Search every floor the character can reach, and return the route to the highest one (the nearest, if there's a tie),
+*	not counting startBlock. If nothing reachable is higher than startBlock, it's the route to the nearest key instead
+*	(which might open a way up), and it's empty if there isn't one of those either.
+*	canStep(fromBlock, toBlock) is optional. Without it, any floor will do.
+*/
+function findRouteUp(startBlock, canStep) {
+	var cameFrom = new Map([[startBlock, null]]);
+	var queue = [startBlock];
+	var highestBlock = startBlock;
+	var nearestKey = null;
+
+	for (var q = 0; q < queue.length; q++) {
+		var thisBlock = queue[q];
+
+		if (thisBlock.row.height > highestBlock.row.height) {
+			highestBlock = thisBlock;
+		}
+		if (nearestKey === null && thisBlock.item !== null && thisBlock.item.type == "key") {
+			nearestKey = thisBlock;
+		}
+
+		var neighbours = getWalkingNeighbours(thisBlock);
+		for (var i = 0; i < neighbours.length; i++) {
+			var canGo = canStep === undefined ? neighbours[i].isWall == false : canStep(thisBlock, neighbours[i]);
+			if (canGo && !cameFrom.has(neighbours[i])) {
+				cameFrom.set(neighbours[i], thisBlock);
+				queue[queue.length] = neighbours[i];
+			}
+		}
+	}
+
+	if (highestBlock === startBlock && nearestKey !== null) {
+		highestBlock = nearestKey;
+	}
+
+	var route = [];
+	for (var block = highestBlock; block !== startBlock; block = cameFrom.get(block)) {
+		route[route.length] = block;
+	}
+
+	return route.reverse();
+}
+
+//How long each of the autopilot's steps takes in a soak test, in milliseconds (which is how fast enemies get to chase it).
+var soakStepTime = 100;
+
+/**
+*	Let the autopilot loose on a number of mazes, headless and as fast as it will go, and report how each one went.
+*	options.runs: how many mazes (10 by default). Their seeds are options.seedPrefix (default "soak") followed by the run number.
+*	options.steps: how many steps in each maze (1000 by default).
+*	options.numberOfRowBlocks, options.numberOfVisibleRows, options.generator: as for createMaze.
+*	options.repair: the engine's repair is off by default, so the generators' own dead ends show up. Set it to true to test the repair.
+*	                A generator which needsRepair (see maze_generators.js) is repaired either way.
+*	options.tiles, options.enemies: there are no tiles or enemies in a soak test unless these are true, when they turn up as often
+*	                                as they do in a game. The enemies move on as if the autopilot took 10 steps a second, and being
+*	                                caught never ends the run. It's the maze being tested, not the autopilot's luck.
+*	Returns a list with one report for each run: { seed, steps, rowsClimbed, timesCaught, stuckAtStep, cutOffAtStep, error }.
+*	stuckAtStep is the first step where the autopilot had nowhere higher to go, and the maze agreed (maze.validate() found no way
+*	to the top either), or null if that never happened.
+*	cutOffAtStep is the first step where the autopilot had nowhere to go, but the maze thought it had, or null. That only happens
+*	with tiles: the maze counts locked doors as open, but the door's key can't be fetched any more. (The tiles are checked as
+*	they're laid down, but the way to a key can go through the bottom rows, and they're thrown away as the character climbs.)
+*	Either way the run stops there. error is whatever was thrown (with its stack), or null.
+*/
+function runSoakTest(options) {
+	options = options || {};
+
+	var reports = [];
+	var runs = options.runs || 10;
+	var stepsPerRun = options.steps || 1000;
+
+	for (var r = 0; r < runs; r++) {
+		var report = {
+			seed: (options.seedPrefix || "soak") + r,
+			steps: 0,
+			rowsClimbed: 0,
+			timesCaught: 0,
+			stuckAtStep: null,
+			cutOffAtStep: null,
+			error: null
+		};
+
+		try {
+			var maze = createMaze({
+				seed: report.seed,
+				numberOfRowBlocks: options.numberOfRowBlocks,
+				numberOfVisibleRows: options.numberOfVisibleRows,
+				generator: options.generator,
+				repair: options.repair === true,
+				enemySpawnRate: options.enemies === true ? undefined : 0,
+				tileSpawnRates: options.tiles === true ? undefined : {},
+				lives: options.enemies === true ? Infinity : undefined
+			});
+			var autopilot = createAutopilot(maze);
+			maze.subscribe("hit", () => report.timesCaught++);
+
+			for (var s = 0; s < stepsPerRun && report.stuckAtStep === null && report.cutOffAtStep === null; s++) {
+				var timesStuck = autopilot.getStats().timesStuck;
+				if (!autopilot.step() && autopilot.getStats().timesStuck > timesStuck) {
+					if (!maze.validate().isConnected) {
+						report.stuckAtStep = s;
+					} else {
+						report.cutOffAtStep = s;
+					}
+				}
+				maze.tick(soakStepTime);
+			}
+
+			report.steps = autopilot.getStats().steps;
+			report.rowsClimbed = autopilot.getStats().rowsClimbed;
+		} catch (error) {
+			report.error = error;
+		}
+
+		reports[reports.length] = report;
+	}
+
+	return reports;
+}
+
+//Node scripts can require() the autopilot. In the browser these are ordinary globals.
+if (typeof module !== "undefined" && module.exports) {
+	module.exports = {
+		createAutopilot: createAutopilot,
+		runSoakTest: runSoakTest
+	};
+}
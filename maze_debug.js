@@ -0,0 +1,214 @@
+/**
+The MIT License (MIT)
+
+Copyright (c) 2024 Matt Payne
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+THE SOFTWARE.
+*/
+
+
+/**
+*	Tools for seeing what the generator is up to. Most of the maze is generated off-screen, above the visible rows,
+*	and the path generator's paths and seeds are never drawn at all, so these make them visible.
+*
+*	The renderer (maze_renderer.js) has a debug overlay, switched on with renderer.setDebug(true). It draws every path the
+*	generator is keeping track of over the maze (the main path in red, and each branch in a colour of its own),
+*	dashes the paths which are waiting to be spliced, and rings the seeds which branches grow from.
+*	It numbers the rows and blocks, and the Block under the mouse shows its rowIndex, blockIndex, height,
+*	and its numberOfAdjacentWalls (as the generator last counted them).
+*
+*	The minimap (createMinimap) draws the whole buffer, three times as tall as the screen, on a canvas of its own,
+*	with the same paths and seeds, a box around the rows which are on screen, and the character.
+*
+*	Both of them get the paths from maze.getGeneratorDebugInfo() (see maze_engine.js), so they only show paths and seeds
+*	for a generator which has getDebugInfo (the path generator does).
+*/
+
+var debugColours = {
+	mainPath: "#FF0000",
+	splicedPath: "#808080",
+	seed: "#FF00FF",
+	text: "#00A0FF",
+	labelBackground: "rgba(0, 0, 0, 0.75)",
+	labelText: "#FFFFFF",
+	hover: "#00FF00",
+	//The minimap's own colours, so it can be read whatever theme the maze is in.
+	minimapWall: "#000000",
+	minimapFloor: "#FFFFFF",
+	minimapCharacter: "#FF0000",
+	minimapView: "#00A0FF"
+};
+
+/**
+*	Everything the debug overlay and the minimap draw from the maze's generator, or null if it doesn't say (see getDebugInfo
+*	in maze_generators.js). Returns { paths, seeds }, where each path is { blocks, colour, isMainPath, isSpliced }.
+*	The seeds are the Blocks still waiting to grow a branch, and the first Block of every branch, which is the seed it grew from.
+*	(Seeds are used up in the same shift they're set aside, so between shifts those are usually the only ones left to see.)
+*/
+function getDebugPaths(maze) {
+	var info = maze.getGeneratorDebugInfo();
+	if (info === null) {
+		return null;
+	}
+
+	var paths = [{ blocks: info.mainPath, colour: debugColours.mainPath, isMainPath: true, isSpliced: false }]
+		.concat(info.paths.map((blocks, i) => ({ blocks: blocks, colour: getDebugPathColour(i), isMainPath: false, isSpliced: false })))
+		.concat(info.pathsToSplice.map(blocks => ({ blocks: blocks, colour: debugColours.splicedPath, isMainPath: false, isSpliced: true })));
+
+	var seeds = info.pathSeeds.concat(info.secondSeeds);
+	paths.slice(1).map(function (path) {
+		if (path.blocks.length > 0 && seeds.indexOf(path.blocks[0]) == -1) {
+			seeds[seeds.length] = path.blocks[0];
+		}
+	});
+
+	return {
+		paths: paths,
+		seeds: seeds.filter(block => block.rowIndex < maze.numberOfRows)
+	};
+}
+
+//A colour for each branch, spread around the colour wheel so the branches next to each other in the list don't look alike.
+function getDebugPathColour(pathIndex) {
+	return "hsl(" + Math.round((40 + (pathIndex * 137.5)) % 360) + ", 90%, 50%)";
+}
+
+/**
+*	Trace a path's Blocks as a line through getPoint(block) for each of them, ready to be stroked.
+*	Blocks which have been discarded off the bottom of the maze are skipped, and the line picks up again after them.
+*/
+function traceDebugPath(context, maze, blocks, getPoint) {
+	var isDrawing = false;
+
+	context.beginPath();
+	for (var i = 0; i < blocks.length; i++) {
+		if (blocks[i].rowIndex >= maze.numberOfRows) {
+			isDrawing = false;
+			continue;
+		}
+
+		var point = getPoint(blocks[i]);
+		if (isDrawing) {
+			context.lineTo(point.x, point.y);
+		} else {
+			context.moveTo(point.x, point.y);
+			isDrawing = true;
+		}
+	}
+}
+
+/**
+*	Draw the maze's whole buffer (every row, including the ones generated off-screen above the visible rows) onto a canvas,
+*	and keep it up to date as the maze is carved, shifts and the character moves.
+*	options.blockSize: how big each block is drawn, in pixels (4 by default). The canvas is sized to fit.
+*	Returns an object with draw() (to force a redraw) and stop() (to stop listening to the maze, and stop drawing).
+*/
+function createMinimap(maze, minimapCanvas, options) {
+	options = options || {};
+
+	var context = minimapCanvas.getContext('2d');
+	var blockSize = options.blockSize || 4;
+
+	minimapCanvas.width = maze.numberOfRowBlocks * blockSize;
+	minimapCanvas.height = maze.numberOfRows * blockSize;
+
+	//Carving happens a Block at a time, so the drawing waits for the next frame, when the generator has finished.
+	var needsDrawing = true;
+	var animationFrame = requestAnimationFrame(animate);
+
+	var unsubscribers = ["move", "teleport", "shift", "carve", "repair"].map(eventName => maze.subscribe(eventName, () => needsDrawing = true));
+
+	return {
+		draw: draw,
+		stop: stop
+	};
+
+	function animate() {
+		if (needsDrawing) {
+			draw();
+		}
+
+		animationFrame = requestAnimationFrame(animate);
+	}
+
+	function draw() {
+		for (var i = 0; i < maze.numberOfRows; i++) {
+			maze.getRow(i).blocks.map(function (block) {
+				context.fillStyle = block.isWall ? debugColours.minimapWall : debugColours.minimapFloor;
+				context.fillRect(block.blockIndex * blockSize, i * blockSize, blockSize, blockSize);
+			});
+		}
+
+		drawPaths();
+
+		//The rows which are on screen.
+		context.strokeStyle = debugColours.minimapView;
+		context.lineWidth = 1;
+		context.strokeRect(0.5, (maze.firstVisibleRow * blockSize) + 0.5,
+			(maze.numberOfRowBlocks * blockSize) - 1, (maze.numberOfVisibleRows * blockSize) - 1);
+
+		var location = maze.getCharacter().location;
+		context.fillStyle = debugColours.minimapCharacter;
+		context.fillRect((location.blockIndex - 0.5) * blockSize, (location.rowIndex - 0.5) * blockSize, blockSize * 2, blockSize * 2);
+
+		needsDrawing = false;
+	}
+
+	function drawPaths() {
+		var debugPaths = getDebugPaths(maze);
+		if (debugPaths === null) {
+			return;
+		}
+
+		context.lineWidth = Math.max(1, blockSize / 2);
+		context.lineCap = "round";
+		context.lineJoin = "round";
+
+		for (var i = 0; i < debugPaths.paths.length; i++) {
+			context.strokeStyle = debugPaths.paths[i].colour;
+			traceDebugPath(context, maze, debugPaths.paths[i].blocks, getCenter);
+			context.stroke();
+		}
+
+		context.fillStyle = debugColours.seed;
+		debugPaths.seeds.map(block => context.fillRect(block.blockIndex * blockSize, block.rowIndex * blockSize, blockSize, blockSize));
+
+		context.lineWidth = 1;
+	}
+
+	function getCenter(block) {
+		return { x: (block.blockIndex + 0.5) * blockSize, y: (block.rowIndex + 0.5) * blockSize };
+	}
+
+	function stop() {
+		cancelAnimationFrame(animationFrame);
+		unsubscribers.map(unsubscribe => unsubscribe());
+	}
+}
+
+//Node scripts can require() the debug tools (createMinimap still needs a canvas, of course). In the browser these are ordinary globals.
+if (typeof module !== "undefined" && module.exports) {
+	module.exports = {
+		debugColours: debugColours,
+		getDebugPaths: getDebugPaths,
+		getDebugPathColour: getDebugPathColour,
+		traceDebugPath: traceDebugPath,
+		createMinimap: createMinimap
+	};
+}
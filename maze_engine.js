@@ -0,0 +1,2129 @@
+/**
+The MIT License (MIT)
+
+Copyright (c) 2024 Matt Payne
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+THE SOFTWARE.
+*/
+
+/**
+*	The maze engine. It generates the infinite maze and moves the "Character" through it,
+*	without touching the canvas or the DOM, so it runs just as well in Node as in the browser.
+*
+*	Call createMaze(config) to get a maze. Each maze keeps all of its own state,
+*	so there can be any number of them on one page (or in one Node process).
+*
+*		var maze = createMaze({ seed: "daily", numberOfRowBlocks: 30 });
+*		maze.subscribe("move", function (event) { ... });
+*		maze.move("up");
+*		maze.getRows();       //the rows of Blocks, top (newest) row first
+*		maze.getRow(5);       //one row of Blocks
+*		maze.getCharacter();  //the Character, whose location is a Block
+*
+*	Drawing is somebody else's job. A renderer (see maze_renderer.js) subscribes to the events below and draws the rows.
+*	Games built on the engine can do the same, instead of patching it. Every event object has its name in event.type.
+*
+*	Events:
+*		"move"   - the character moved. event.from and event.to are Blocks, event.direction is "up", "down", "left" or "right".
+*		"blocked" - the character tried to move, but couldn't. event.from is its Block, event.to is the Block it couldn't move onto
+*		           (undefined off the edge of the maze), event.direction is the way it tried to go, and event.reason is
+*		           "wall", "edge" or "tile" (a tile which wouldn't let it, see maze_tiles.js).
+*		"shift"  - the maze shifted down one row and a new row was generated at the top.
+*		"rowCreated" - a new row was added at the top of the maze (by createNewRow), as it shifts. event.row is the Row.
+*		           Only set pieces have been stamped into it so far: the generator carves it next.
+*		"carve"  - a wall Block became a floor, whoever carved it (the generator, the repair, or a set piece). event.block is the Block.
+*		"pathCreated" - the path generator grew a new path. event.path is its list of Blocks, and event.isMainPath says whether it's
+*		           the main path (the one which climbs forever) or a branch.
+*		"pathSpliced" - the path generator gave up on a branch, which has stopped growing. event.path is its list of Blocks.
+*		"setPiece" - a set piece was queued (see queueSetPiece). event.setPiece, event.height and event.column are what was passed in.
+*		"repair" - the character was cut off from the top, so a corridor was carved. event.carvedBlocks lists the Blocks.
+*		"enemyMove" - the enemies took a step. event.enemies lists them all.
+*		"hit"    - an enemy caught the character, and the character lost a life. event.enemy is the Enemy (which is gone now),
+*		           and event.livesLeft says how many lives are left. When there are none, the game is over.
+*		"hazard" - the rising hazard (see config.hazard) has risen. event.level is its new level.
+*		"collect" - the character picked up an item. event.item is the Item, and event.block is the Block it was on.
+*		"teleport" - the character stepped onto a teleporter and came out of the other one. event.from and event.to are the two teleporters.
+*		           (The step onto the first one was a "move" of its own.)
+*		"gameOver" - the run has ended (see endGame). event.reason says why, and event.score is the final score.
+*
+*	The maze is three times as tall as what the player sees (see config.bufferMultiplier). Rows from firstVisibleRow down are on screen,
+*	and the rows above them are generated off-screen.
+*
+*	After the maze is made, and after every shift, the engine checks that the character can still climb to the top generated row
+*	(see maze_validator.js). If it can't, a corridor is carved. maze.validate() runs the same check on demand.
+*
+*	maze.save() returns the whole live state as a plain object, ready for JSON.stringify.
+*	maze.getConfig() returns just the config it was made with (the same as maze.save().config), which says which maze it is.
+*	loadMaze(savedGame) turns it back into a maze, which carries on generating exactly as the saved one would have.
+*
+*	Hand-made set pieces (see maze_import.js) can be queued with maze.queueSetPiece(setPiece, height). They are stamped
+*	into the maze as its rows are made, and the main path runs into and out of them.
+*
+*	The maze keeps the score of the run: the rows climbed, the steps taken and the time played (see getScore).
+*	It has no clock of its own, so whoever runs it calls maze.tick(milliseconds) as time passes. Once the run is over
+*	(see endGame), the character can't move and the clock stops. The time is counted out in steps of clockStep milliseconds,
+*	however it's handed over, so the same moves on the same steps of the clock (see getClock) always play out the same way.
+*	That's what makes replays (see maze_replay.js) exact.
+*
+*	Items (coins, keys and time bonuses) are scattered over the floors, mostly in dead ends, once the generator has finished
+*	with each row (just before it scrolls into view). Walking onto one collects it.
+*
+*	Enemies turn up the same way. They step along on the maze's clock, wandering at random or patrolling back and forth
+*	along one of the generator's paths, and chase the character when it comes within a few blocks.
+*	Touching one costs a life.
+*
+*	In survival mode (config.hazard), lava floods up from the bottom of the maze, faster and faster, and the run is over
+*	when it reaches the character.
+*
+*	Some floors have tiles on them (see maze_tiles.js): locked doors, one-way gates and teleporters. They're laid down with the items,
+*	and maze.canStep(fromBlock, toBlock, walker) asks their tile types who can go where. Every door's key is left below it,
+*	where the character can fetch it without going through any locked door, and no tile is kept if it would cut the character off from the top.
+*
+*	maze.getGeneratorDebugInfo() shows what the generator is in the middle of (its paths and seeds), for the debug overlay
+*	(see maze_debug.js). It's null if the generator doesn't say.
+*
+*	Plugins (see registerPlugin) can listen to every maze as it's made, and have their say in how it's made.
+*/
+
+//Saved games are marked with these, so we know what we're loading.
+var saveFormat = "infinite-maze-contraption";
+var saveVersion = 1;
+
+//The maze's clock ticks over in steps of this many milliseconds. The enemies and the hazard move on whole steps.
+var clockStep = 10;
+
+//A time bonus takes this many milliseconds off the clock.
+var timeBonusLength = 10000;
+
+//A dead end is this many times as likely to have an item as any other floor.
+var deadEndItemBonus = 5;
+
+//Enemies don't turn up within this many blocks of the character.
+var enemySafeDistance = 6;
+
+//The longest stretch of corridor an enemy patrols.
+var patrolLength = 12;
+
+//A door's key is left no more than this many rows below it.
+var doorKeyDistance = 8;
+
+//The chance of an enemy turning up in a row, by the row's height (see config.enemySpawnRate). It goes up as the character climbs.
+function defaultEnemySpawnRate(height) {
+	return Math.min(0.15, 0.03 + (height / 10000));
+}
+
+/**
+*	The chance of each kind of tile (see maze_tiles.js) being laid down in a row, by the row's height (see config.tileSpawnRates).
+*	There's at most one of each kind in a row.
+*/
+function defaultTileSpawnRates(height) {
+	return {
+		door: 0.04,
+		gate: 0.05,
+		teleporter: 0.02
+	};
+}
+
+/**
+*	How fast the rising hazard (see config.hazard) floods the maze, in rows a second.
+*	It waits for delay milliseconds (a head start for the character), then starts at startSpeed,
+*	speeds up by acceleration every second, and never goes faster than maxSpeed.
+*/
+var hazardPresets = {
+	easy: { delay: 10000, startSpeed: 0.25, acceleration: 0.002, maxSpeed: 2 },
+	normal: { delay: 6000, startSpeed: 0.4, acceleration: 0.005, maxSpeed: 3 },
+	hard: { delay: 3000, startSpeed: 0.6, acceleration: 0.01, maxSpeed: 4.5 }
+};
+
+/**
+*	The chance of each kind of item turning up on a floor Block, by the height of its row (see config.itemSpawnRates).
+*	Time bonuses get rarer the higher the character climbs.
+*/
+function defaultItemSpawnRates(height) {
+	return {
+		coin: 0.05,
+		key: 0.005,
+		timeBonus: 0.01 * 200 / (200 + height)
+	};
+}
+
+/**
+*	The plugins every new maze is made with (see registerPlugin).
+*	A plugin is an object with any of these:
+*		name                           - what it's called, for anybody who asks.
+*		setup(maze)                    - called for each new maze (and loaded maze), with the same object createMaze returns,
+*		                                 before any of it has been carved. The place to subscribe() to its events.
+*		filterNextBlocks(blocks, details) - the path generator is about to pick the next Block for a path from this list (a Block which
+*		                                 is in it more than once is more likely to be picked). Return the list it may pick from instead:
+*		                                 the same list, fewer of them, or [] to stop the path there. details is { fromBlock, path, isMainPath },
+*		                                 where path is the path's list of Blocks so far.
+*		allow(decision, details)       - return false to veto something the maze is about to do:
+*		                                 "branchSeed" { block, path } - the path generator setting aside a Block to grow a new branch from.
+*		                                 "item" { block, type }       - an item being left on a Block.
+*		                                 "tile" { block, type }       - a tile being laid on a Block. A teleporter asks for both of its Blocks.
+*		                                 "enemy" { block, behaviour } - an enemy turning up on a Block.
+*	The maze rolls its dice just the same whatever the plugins say, so vetoing one item, tile or enemy doesn't change the rest of them.
+*	Filtering the path generator's Blocks does change the maze, of course.
+*/
+var mazePlugins = [];
+
+/**
+*	Add a plugin (see mazePlugins) to every maze made from now on.
+*	Returns a function which takes it away again (from mazes made after that).
+*/
+function registerPlugin(plugin) {
+	if (plugin === null || typeof plugin != "object") {
+		throw new Error("A plugin must be an object, with any of setup(), filterNextBlocks() and allow().");
+	}
+
+	mazePlugins[mazePlugins.length] = plugin;
+
+	return function () {
+		var index = mazePlugins.indexOf(plugin);
+		if (index > -1) {
+			mazePlugins.splice(index, 1);
+		}
+	};
+}
+
+//In Node, the other parts of the engine have to be fetched. In the browser, their files are loaded alongside this one.
+if (typeof module !== "undefined" && module.exports) {
+	var mazeGenerators = require("./maze_generators.js").mazeGenerators;
+	var findUpwardRoute = require("./maze_validator.js").findUpwardRoute;
+	var carveConnectingCorridor = require("./maze_validator.js").carveConnectingCorridor;
+	var carveCorridor = require("./maze_validator.js").carveCorridor;
+	var getWalkingNeighbours = require("./maze_validator.js").getWalkingNeighbours;
+	var getDirection = require("./maze_pathfinder.js").getDirection;
+	var tileTypes = require("./maze_tiles.js").tileTypes;
+	var Tile = require("./maze_tiles.js").Tile;
+}
+
+/**
+*	Make a new maze.
+*	config.seed: any string or number. The same seed and the same moves always build the same maze. Picked at random if missing.
+*	config.numberOfRowBlocks: the number of blocks across the visible part of the maze. Up to 200 stays quick.
+*	config.numberOfVisibleRows: the number of blocks from the top to the bottom of the visible part of the maze.
+*	                            The same as numberOfRowBlocks (a square) if it's missing.
+*	config.bufferMultiplier: how many times taller than the visible part the whole maze is, counting the rows generated off-screen (3 by default).
+*	config.generator: "paths" (the default), "eller" or "growingTree", or a function which makes a custom generator (see maze_generators.js).
+*	config.difficulty: the name of one of the difficultyProfiles ("classic", "sparse", "twisty" or "branchy"), or a profile of your own,
+*	                   which changes how the path generator carves as the character climbs (see maze_generators.js).
+*	config.repair: set to false to stop the engine carving a corridor when the character is cut off from the top
+*	               (unless the generator needsRepair, like "eller", see maze_generators.js).
+*	config.keepHistory: set to true to remember every row which falls off the bottom of the maze, so the whole climb can be exported.
+*	config.setPieces: a list of { setPiece, height, column } to place in the maze (see queueSetPiece). Set pieces may start inside the first maze,
+*	                  and if one of them has a start ("@") the character starts there.
+*	config.itemSpawnRates: the chance of a coin, key or time bonus on each floor Block, as { coin, key, timeBonus }, or a function
+*	                       which takes a row's height and returns them (see defaultItemSpawnRates). {} turns items off.
+*	config.tileSpawnRates: the chance of a door, gate or teleporter in each row, as { door, gate, teleporter }, or a function
+*	                       which takes a row's height and returns them (see defaultTileSpawnRates). {} turns tiles off.
+*	config.enemySpawnRate: the chance of an enemy turning up in each row, or a function which takes a row's height and returns it
+*	                       (see defaultEnemySpawnRate). 0 turns enemies off.
+*	config.enemySpeed: how many steps a second the enemies take (3 by default).
+*	config.chaseDistance: how close (in steps) the character has to be before the enemies give chase (4 by default).
+*	config.lives: how many times the character can be caught before the game is over (3 by default).
+*	config.hazard: turns on survival mode, with lava rising from the bottom. "easy", "normal" or "hard" (see hazardPresets),
+*	               or { delay, startSpeed, acceleration, maxSpeed } of your own. Off if it's missing.
+*	config.savedGame: a saved game to pick up from, instead of making a new maze. Use loadMaze() rather than setting this yourself.
+*/
+function createMaze(config) {
+	config = config || {};
+
+	var seed = config.seed;
+	if (seed === undefined || seed === null || seed === "") {
+		//Only the seed itself is picked with Math.random(). Everything after that is reproducible.
+		seed = Math.floor(Math.random() * 4294967296);
+	}
+	seed = String(seed);
+
+	//All maze generation must call random() instead of Math.random().
+	var random = makeRandom(seed);
+
+	//Items get random numbers of their own, so scattering them doesn't change the maze.
+	var itemRandom = makeRandom(seed + "/items");
+	var itemSpawnRates = config.itemSpawnRates || defaultItemSpawnRates;
+
+	//And so do tiles. Each door gets a number, and so does its key.
+	var tileRandom = makeRandom(seed + "/tiles");
+	var tileSpawnRates = config.tileSpawnRates || defaultTileSpawnRates;
+	var nextDoorId = 1;
+
+	//And so do enemies, which step along whenever the clock says so.
+	var enemyRandom = makeRandom(seed + "/enemies");
+	var enemySpawnRate = config.enemySpawnRate !== undefined ? config.enemySpawnRate : defaultEnemySpawnRate;
+	var enemySpeed = config.enemySpeed || 3;
+	var chaseDistance = config.chaseDistance || 4;
+
+	//Dimensions:
+	var numberOfRowBlocks = config.numberOfRowBlocks || 30;
+	var numberOfVisibleRows = config.numberOfVisibleRows || numberOfRowBlocks;
+	var numberOfColumnPoints = numberOfVisibleRows + 1;
+	var bufferMultiplier = config.bufferMultiplier || 3;
+
+	if (!(Math.floor(bufferMultiplier) == bufferMultiplier && bufferMultiplier >= 2)) {
+		throw new Error("The buffer multiplier must be a whole number, at least 2 (not " + bufferMultiplier + ").");
+	}
+
+	//Make thrice as many rows as we will need (or bufferMultiplier times as many),
+	//so they can constantly auto-generate off-screen before the character gets there.
+	var numberOfRows = (numberOfColumnPoints * bufferMultiplier) - 2;
+	var firstVisibleRow = numberOfColumnPoints * (bufferMultiplier - 1);
+
+	//Moving up past this row shifts the maze. It's just above the middle of the visible rows.
+	//(With the usual three-times buffer, that's numberOfRows * 5/6 - 1.)
+	var shiftRow = ((numberOfRows + firstVisibleRow) / 2) - (5 / 3);
+
+	//The highest row every generator must be able to reach. Row 0 is the newest row, and may still be solid.
+	var topGeneratedRow = 1;
+
+	//Items are scattered over each row as it reaches this row, just above the visible part of the maze.
+	var itemRow = firstVisibleRow - 1;
+
+	var maze;
+	var generator;
+
+	var character;
+
+	//The rows which have fallen off the bottom of the maze (only if config.keepHistory is set), as "#" and "." text.
+	//The oldest (lowest) row comes first.
+	var pastRows = [];
+
+	//The set pieces which have been placed in the maze, and haven't scrolled off the bottom yet.
+	//Each one is { setPiece, height, column, state }. The height is the height of its bottom row, and its state is
+	//"queued" (some of its rows haven't been made yet), "connecting" (waiting for a way out of the top) or "connected".
+	var setPieces = [];
+
+	//The score of this run (see getScore). The rows climbed are the highest height the character has reached
+	//minus the height it started at, which is the same as counting every shift plus the character's row.
+	var score = { startHeight: 0, highestHeight: 0, steps: 0, elapsedTime: 0, coins: 0 };
+
+	//The rising hazard, or null if it's off. Its level is a height (see Row), so it stays put in the maze as the rows shift down.
+	//Rows below the level are flooded. Its time is how long it has been rising, in milliseconds.
+	var hazard = null;
+
+	//The enemies in the maze, and the time since they last stepped.
+	var enemies = [];
+	var enemyClock = 0;
+
+	//How many steps the clock has taken (see tick), and the time handed over since its last step, which isn't a whole step yet.
+	var clockTicks = 0;
+	var spareTime = 0;
+
+	//Why the run ended (see endGame), or null while it's still going.
+	var gameOverReason = null;
+
+	//Lists of functions waiting to hear about each event, keyed by event name.
+	var listeners = {};
+
+	//The plugins which were registered when the maze was made.
+	var plugins = mazePlugins.slice();
+
+	var publicMaze = {
+		seed: seed,
+		numberOfRowBlocks: numberOfRowBlocks,
+		numberOfVisibleRows: numberOfVisibleRows,
+		bufferMultiplier: bufferMultiplier,
+		numberOfRows: numberOfRows,
+		firstVisibleRow: firstVisibleRow,
+		keepsHistory: config.keepHistory === true,
+		move: move,
+		canStep: canStep,
+		getRows: getRows,
+		getRow: getRow,
+		getCharacter: getCharacter,
+		getPastRows: getPastRows,
+		validate: validate,
+		save: save,
+		getConfig: getConfig,
+		queueSetPiece: queueSetPiece,
+		getTopHeight: getTopHeight,
+		getScore: getScore,
+		getEnemies: getEnemies,
+		getHazard: getHazard,
+		tick: tick,
+		getClock: () => clockTicks,
+		getGeneratorDebugInfo: getGeneratorDebugInfo,
+		endGame: endGame,
+		isGameOver: isGameOver,
+		subscribe: subscribe
+	};
+
+	plugins.map(plugin => plugin.setup !== undefined && plugin.setup(publicMaze));
+
+	if (config.savedGame === undefined) {
+		makeMaze(numberOfRows - 1);
+		maze.onCarve = announceCarve;
+		hazard = config.hazard ? makeHazard(config.hazard) : null;
+		(config.setPieces || []).map(piece => placeSetPiece(piece.setPiece, piece.height, piece.column));
+		generator = makeGenerator(config.generator || "paths");
+		makeCharacter(findStartBlock(generator.makePaths()));
+		score.startHeight = score.highestHeight = character.location.row.height;
+		connectSetPieces();
+
+		//Every row of the first maze is checked for tiles against the same searches (see makeTileChecks).
+		var tileChecks = makeTileChecks(repairConnection());
+		for (var i = itemRow; i < numberOfRows; i++) {
+			spawnItems(maze.getRow(i));
+			spawnTiles(maze.getRow(i), tileChecks);
+			spawnEnemy(maze.getRow(i));
+		}
+	} else {
+		//Floors being restored from the saved game weren't carved just now, so nobody hears about them.
+		restoreGame(config.savedGame);
+		maze.onCarve = announceCarve;
+	}
+
+	return publicMaze;
+
+	/**
+		This function creates a grid of Block objects which can either be wall-blocks or floor blocks.
+		Every Block starts out as a wall. The generator carves floors out of them.
+		topHeight is the height of the top row (see Maze).
+	*/
+	function makeMaze(topHeight) {
+		maze = new Maze(numberOfRows);
+		maze.topHeight = topHeight;
+
+		for (var i = 0; i < numberOfRows; i++) {
+			//These Rows are changeable Row objects which flow downward as the character climbs.
+			maze.ring[i] = makeRow(maze.topHeight - i);
+		}
+	}
+
+	//Make one Row full of wall Blocks.
+	function makeRow(height) {
+		var row = new Row(maze, height);
+
+		for (var k = 0; k < numberOfRowBlocks - 1; k++) {
+			row.blocks[k] = new Block(row, k);
+		}
+
+		return row;
+	}
+
+	/**
+	*	There may be many reasons to get a list of blocks adjacent to any specific block.
+	*	This function returns the block's "adjacentBlocks" list (which is worked out fresh every time it's asked for).
+	*/
+	function getAdjacentBlocks(middleBlock) {
+		return middleBlock.adjacentBlocks;
+	}
+
+	/**
+	*	Set up the generator which carves the paths. It may be the name of one of the mazeGenerators (maze_generators.js),
+	*	or a function which makes a custom generator.
+	*/
+	function makeGenerator(chosenGenerator) {
+		var makeChosenGenerator = chosenGenerator;
+
+		if (typeof chosenGenerator != "function") {
+			makeChosenGenerator = mazeGenerators[chosenGenerator];
+		}
+
+		if (typeof makeChosenGenerator != "function") {
+			throw new Error("Unknown maze generator: " + chosenGenerator);
+		}
+
+		return makeChosenGenerator({
+			maze: maze,
+			numberOfRowBlocks: numberOfRowBlocks,
+			random: random,
+			getAdjacentBlocks: getAdjacentBlocks,
+			checkForWallBlocks: checkForWallBlocks,
+			getBlockReference: getBlockReference,
+			findBlock: findBlock,
+			carveCorridor: (fromBlock, isGoal, canEnter) => carveCorridor(maze, fromBlock, isGoal, canEnter),
+			difficulty: config.difficulty,
+			emit: emit,
+			filterNextBlocks: filterNextBlocks,
+			isAllowed: isAllowed
+		});
+	}
+
+	//This function creates a Character object and set its location on the map.
+	//(Wherever the generator says the character starts)
+	function makeCharacter(startBlock) {
+		character = new Character();
+		character.location = startBlock;
+		character.lives = config.lives || 3;
+	}
+
+	/**
+	*	Move the character one block "up", "down", "left" or "right".
+	*	The character can't move into a wall, or off the edge of the maze, or onto a tile which won't let it (see canStep).
+	*	Moving up can shift the whole maze down, causing the generation of a new row.
+	*	Returns true if the character moved. Nothing moves once the game is over.
+	*/
+	function move(direction) {
+		var currentLocation = character.location;
+		var possibleNewLocation = getNeighbour(currentLocation, direction);
+
+		if (gameOverReason !== null) {
+			return false;
+		}
+
+		if (possibleNewLocation === undefined || !canStep(currentLocation, possibleNewLocation, character)) {
+			emit("blocked", {
+				from: currentLocation,
+				to: possibleNewLocation,
+				direction: direction,
+				reason: possibleNewLocation === undefined ? "edge" : possibleNewLocation.isWall ? "wall" : "tile"
+			});
+			return false;
+		}
+
+		//If we've reached halfway up the visible map, shift the maze to make new rows.
+		if (direction == "up" && possibleNewLocation.rowIndex < shiftRow) {
+			shiftMaze();
+		}
+
+		character.location = possibleNewLocation;
+		score.steps++;
+		score.highestHeight = Math.max(score.highestHeight, possibleNewLocation.row.height);
+		emit("move", { from: currentLocation, to: possibleNewLocation, direction: direction });
+
+		var tileType = possibleNewLocation.tile === null ? undefined : tileTypes[possibleNewLocation.tile.type];
+		var entered = tileType !== undefined && tileType.onEnter !== undefined ? tileType.onEnter(possibleNewLocation, character) : undefined;
+		if (entered && entered.teleportTo) {
+			teleport(entered.teleportTo);
+		}
+
+		if (character.location.item !== null) {
+			collectItem(character.location);
+		}
+
+		var enemy = enemies.find(enemy => enemy.location == character.location);
+		if (enemy !== undefined) {
+			catchCharacter(enemy);
+		}
+
+		//Walking down into the lava.
+		checkHazard();
+
+		return true;
+	}
+
+	/**
+	*	Whether walker can step from one Block onto the Block beside it. It can't step into a wall, and a tile has its own say (see maze_tiles.js).
+	*	The walker is the Character, an Enemy, or undefined for the maze itself, which is how the engine checks that the character
+	*	can keep climbing: locked doors count as open (their keys are always on this side of them), gates only go one way,
+	*	and nobody walks past a teleporter.
+	*/
+	function canStep(fromBlock, toBlock, walker) {
+		if (toBlock.isWall == true) {
+			return false;
+		}
+
+		if (toBlock.tile === null) {
+			return true;
+		}
+
+		return tileTypes[toBlock.tile.type].isWalkable(toBlock, walker, getDirection(fromBlock, toBlock));
+	}
+
+	/**
+	*	Send the character from the teleporter it stepped onto to another Block. If that's high up the maze,
+	*	the maze shifts until it isn't, just as if the character had walked there.
+	*/
+	function teleport(toBlock) {
+		var fromBlock = character.location;
+		character.location = toBlock;
+
+		while (character.location.rowIndex < shiftRow) {
+			shiftMaze();
+		}
+
+		score.highestHeight = Math.max(score.highestHeight, toBlock.row.height);
+		emit("teleport", { from: fromBlock, to: toBlock });
+		repairConnection();
+	}
+
+	//Find the block next to this one in the given direction (undefined at the edges of the maze).
+	function getNeighbour(thisBlock, direction) {
+		var rowIndex = thisBlock.rowIndex;
+		var blockIndex = thisBlock.blockIndex;
+
+		switch (direction) {
+			case "up":
+				rowIndex--;
+				break;
+			case "down":
+				rowIndex++;
+				break;
+			case "left":
+				blockIndex--;
+				break;
+			case "right":
+				blockIndex++;
+				break;
+			default:
+				throw new Error("Unknown direction: " + direction);
+		}
+
+		return maze.getBlock(rowIndex, blockIndex);
+	}
+
+	//These next few functions perform all the functions necessary to move the maze down, add new rows,
+	//and remove the old, abandoned rows.
+	//Only the new row is touched. Every other Block works out its rowIndex from the maze, so it "moves down" for free.
+	function shiftMaze() {
+		createNewRow();
+		generator.extendPaths();
+		connectSetPieces();
+		var route = repairConnection();
+		spawnItems(maze.getRow(itemRow));
+		spawnTiles(maze.getRow(itemRow), makeTileChecks(route));
+		spawnEnemy(maze.getRow(itemRow));
+		raiseHazard(0);
+
+		emit("shift", {});
+	}
+
+	/**
+	*	Scatter items over the floors of a row. Each floor gets one roll of the dice, and dead ends (the tips of the branches)
+	*	get a better chance (see deadEndItemBonus). The character's own Block is left empty, and so are tiles,
+	*	and floors which already have something on them (a door's key, left there from the row above).
+	*/
+	function spawnItems(row) {
+		var rates = typeof itemSpawnRates == "function" ? itemSpawnRates(row.height) : itemSpawnRates;
+
+		for (var k = 0; k < row.blocks.length; k++) {
+			var thisBlock = row.blocks[k];
+			if (thisBlock.isWall == true || thisBlock == character.location || thisBlock.tile !== null || thisBlock.item !== null) {
+				continue;
+			}
+
+			var chance = isDeadEnd(thisBlock) ? deadEndItemBonus : 1;
+			var roll = itemRandom();
+
+			for (var type in rates) {
+				roll -= rates[type] * chance;
+				if (roll < 0) {
+					if (isAllowed("item", { block: thisBlock, type: type })) {
+						thisBlock.item = new Item(type);
+					}
+					break;
+				}
+			}
+		}
+	}
+
+	//A dead end is a floor with only one way out.
+	function isDeadEnd(thisBlock) {
+		var waysOut = ["up", "down", "left", "right"].filter(direction => {
+			var neighbour = getNeighbour(thisBlock, direction);
+			return neighbour !== undefined && neighbour.isWall == false;
+		});
+
+		return waysOut.length == 1;
+	}
+
+	/**
+	*	Pick up the item on this Block. A coin adds to the score, a key goes in the character's pocket (character.keys,
+	*	or character.doorKeys if it belongs to a door), and a time bonus takes timeBonusLength off the clock.
+	*/
+	function collectItem(thisBlock) {
+		var item = thisBlock.item;
+		thisBlock.item = null;
+
+		if (item.type == "coin") {
+			score.coins++;
+		} else if (item.type == "key" && item.doorId !== undefined) {
+			character.doorKeys[character.doorKeys.length] = item.doorId;
+		} else if (item.type == "key") {
+			character.keys++;
+		} else if (item.type == "timeBonus") {
+			score.elapsedTime = Math.max(0, score.elapsedTime - timeBonusLength);
+		}
+
+		emit("collect", { item: item, block: thisBlock });
+	}
+
+	/**
+	*	Maybe lay down a door, a gate and a teleporter in a row (see config.tileSpawnRates). Each one is only kept
+	*	if the character can still climb to the top, and still fetch every key it could before.
+	*	(So while the character is cut off from the top, which only happens with config.repair turned off, none are.)
+	*	tileChecks comes from makeTileChecks(), and can be shared by rows which get their tiles one after another.
+	*/
+	function spawnTiles(row, tileChecks) {
+		var rates = typeof tileSpawnRates == "function" ? tileSpawnRates(row.height) : tileSpawnRates;
+
+		if (tileRandom() < (rates.door || 0)) {
+			placeDoor(row, tileChecks);
+		}
+		if (tileRandom() < (rates.gate || 0)) {
+			placeGate(row, tileChecks);
+		}
+		if (tileRandom() < (rates.teleporter || 0)) {
+			placeTeleporter(row, tileChecks);
+		}
+	}
+
+	/**
+	*	Lock a door across a corridor in this row, and leave its key a little way below it: somewhere the character can get to
+	*	without going through any locked door, and which leads on to the door. A dead end if there is one, to make it a detour.
+	*/
+	function placeDoor(row, tileChecks) {
+		var doorBlock = pickBlock(row.blocks.filter(isVerticalCorridor));
+		if (doorBlock === undefined || !isAllowed("tile", { block: doorBlock, type: "door" })) {
+			return;
+		}
+
+		var before = tileChecks.takeStock();
+		doorBlock.tile = new Tile("door");
+		doorBlock.tile.doorId = nextDoorId;
+		doorBlock.tile.isLocked = true;
+
+		//Doors are never in the maze's way (see canStep), so all a new one can spoil is the way to the other doors' keys.
+		var reachable = findReachableWithoutKeys();
+		var keyBlocks = reachable.blocks.filter(block => isFreeFloor(block) &&
+			block.row.height < doorBlock.row.height && block.row.height >= doorBlock.row.height - doorKeyDistance);
+		var keyBlock = pickKeyBlock(doorBlock, keyBlocks.filter(isDeadEnd)) || pickKeyBlock(doorBlock, keyBlocks.filter(block => !isDeadEnd(block)));
+
+		if (keyBlock === undefined || !before.doorKeys.every(doorKey => reachable.has(doorKey.keyBlock))) {
+			doorBlock.tile = null;
+			return;
+		}
+
+		keyBlock.item = new Item("key");
+		keyBlock.item.doorId = nextDoorId++;
+		tileChecks.addDoorKey({ keyBlock: keyBlock, doorBlock: doorBlock }, reachable);
+	}
+
+	//One of these Blocks for a door's key, as long as the door can be got to from it. Undefined if none of the first few will do.
+	function pickKeyBlock(doorBlock, blocks) {
+		for (var tries = 0; tries < 3 && blocks.length > 0; tries++) {
+			var keyBlock = blocks.splice(Math.floor(tileRandom() * blocks.length), 1)[0];
+			if (findReachable(keyBlock, canStep, block => block == doorBlock).isFinished) {
+				return keyBlock;
+			}
+		}
+	}
+
+	//Put a one-way gate, pointing up, across a corridor in this row.
+	function placeGate(row, tileChecks) {
+		var gateBlock = pickBlock(row.blocks.filter(isVerticalCorridor));
+		if (gateBlock === undefined || !isAllowed("tile", { block: gateBlock, type: "gate" })) {
+			return;
+		}
+
+		var before = tileChecks.takeStock();
+		gateBlock.tile = new Tile("gate");
+		gateBlock.tile.direction = "up";
+
+		//There must be a way on up from the far side of the gate, too.
+		if (!tileChecks.stillWork(before, [gateBlock]) || !tileChecks.canClimbFrom(gateBlock)) {
+			gateBlock.tile = null;
+			tileChecks.takeAway();
+		}
+	}
+
+	/**
+	*	Put a teleporter at a dead end in this row, and its partner on any floor further up the maze (but below the top rows,
+	*	which the generator is still working on). A teleporter at a dead end isn't in anybody's way.
+	*/
+	function placeTeleporter(row, tileChecks) {
+		var teleporterBlock = pickBlock(row.blocks.filter(block => isFreeFloor(block) && isDeadEnd(block)));
+		var pairRow = maze.getRow(Math.floor(itemRow / 2) + Math.floor(tileRandom() * ((itemRow / 2) - 2)));
+		var pairBlock = pickBlock(pairRow.blocks.filter(isFreeFloor));
+
+		if (teleporterBlock === undefined || pairBlock === undefined ||
+			!isAllowed("tile", { block: teleporterBlock, type: "teleporter" }) || !isAllowed("tile", { block: pairBlock, type: "teleporter" })) {
+			return;
+		}
+
+		var before = tileChecks.takeStock();
+		teleporterBlock.tile = new Tile("teleporter");
+		pairBlock.tile = new Tile("teleporter");
+		teleporterBlock.tile.pair = pairBlock;
+		pairBlock.tile.pair = teleporterBlock;
+
+		if (!tileChecks.stillWork(before, [teleporterBlock, pairBlock])) {
+			teleporterBlock.tile = null;
+			pairBlock.tile = null;
+			tileChecks.takeAway();
+		}
+	}
+
+	//One of these Blocks, picked at random (undefined if there aren't any).
+	function pickBlock(blocks) {
+		return blocks[Math.floor(tileRandom() * blocks.length)];
+	}
+
+	//A floor with nothing on it, and nobody standing on it.
+	function isFreeFloor(thisBlock) {
+		return thisBlock.isWall == false && thisBlock.tile === null && thisBlock.item === null && thisBlock != character.location &&
+			enemies.every(enemy => enemy.location != thisBlock);
+	}
+
+	//A free floor with floors above and below it, and walls either side. Something across it has to be gone through.
+	function isVerticalCorridor(thisBlock) {
+		var isFloor = direction => getNeighbour(thisBlock, direction) !== undefined && getNeighbour(thisBlock, direction).isWall == false;
+		return isFreeFloor(thisBlock) && isFloor("up") && isFloor("down") && !isFloor("left") && !isFloor("right");
+	}
+
+	function isLockedDoor(thisBlock) {
+		return thisBlock.tile !== null && thisBlock.tile.type == "door" && thisBlock.tile.isLocked == true;
+	}
+
+	/**
+	*	Every floor Block which can be got to from startBlock, one step at a time, as long as canGo(fromBlock, toBlock) says so.
+	*	Returns { blocks, has(block), routeTo(block), isFinished }. routeTo() gives the Blocks along the way from startBlock
+	*	to a Block it got to. The search stops early, with isFinished true, as soon as isFinished(block) is true for a Block
+	*	it gets to (isFinished is optional).
+	*	It runs a few times for every tile laid down, so like the validator it keeps its bookkeeping in flat typed arrays.
+	*/
+	function findReachable(startBlock, canGo, isFinished) {
+		var rowLength = numberOfRowBlocks - 1;
+		var reached = new Uint8Array(numberOfRows * rowLength);
+		var cameFrom = new Int32Array(numberOfRows * rowLength);
+		var slotOf = thisBlock => (thisBlock.rowIndex * rowLength) + thisBlock.blockIndex;
+		var queue = [startBlock];
+		var hasFinished = isFinished !== undefined && isFinished(startBlock);
+
+		reached[slotOf(startBlock)] = 1;
+		cameFrom[slotOf(startBlock)] = -1;
+
+		for (var q = 0; q < queue.length && !hasFinished; q++) {
+			var thisBlock = queue[q];
+			var rowIndex = thisBlock.rowIndex;
+			var neighbours = [
+				maze.getBlock(rowIndex - 1, thisBlock.blockIndex),
+				thisBlock.row.blocks[thisBlock.blockIndex + 1],
+				maze.getBlock(rowIndex + 1, thisBlock.blockIndex),
+				thisBlock.row.blocks[thisBlock.blockIndex - 1]
+			];
+
+			for (var i = 0; i < neighbours.length; i++) {
+				var nBlock = neighbours[i];
+				if (nBlock !== undefined && nBlock.isWall == false && reached[slotOf(nBlock)] == 0 && canGo(thisBlock, nBlock)) {
+					reached[slotOf(nBlock)] = 1;
+					cameFrom[slotOf(nBlock)] = slotOf(thisBlock);
+					queue[queue.length] = nBlock;
+
+					if (isFinished !== undefined && isFinished(nBlock)) {
+						hasFinished = true;
+						break;
+					}
+				}
+			}
+		}
+
+		return {
+			blocks: queue,
+			has: has,
+			routeTo: routeTo,
+			isFinished: hasFinished
+		};
+
+		function has(thisBlock) {
+			return thisBlock.rowIndex < numberOfRows && reached[slotOf(thisBlock)] == 1;
+		}
+
+		function routeTo(thisBlock) {
+			var route = [];
+			for (var slot = slotOf(thisBlock); slot != -1; slot = cameFrom[slot]) {
+				route[route.length] = maze.getBlock(Math.floor(slot / rowLength), slot % rowLength);
+			}
+			return route.reverse();
+		}
+	}
+
+	//Every floor Block the character can get to without going through a locked door. It can always fetch the keys in here.
+	//isFinished is passed on to findReachable.
+	function findReachableWithoutKeys(isFinished) {
+		return findReachable(character.location, (fromBlock, toBlock) => canStep(fromBlock, toBlock) && !isLockedDoor(toBlock), isFinished);
+	}
+
+	//For findReachable: finished once it's got to every one of these Blocks.
+	function isFinishedWithAll(blocks) {
+		var blocksLeft = new Set(blocks);
+		return thisBlock => blocksLeft.delete(thisBlock) && blocksLeft.size == 0;
+	}
+
+	/**
+	*	The searches which check that a new tile doesn't spoil anything, kept between tiles: how things stand before a tile goes down
+	*	(takeStock, the keys, with their doors, which the character can fetch without going through a locked door), and then
+	*	whether the tile has spoilt that, or cut the character off from the top (stillWork).
+	*	The routes the searches found are kept, to the top, to each key, and from each key to its door, and a search is only
+	*	run again when a new tile is on one of them. Tiles only ever stop the character going places, so a route which doesn't
+	*	step on a new tile still works, and a key which was out of reach stays out of reach.
+	*	So the tiles in one row, or in all the rows of the first maze, mostly share the same searches,
+	*	which is what keeps big mazes quick to make and to shift.
+	*	route: the character's route to the top (see validate), if it's already known.
+	*/
+	function makeTileChecks(route) {
+		var doorKeys = null;
+		//The keys the character can fetch, and its route to each one, by the key's Block.
+		var keyRoutes = null;
+		//The route from each key to its door, by the key's Block.
+		var doorRoutes = new Map();
+
+		//How things were before the tile being checked, in case it's taken away again.
+		var routeBefore = null;
+		var keyRoutesBefore = null;
+
+		return {
+			takeStock: takeStock,
+			stillWork: stillWork,
+			canClimbFrom: canClimbFrom,
+			addDoorKey: addDoorKey,
+			takeAway: takeAway
+		};
+
+		function takeStock() {
+			if (doorKeys === null) {
+				doorKeys = findDoorKeys();
+			}
+			if (keyRoutes === null) {
+				keyRoutes = findKeyRoutes();
+			}
+
+			return { doorKeys: doorKeys.filter(doorKey => keyRoutes.has(doorKey.keyBlock)) };
+		}
+
+		function findKeyRoutes(reachable) {
+			var routes = new Map();
+
+			if (doorKeys.length > 0) {
+				reachable = reachable || findReachableWithoutKeys(isFinishedWithAll(doorKeys.map(doorKey => doorKey.keyBlock)));
+				doorKeys.filter(doorKey => reachable.has(doorKey.keyBlock)).map(doorKey => routes.set(doorKey.keyBlock, reachable.routeTo(doorKey.keyBlock)));
+			}
+
+			return routes;
+		}
+
+		//Check the tile on these Blocks. Until takeAway() says otherwise, it's kept, and the checks go on from there.
+		function stillWork(before, tileBlocks) {
+			var isOnTile = block => tileBlocks.indexOf(block) > -1;
+
+			routeBefore = route;
+			keyRoutesBefore = keyRoutes;
+
+			if (route === null || route.some(isOnTile)) {
+				var connection = validate();
+				if (!connection.isConnected) {
+					return false;
+				}
+				route = connection.route;
+			}
+
+			if (before.doorKeys.length == 0) {
+				return true;
+			}
+
+			if (before.doorKeys.some(doorKey => keyRoutes.get(doorKey.keyBlock).some(isOnTile))) {
+				keyRoutes = findKeyRoutes();
+			}
+
+			return before.doorKeys.every(doorKey => keyRoutes.has(doorKey.keyBlock) && canGetToDoor(doorKey, isOnTile));
+		}
+
+		function canGetToDoor(doorKey, isOnTile) {
+			var doorRoute = doorRoutes.get(doorKey.keyBlock);
+			if (doorRoute !== undefined && !doorRoute.some(isOnTile)) {
+				return true;
+			}
+
+			var reachable = findReachable(doorKey.keyBlock, canStep, block => block == doorKey.doorBlock);
+			if (reachable.isFinished) {
+				doorRoutes.set(doorKey.keyBlock, reachable.routeTo(doorKey.doorBlock));
+			}
+			return reachable.isFinished;
+		}
+
+		//Whether there's a way to the top from this Block. Getting onto the character's route is as good as getting to the top.
+		function canClimbFrom(startBlock) {
+			if (route === null) {
+				return findUpwardRoute(maze, startBlock, topGeneratedRow, canStep).isConnected;
+			}
+
+			var onRoute = new Set(route);
+			return findReachable(startBlock, canStep, block => block.rowIndex <= topGeneratedRow || onRoute.has(block)).isFinished;
+		}
+
+		//The tile which was just checked has been taken up again, so things are back the way they were.
+		function takeAway() {
+			route = routeBefore;
+			keyRoutes = keyRoutesBefore;
+		}
+
+		//A door has gone down, and its key can be fetched. reachable is the search placeDoor found the key with, since the door
+		//is in the way of the character's routes to the other keys now, and they have to be found again.
+		function addDoorKey(doorKey, reachable) {
+			doorKeys[doorKeys.length] = doorKey;
+			keyRoutes = findKeyRoutes(reachable);
+		}
+	}
+
+	//The keys still lying in the maze whose doors are still locked, as a list of { keyBlock, doorBlock }.
+	function findDoorKeys() {
+		var doorBlocks = {};
+		var keyBlocks = [];
+
+		for (var i = 0; i < numberOfRows; i++) {
+			var blocks = maze.getRow(i).blocks;
+			for (var k = 0; k < blocks.length; k++) {
+				if (isLockedDoor(blocks[k])) {
+					doorBlocks[blocks[k].tile.doorId] = blocks[k];
+				}
+				if (blocks[k].item !== null && blocks[k].item.doorId !== undefined) {
+					keyBlocks[keyBlocks.length] = blocks[k];
+				}
+			}
+		}
+
+		return keyBlocks
+			.filter(keyBlock => doorBlocks[keyBlock.item.doorId] !== undefined)
+			.map(keyBlock => ({ keyBlock: keyBlock, doorBlock: doorBlocks[keyBlock.item.doorId] }));
+	}
+
+	//Set up the rising hazard from the name of one of the hazardPresets, or settings of its own.
+	function makeHazard(chosenHazard) {
+		var settings = typeof chosenHazard == "string" ? hazardPresets[chosenHazard] : chosenHazard;
+
+		if (settings === undefined) {
+			throw new Error("Unknown hazard: " + chosenHazard);
+		}
+
+		return {
+			delay: settings.delay || 0,
+			startSpeed: settings.startSpeed,
+			acceleration: settings.acceleration,
+			maxSpeed: settings.maxSpeed,
+			level: maze.topHeight - numberOfRows + 1,
+			time: 0
+		};
+	}
+
+	/**
+	*	Raise the hazard for this many milliseconds at its current speed.
+	*	It never falls below the bottom of the maze, so when the maze shifts it's carried up with the bottom row.
+	*/
+	function raiseHazard(timePassed) {
+		if (hazard === null) {
+			return;
+		}
+
+		hazard.time += timePassed;
+		hazard.level += getHazardSpeed() * timePassed / 1000;
+		hazard.level = Math.max(hazard.level, maze.topHeight - numberOfRows + 1);
+
+		emit("hazard", { level: hazard.level });
+		checkHazard();
+	}
+
+	//How many rows a second the hazard is rising right now.
+	function getHazardSpeed() {
+		if (hazard.time < hazard.delay) {
+			return 0;
+		}
+
+		return Math.min(hazard.maxSpeed, hazard.startSpeed + (hazard.acceleration * (hazard.time - hazard.delay) / 1000));
+	}
+
+	//The run is over once the hazard has risen into the character's row.
+	function checkHazard() {
+		if (hazard !== null && hazard.level > character.location.row.height) {
+			endGame("hazard");
+		}
+	}
+
+	//The rising hazard: { level, speed, time, startsIn }, or null if it's off. Rows with a height below the level are flooded.
+	//startsIn is how many milliseconds are left of the character's head start.
+	function getHazard() {
+		if (hazard === null) {
+			return null;
+		}
+
+		return {
+			level: hazard.level,
+			speed: getHazardSpeed(),
+			time: hazard.time,
+			startsIn: Math.max(0, hazard.delay - hazard.time)
+		};
+	}
+
+	/**
+	*	Maybe put an enemy on one of the floors of a row (never too close to the character, or where another enemy already is).
+	*	Half of them wander, and half of them patrol: along the generator's path through their Block, if it has one,
+	*	or else along the corridor they start in.
+	*/
+	function spawnEnemy(row) {
+		var rate = typeof enemySpawnRate == "function" ? enemySpawnRate(row.height) : enemySpawnRate;
+		if (!(enemyRandom() < rate)) {
+			return;
+		}
+
+		var floorBlocks = row.blocks.filter(block => block.isWall == false && block.tile === null && getDistance(block, character.location) >= enemySafeDistance &&
+			enemies.every(otherEnemy => otherEnemy.location != block));
+		if (floorBlocks.length == 0) {
+			return;
+		}
+
+		var enemy = new Enemy(floorBlocks[Math.floor(enemyRandom() * floorBlocks.length)], "wander");
+		if (enemyRandom() < 0.5) {
+			enemy.behaviour = "patrol";
+			enemy.route = findPatrolRoute(enemy.location);
+		}
+
+		if (isAllowed("enemy", { block: enemy.location, behaviour: enemy.behaviour })) {
+			enemies[enemies.length] = enemy;
+		}
+	}
+
+	//A stretch of the generator's path through this Block, or if there isn't one, the corridor leading away from it.
+	function findPatrolRoute(startBlock) {
+		var paths = typeof generator.getPaths == "function" ? generator.getPaths() : [];
+
+		for (var i = 0; i < paths.length; i++) {
+			var index = paths[i].indexOf(startBlock);
+			if (index > -1) {
+				return paths[i].slice(Math.max(0, index - (patrolLength / 2)), index + (patrolLength / 2));
+			}
+		}
+
+		var route = [startBlock];
+		for (var i = 1; i < patrolLength; i++) {
+			var lastBlock = route[route.length - 1];
+			var nextBlocks = getWalkingNeighbours(lastBlock).filter(block => block.isWall == false && route.indexOf(block) == -1);
+			if (nextBlocks.length == 0) {
+				break;
+			}
+			route[route.length] = nextBlocks[Math.floor(enemyRandom() * nextBlocks.length)];
+		}
+
+		return route;
+	}
+
+	//Every enemy takes one step, and any which lands on the character catches it.
+	function moveEnemies() {
+		enemies.slice().map(function (enemy) {
+			var nextBlock = chooseEnemyStep(enemy);
+			if (nextBlock === undefined || gameOverReason !== null) {
+				return;
+			}
+
+			enemy.previousLocation = enemy.location;
+			enemy.location = nextBlock;
+
+			if (nextBlock == character.location) {
+				catchCharacter(enemy);
+			}
+		});
+
+		emit("enemyMove", { enemies: enemies });
+	}
+
+	/**
+	*	Where an enemy goes next. Any enemy chases the character if it's close enough,
+	*	and otherwise it patrols (if that's what it does) or wanders. Undefined if it has nowhere to go.
+	*	(A chasing enemy with another enemy in its way waits for it to move on.)
+	*/
+	function chooseEnemyStep(enemy) {
+		var chaseStep = findStepToward(enemy, character.location, chaseDistance);
+		enemy.isChasing = chaseStep !== undefined;
+
+		if (enemy.isChasing) {
+			return canEnemyStep(enemy, chaseStep) ? chaseStep : undefined;
+		}
+
+		if (enemy.behaviour == "patrol") {
+			var patrolStep = findPatrolStep(enemy);
+			if (patrolStep !== undefined) {
+				return patrolStep;
+			}
+		}
+
+		return findWanderStep(enemy);
+	}
+
+	//Back and forth along the route. A chase can carry an enemy off its route, and then it wanders until it finds the route again.
+	function findPatrolStep(enemy) {
+		var index = enemy.route.indexOf(enemy.location);
+		if (index == -1) {
+			return undefined;
+		}
+
+		for (var tries = 0; tries < 2; tries++) {
+			var nextBlock = enemy.route[index + enemy.routeDirection];
+			if (nextBlock !== undefined && canEnemyStep(enemy, nextBlock)) {
+				return nextBlock;
+			}
+
+			//The end of the route (or a gap in it, where rows have been thrown away) turns the enemy around.
+			enemy.routeDirection = -enemy.routeDirection;
+		}
+
+		return undefined;
+	}
+
+	//A random walk, which only turns back at a dead end.
+	function findWanderStep(enemy) {
+		var nextBlocks = getWalkingNeighbours(enemy.location).filter(block => canEnemyStep(enemy, block));
+		var forwardBlocks = nextBlocks.filter(block => block != enemy.previousLocation);
+
+		if (forwardBlocks.length > 0) {
+			nextBlocks = forwardBlocks;
+		}
+
+		return nextBlocks[Math.floor(enemyRandom() * nextBlocks.length)];
+	}
+
+	//Enemies walk on floors next to them (the way the character does, right down to the bottom row, see getWalkingNeighbours
+	//in maze_validator.js), and never onto each other. They can't open doors either.
+	function canEnemyStep(enemy, thisBlock) {
+		return canStep(enemy.location, thisBlock, enemy) &&
+			thisBlock.rowIndex < numberOfRows &&
+			getWalkingNeighbours(enemy.location).indexOf(thisBlock) > -1 &&
+			enemies.every(otherEnemy => otherEnemy.location != thisBlock);
+	}
+
+	/**
+	*	The first step of the shortest route from an enemy to a Block, if the route is no more than maxSteps long.
+	*	It's a breadth-first search which gives up after maxSteps, so it stays cheap however big the maze is.
+	*/
+	function findStepToward(enemy, toBlock, maxSteps) {
+		var fromBlock = enemy.location;
+
+		if (getDistance(fromBlock, toBlock) > maxSteps) {
+			return undefined;
+		}
+
+		var firstSteps = new Map([[fromBlock, null]]);
+		var current = [fromBlock];
+
+		for (var steps = 0; steps < maxSteps; steps++) {
+			var next = [];
+
+			for (var q = 0; q < current.length; q++) {
+				var neighbours = getWalkingNeighbours(current[q]);
+
+				for (var i = 0; i < neighbours.length; i++) {
+					var nBlock = neighbours[i];
+					if (firstSteps.has(nBlock) || !canStep(current[q], nBlock, enemy)) {
+						continue;
+					}
+
+					firstSteps.set(nBlock, firstSteps.get(current[q]) || nBlock);
+					if (nBlock == toBlock) {
+						return firstSteps.get(nBlock);
+					}
+					next[next.length] = nBlock;
+				}
+			}
+
+			current = next;
+		}
+
+		return undefined;
+	}
+
+	//The number of blocks between two Blocks, across and up (ignoring walls).
+	function getDistance(blockA, blockB) {
+		return Math.abs(blockA.row.height - blockB.row.height) + Math.abs(blockA.blockIndex - blockB.blockIndex);
+	}
+
+	//An enemy caught the character. The enemy is gone, and so is one of the character's lives.
+	function catchCharacter(enemy) {
+		enemies.splice(enemies.indexOf(enemy), 1);
+		character.lives--;
+
+		emit("hit", { enemy: enemy, livesLeft: character.lives });
+
+		if (character.lives <= 0) {
+			endGame("caught");
+		}
+	}
+
+	function getEnemies() {
+		return enemies;
+	}
+
+	/**
+	*	Check that there is a route through the floors from the character up to the top generated row.
+	*	Returns { isConnected, route, highestBlock } (see findUpwardRoute in maze_validator.js).
+	*	Tiles count the way they do for the maze itself (see canStep).
+	*/
+	function validate() {
+		return findUpwardRoute(maze, character.location, topGeneratedRow, canStep);
+	}
+
+	//If the character has been cut off from the top, carve a corridor to get it back on track.
+	//Returns the character's route to the top, if it found one without carving (null if it didn't look, or had to carve).
+	function repairConnection() {
+		if (config.repair === false && generator.needsRepair !== true) {
+			return null;
+		}
+
+		var connection = validate();
+		if (connection.isConnected) {
+			return connection.route;
+		}
+
+		var carvedBlocks = carveConnectingCorridor(maze, character.location, topGeneratedRow, canStep);
+		emit("repair", { carvedBlocks: carvedBlocks });
+		return null;
+	}
+
+	//The new row goes in the slot of the abandoned bottom row, which cuts all ties to it.
+	function createNewRow() {
+		if (config.keepHistory) {
+			pastRows[pastRows.length] = rowToText(maze.getRow(numberOfRows - 1));
+		}
+
+		//A teleporter whose partner is thrown away doesn't go anywhere any more.
+		maze.getRow(numberOfRows - 1).blocks
+			.filter(block => block.tile !== null && block.tile.type == "teleporter" && block.tile.pair !== null)
+			.map(block => block.tile.pair.tile.pair = null);
+
+		maze.addRowAtTop(makeRow(maze.topHeight + 1));
+
+		//Enemies in the row which was thrown away go with it.
+		enemies = enemies.filter(enemy => enemy.location.rowIndex < numberOfRows);
+		setPieces.map(placedPiece => stampSetPiece(placedPiece, maze.getRow(0)));
+
+		emit("rowCreated", { row: maze.getRow(0) });
+	}
+
+	/**
+	*	Queue a set piece (see maze_import.js) to appear in the maze.
+	*	height: the height its bottom row will have. It must be above the top row (see getTopHeight), so it hasn't been made yet.
+	*	column: the blockIndex of its left side. It's centred if this is missing.
+	*	Each row of the set piece is stamped into the maze as createNewRow makes it. Generators can't carve set pieces,
+	*	and the main path is joined into the bottom (or sides) of the set piece and out of its top.
+	*	A start ("@") only counts in set pieces passed to createMaze.
+	*/
+	function queueSetPiece(setPiece, height, column) {
+		if (!(height > maze.topHeight)) {
+			throw new Error("Set pieces must be queued above the top row (height " + maze.topHeight + "), not at height " + height + ".");
+		}
+
+		placeSetPiece(setPiece, height, column);
+		emit("setPiece", { setPiece: setPiece, height: height, column: column });
+	}
+
+	//Add a set piece to the list, and stamp whichever of its rows are already in the maze.
+	function placeSetPiece(setPiece, height, column) {
+		var rowLength = numberOfRowBlocks - 1;
+		var pieceWidth = setPiece.rows[0].length;
+
+		if (column === undefined || column === null) {
+			column = Math.floor((rowLength - pieceWidth) / 2);
+		}
+
+		//The edges of the maze are walls forever.
+		if (column < 1 || column + pieceWidth > rowLength - 1) {
+			throw new Error("A set piece " + pieceWidth + " blocks wide doesn't fit at column " + column + " (the maze is " + rowLength + " blocks wide, and its edges are walls).");
+		}
+
+		if (height < maze.topHeight - numberOfRows + 1) {
+			throw new Error("Height " + height + " has already fallen off the bottom of the maze.");
+		}
+
+		var placedPiece = { setPiece: setPiece, height: height, column: column, state: "queued" };
+
+		for (var i = 0; i < setPieces.length; i++) {
+			if (setPiecesOverlap(placedPiece, setPieces[i])) {
+				throw new Error("That set piece overlaps another one at height " + setPieces[i].height + ".");
+			}
+		}
+
+		setPieces[setPieces.length] = placedPiece;
+
+		for (var i = 0; i < numberOfRows; i++) {
+			stampSetPiece(placedPiece, maze.getRow(i));
+		}
+	}
+
+	function setPiecesOverlap(pieceA, pieceB) {
+		return pieceA.height < pieceB.height + pieceB.setPiece.rows.length &&
+			pieceB.height < pieceA.height + pieceA.setPiece.rows.length &&
+			pieceA.column < pieceB.column + pieceB.setPiece.rows[0].length &&
+			pieceB.column < pieceA.column + pieceA.setPiece.rows[0].length;
+	}
+
+	//If the set piece has a row at this row's height, copy its walls and floors into the row, and fix them in place.
+	function stampSetPiece(placedPiece, row) {
+		var rows = placedPiece.setPiece.rows;
+		var pieceRowIndex = (placedPiece.height + rows.length - 1) - row.height;
+		if (pieceRowIndex < 0 || pieceRowIndex >= rows.length) {
+			return;
+		}
+
+		for (var k = 0; k < rows[pieceRowIndex].length; k++) {
+			var thisBlock = row.blocks[placedPiece.column + k];
+			thisBlock.isWall = rows[pieceRowIndex].charAt(k) != ".";
+			thisBlock.isFixed = true;
+		}
+	}
+
+	/**
+	*	The character starts wherever the generator says, unless a set piece in the maze has a start of its own.
+	*	If a set piece has walled over the generator's start, the character starts on the lowest floor instead.
+	*/
+	function findStartBlock(startBlock) {
+		for (var i = 0; i < setPieces.length; i++) {
+			var start = setPieces[i].setPiece.start;
+			if (start && getSetPieceBlock(setPieces[i], start[0], start[1]) !== undefined) {
+				return getSetPieceBlock(setPieces[i], start[0], start[1]);
+			}
+		}
+
+		for (var i = numberOfRows - 1; startBlock.isWall == true && i >= 0; i--) {
+			startBlock = maze.getRow(i).blocks.find(block => block.isWall == false) || startBlock;
+		}
+
+		return startBlock;
+	}
+
+	/**
+	*	Join every finished set piece into the maze.
+	*	The generator does it if it knows how (see connectSetPiece in maze_generators.js). Otherwise a corridor is carved
+	*	from the character into the set piece, and from the set piece's top up to the nearest floor above it, as soon as there is one.
+	*	Set pieces which have scrolled off the bottom are forgotten.
+	*/
+	function connectSetPieces() {
+		setPieces = setPieces.filter(placedPiece => placedPiece.height + placedPiece.setPiece.rows.length > maze.topHeight - numberOfRows + 1);
+
+		for (var i = 0; i < setPieces.length; i++) {
+			var placedPiece = setPieces[i];
+			var pieceTopHeight = placedPiece.height + placedPiece.setPiece.rows.length - 1;
+
+			if (placedPiece.state == "queued" && pieceTopHeight <= maze.topHeight) {
+				var entrances = getSetPieceEntrances(placedPiece);
+				var exits = getSetPieceExits(placedPiece);
+
+				if (typeof generator.connectSetPiece == "function") {
+					generator.connectSetPiece(entrances, exits);
+					placedPiece.state = "connected";
+				} else {
+					if (entrances.length > 0) {
+						carveCorridor(maze, character.location, block => entrances.indexOf(block) > -1, block => block.isFixed != true || entrances.indexOf(block) > -1);
+					}
+					placedPiece.state = "connecting";
+				}
+			}
+
+			if (placedPiece.state == "connecting") {
+				var topRowIndex = maze.topHeight - pieceTopHeight;
+				var exit = getSetPieceExits(placedPiece)[0];
+
+				//Staying out of the set piece means the corridor has to leave by the exit, instead of going back down and around.
+				if (carveCorridor(maze, exit, block => block.rowIndex < topRowIndex && block.isWall == false, block => block.isFixed != true) !== null) {
+					placedPiece.state = "connected";
+				}
+			}
+		}
+	}
+
+	//A set piece's entrances are the floors along its bottom and sides (not counting its top row).
+	function getSetPieceEntrances(placedPiece) {
+		var rows = placedPiece.setPiece.rows;
+		var entrances = [];
+
+		for (var r = 1; r < rows.length; r++) {
+			for (var k = 0; k < rows[r].length; k++) {
+				if ((r == rows.length - 1 || k == 0 || k == rows[r].length - 1) && rows[r].charAt(k) == ".") {
+					entrances[entrances.length] = getSetPieceBlock(placedPiece, r, k);
+				}
+			}
+		}
+
+		return entrances;
+	}
+
+	//A set piece's exits are the floors along its top row.
+	function getSetPieceExits(placedPiece) {
+		var exits = [];
+		var topRow = placedPiece.setPiece.rows[0];
+
+		for (var k = 0; k < topRow.length; k++) {
+			if (topRow.charAt(k) == ".") {
+				exits[exits.length] = getSetPieceBlock(placedPiece, 0, k);
+			}
+		}
+
+		return exits;
+	}
+
+	//The Block under a set piece's row (counting from its top row at 0) and column. Undefined if that row isn't in the maze.
+	function getSetPieceBlock(placedPiece, pieceRowIndex, pieceColumn) {
+		var height = placedPiece.height + placedPiece.setPiece.rows.length - 1 - pieceRowIndex;
+		return maze.getBlock(maze.topHeight - height, placedPiece.column + pieceColumn);
+	}
+
+	function checkForWallBlocks(thisBlock) {
+		thisBlock.numberOfAdjacentWalls = 0;
+		for (var i = 0; i < thisBlock.adjacentBlocks.length; i++) {
+			if (thisBlock.adjacentBlocks[i].isWall) {
+				thisBlock.numberOfAdjacentWalls++;
+			}
+		}
+	}
+
+	//What the generator is keeping track of (see getDebugInfo in maze_generators.js), or null if it doesn't have a getDebugInfo.
+	function getGeneratorDebugInfo() {
+		return typeof generator.getDebugInfo == "function" ? generator.getDebugInfo() : null;
+	}
+
+	/**
+	*	The config the maze was made with, filled in with the defaults, as something JSON can hold.
+	*	Functions (a custom generator, or spawn rates which change with height) can't be written down, so they're null.
+	*/
+	function getConfig() {
+		return {
+			seed: seed,
+			numberOfRowBlocks: numberOfRowBlocks,
+			numberOfVisibleRows: numberOfVisibleRows,
+			bufferMultiplier: bufferMultiplier,
+			generator: typeof config.generator == "function" ? null : (config.generator || "paths"),
+			repair: config.repair !== false,
+			keepHistory: config.keepHistory === true,
+			itemSpawnRates: typeof itemSpawnRates == "function" ? null : itemSpawnRates,
+			enemySpawnRate: typeof enemySpawnRate == "function" ? null : enemySpawnRate,
+			tileSpawnRates: typeof tileSpawnRates == "function" ? null : tileSpawnRates,
+			enemySpeed: enemySpeed,
+			chaseDistance: chaseDistance,
+			lives: config.lives || 3,
+			hazard: config.hazard || null,
+			difficulty: config.difficulty || null
+		};
+	}
+
+	/**
+	*	Write down everything needed to carry on from exactly this point: the walls, the character,
+	*	the random number generator, and whatever the generator is in the middle of (paths, seeds and so on).
+	*	Blocks are written as [rowIndex, blockIndex] references.
+	*	What the player has explored (for the fog of war) is written row by row: "+" for seen, "-" for never seen.
+	*	Items are written as [rowIndex, blockIndex, type], with the doorId on the end of a door's key.
+	*	Tiles are written as [rowIndex, blockIndex, tile], with any Blocks in the tile (a teleporter's pair) written as { block: reference }.
+	*	A patrolling enemy's route may run into rows which have been thrown away. Those come back as lost Blocks (see findBlock).
+	*/
+	function save() {
+		if (typeof generator.saveState != "function") {
+			throw new Error("This maze's generator can't be saved.");
+		}
+
+		var rows = [];
+		for (var i = 0; i < numberOfRows; i++) {
+			rows[i] = rowToText(maze.getRow(i));
+		}
+
+		return {
+			format: saveFormat,
+			version: saveVersion,
+			config: getConfig(),
+			random: random.getState(),
+			itemRandom: itemRandom.getState(),
+			enemyRandom: enemyRandom.getState(),
+			tileRandom: tileRandom.getState(),
+			nextDoorId: nextDoorId,
+			enemyClock: enemyClock,
+			clock: clockTicks,
+			spareTime: spareTime,
+			hazard: hazard === null ? null : { level: hazard.level, time: hazard.time },
+			enemies: enemies.map(enemy => ({
+				location: getBlockReference(enemy.location),
+				previousLocation: enemy.previousLocation === null ? null : getBlockReference(enemy.previousLocation),
+				behaviour: enemy.behaviour,
+				route: enemy.route.map(getBlockReference),
+				routeDirection: enemy.routeDirection
+			})),
+			topHeight: maze.topHeight,
+			rows: rows,
+			character: getBlockReference(character.location),
+			generator: generator.saveState(),
+			pastRows: pastRows,
+			items: getRows().reduce((items, row) => items.concat(row.blocks
+				.filter(block => block.item !== null)
+				.map(block => [block.rowIndex, block.blockIndex, block.item.type].concat(block.item.doorId !== undefined ? [block.item.doorId] : []))), []),
+			tiles: getRows().reduce((tiles, row) => tiles.concat(row.blocks
+				.filter(block => block.tile !== null)
+				.map(block => [block.rowIndex, block.blockIndex, saveTile(block.tile)])), []),
+			explored: getRows().map(row => row.blocks.map(block => block.isExplored ? "+" : "-").join("")),
+			setPieces: setPieces.map(placedPiece => ({
+				rows: placedPiece.setPiece.rows,
+				start: placedPiece.setPiece.start || null,
+				height: placedPiece.height,
+				column: placedPiece.column,
+				state: placedPiece.state
+			})),
+			score: {
+				startHeight: score.startHeight,
+				highestHeight: score.highestHeight,
+				steps: score.steps,
+				elapsedTime: score.elapsedTime,
+				coins: score.coins,
+				keys: character.keys,
+				doorKeys: character.doorKeys.slice(),
+				lives: character.lives,
+				gameOverReason: gameOverReason
+			}
+		};
+	}
+
+	//Rebuild the maze from a saved game (see save).
+	function restoreGame(savedGame) {
+		if (savedGame.rows.length != numberOfRows) {
+			throw new Error("The saved game has " + savedGame.rows.length + " rows, but this maze needs " + numberOfRows + ".");
+		}
+
+		random.setState(savedGame.random);
+		if (savedGame.itemRandom !== undefined) {
+			itemRandom.setState(savedGame.itemRandom);
+		}
+		if (savedGame.enemyRandom !== undefined) {
+			enemyRandom.setState(savedGame.enemyRandom);
+		}
+		if (savedGame.tileRandom !== undefined) {
+			tileRandom.setState(savedGame.tileRandom);
+		}
+		nextDoorId = savedGame.nextDoorId || 1;
+		makeMaze(savedGame.topHeight);
+
+		for (var i = 0; i < numberOfRows; i++) {
+			var row = maze.getRow(i);
+			for (var k = 0; k < row.blocks.length; k++) {
+				row.blocks[k].isWall = savedGame.rows[i].charAt(k) != ".";
+				row.blocks[k].isExplored = savedGame.explored !== undefined && savedGame.explored[i].charAt(k) == "+";
+			}
+		}
+
+		(savedGame.items || []).map(function (savedItem) {
+			var item = new Item(savedItem[2]);
+			if (savedItem[3] !== undefined) {
+				item.doorId = savedItem[3];
+			}
+			maze.getBlock(savedItem[0], savedItem[1]).item = item;
+		});
+		(savedGame.tiles || []).map(savedTile => maze.getBlock(savedTile[0], savedTile[1]).tile = loadTile(savedTile[2]));
+
+		//The walls and floors of the set pieces are already in the rows, so they only need fixing in place again.
+		setPieces = (savedGame.setPieces || []).map(savedPiece => ({
+			setPiece: { rows: savedPiece.rows, start: savedPiece.start },
+			height: savedPiece.height,
+			column: savedPiece.column,
+			state: savedPiece.state
+		}));
+		for (var i = 0; i < setPieces.length; i++) {
+			for (var r = 0; r < setPieces[i].setPiece.rows.length; r++) {
+				for (var k = 0; k < setPieces[i].setPiece.rows[r].length; k++) {
+					var thisBlock = getSetPieceBlock(setPieces[i], r, k);
+					if (thisBlock !== undefined) {
+						thisBlock.isFixed = true;
+					}
+				}
+			}
+		}
+
+		generator = makeGenerator(config.generator || "paths");
+		if (typeof generator.loadState != "function") {
+			throw new Error("This maze's generator can't be loaded.");
+		}
+		generator.loadState(savedGame.generator);
+
+		makeCharacter(findBlock(savedGame.character));
+		pastRows = (savedGame.pastRows || []).slice();
+
+		//Games saved before there was a score start counting from where they were saved.
+		var savedScore = savedGame.score || {};
+		var characterHeight = character.location.row.height;
+		score = {
+			startHeight: savedScore.startHeight !== undefined ? savedScore.startHeight : characterHeight,
+			highestHeight: savedScore.highestHeight !== undefined ? savedScore.highestHeight : characterHeight,
+			steps: savedScore.steps || 0,
+			elapsedTime: savedScore.elapsedTime || 0,
+			coins: savedScore.coins || 0
+		};
+		character.keys = savedScore.keys || 0;
+		character.doorKeys = (savedScore.doorKeys || []).slice();
+		character.lives = savedScore.lives !== undefined ? savedScore.lives : character.lives;
+
+		enemyClock = savedGame.enemyClock || 0;
+		clockTicks = savedGame.clock || 0;
+		spareTime = savedGame.spareTime || 0;
+		hazard = config.hazard ? makeHazard(config.hazard) : null;
+		if (hazard !== null && savedGame.hazard) {
+			hazard.level = savedGame.hazard.level;
+			hazard.time = savedGame.hazard.time;
+		}
+		enemies = (savedGame.enemies || []).map(function (savedEnemy) {
+			var enemy = new Enemy(findBlock(savedEnemy.location), savedEnemy.behaviour);
+			enemy.previousLocation = savedEnemy.previousLocation === null ? null : findBlock(savedEnemy.previousLocation);
+			enemy.route = savedEnemy.route.map(findBlock);
+			enemy.routeDirection = savedEnemy.routeDirection;
+			return enemy;
+		});
+		gameOverReason = savedScore.gameOverReason || null;
+	}
+
+	/**
+	*	The score of the run so far:
+	*		rowsClimbed - how far above its starting row the character has ever been.
+	*		steps       - how many times the character has moved.
+	*		elapsedTime - how long the run has lasted, in milliseconds (see tick), less any time bonuses.
+	*		coins       - how many coins the character has picked up.
+	*		isOver      - whether the run has ended, and gameOverReason says why (null if it hasn't).
+	*/
+	function getScore() {
+		return {
+			rowsClimbed: score.highestHeight - score.startHeight,
+			steps: score.steps,
+			elapsedTime: score.elapsedTime,
+			coins: score.coins,
+			isOver: gameOverReason !== null,
+			gameOverReason: gameOverReason
+		};
+	}
+
+	/**
+	*	Let time pass, and let the hazard and the enemies move on as many whole steps of the clock (see clockStep) as fit into it.
+	*	Whatever's left over is kept for next time.
+	*	The clock only starts with the character's first step, and stops when the game is over.
+	*/
+	function tick(timePassed) {
+		if (gameOverReason !== null || score.steps == 0) {
+			return;
+		}
+
+		spareTime += timePassed;
+		while (spareTime >= clockStep && gameOverReason === null) {
+			spareTime -= clockStep;
+			runClock();
+		}
+	}
+
+	//One step of the clock.
+	function runClock() {
+		clockTicks++;
+		score.elapsedTime += clockStep;
+		enemyClock += clockStep;
+		raiseHazard(clockStep);
+
+		while (enemyClock >= 1000 / enemySpeed && gameOverReason === null) {
+			enemyClock -= 1000 / enemySpeed;
+			moveEnemies();
+		}
+	}
+
+	//End the run. The reason is whatever ended it: "gaveUp", "caught" when the character runs out of lives,
+	//or "hazard" when the lava gets it. Ending it twice does nothing.
+	function endGame(reason) {
+		if (gameOverReason !== null) {
+			return;
+		}
+
+		gameOverReason = reason || "gaveUp";
+		emit("gameOver", { reason: gameOverReason, score: getScore() });
+	}
+
+	function isGameOver() {
+		return gameOverReason !== null;
+	}
+
+	//Copy a Tile into a plain object, with any Blocks in it written as { block: reference }.
+	function saveTile(tile) {
+		var savedTile = {};
+		for (var key in tile) {
+			savedTile[key] = tile[key] instanceof Block ? { block: getBlockReference(tile[key]) } : tile[key];
+		}
+		return savedTile;
+	}
+
+	function loadTile(savedTile) {
+		var tile = new Tile(savedTile.type);
+		for (var key in savedTile) {
+			var isBlock = savedTile[key] !== null && typeof savedTile[key] == "object" && savedTile[key].block !== undefined;
+			tile[key] = isBlock ? findBlock(savedTile[key].block) : savedTile[key];
+		}
+		return tile;
+	}
+
+	//Write a row down as text: "#" for a wall, "." for a floor.
+	function rowToText(row) {
+		return row.blocks.map(block => block.isWall ? "#" : ".").join("");
+	}
+
+	//Write a Block down as [rowIndex, blockIndex], so it can be saved.
+	function getBlockReference(thisBlock) {
+		return [thisBlock.rowIndex, thisBlock.blockIndex];
+	}
+
+	/**
+	*	Find the Block a [rowIndex, blockIndex] reference points to.
+	*	Paths can still remember Blocks from rows which have since been thrown away.
+	*	Those come back as floor Blocks which are no longer part of the maze (the same Block for the same reference).
+	*/
+	function findBlock(reference) {
+		var thisBlock = maze.getBlock(reference[0], reference[1]);
+
+		if (thisBlock === undefined) {
+			var key = reference.join(",");
+			if (maze.lostBlocks[key] === undefined) {
+				maze.lostBlocks[key] = new Block(new Row(maze, maze.topHeight - reference[0]), reference[1]);
+				maze.lostBlocks[key].isWall = false;
+			}
+			thisBlock = maze.lostBlocks[key];
+		}
+
+		return thisBlock;
+	}
+
+	//A list of the rows of Blocks, from the top (newest, off-screen) row down to the bottom row.
+	//It is a fresh list every time, so use getRow() when only one row is needed.
+	function getRows() {
+		var rows = [];
+		for (var i = 0; i < numberOfRows; i++) {
+			rows[i] = maze.getRow(i);
+		}
+		return rows;
+	}
+
+	//The rows which have fallen off the bottom (see config.keepHistory), oldest (lowest) first, as "#" and "." text.
+	function getPastRows() {
+		return pastRows;
+	}
+
+	//One row of Blocks, counting from the top (newest) row at 0. Undefined outside the maze.
+	function getRow(rowIndex) {
+		return maze.getRow(rowIndex);
+	}
+
+	function getCharacter() {
+		return character;
+	}
+
+	//The height of the top (newest) row. Heights count up from the bottom row of the very first maze.
+	function getTopHeight() {
+		return maze.topHeight;
+	}
+
+	/**
+	*	Ask to hear about an event (see the list at the top of this file).
+	*	The listener is called with an event object. Returns a function which stops listening.
+	*/
+	function subscribe(eventName, listener) {
+		if (listeners[eventName] === undefined) {
+			listeners[eventName] = [];
+		}
+		listeners[eventName][listeners[eventName].length] = listener;
+
+		return function () {
+			var index = listeners[eventName].indexOf(listener);
+			if (index > -1) {
+				listeners[eventName].splice(index, 1);
+			}
+		};
+	}
+
+	function emit(eventName, event) {
+		var eventListeners = (listeners[eventName] || []).slice();
+		event.type = eventName;
+
+		for (var i = 0; i < eventListeners.length; i++) {
+			eventListeners[i](event);
+		}
+	}
+
+	//A Block in the maze has been carved (see Block's isWall). Blocks from thrown-away rows, brought back by findBlock, don't count.
+	function announceCarve(thisBlock) {
+		if (thisBlock.rowIndex >= 0 && thisBlock.rowIndex < numberOfRows && listeners.carve !== undefined) {
+			emit("carve", { block: thisBlock });
+		}
+	}
+
+	//Let every plugin (see mazePlugins) filter the Blocks the path generator is about to pick from, one after another.
+	function filterNextBlocks(blocks, details) {
+		return plugins.reduce((blocks, plugin) => plugin.filterNextBlocks !== undefined ? plugin.filterNextBlocks(blocks, details) : blocks, blocks);
+	}
+
+	//Whether every plugin (see mazePlugins) lets the maze go ahead with a decision. Any one of them can veto it.
+	function isAllowed(decision, details) {
+		return plugins.every(plugin => plugin.allow === undefined || plugin.allow(decision, details) !== false);
+	}
+}
+
+/**
+*	Make a seeded random number generator (mulberry32) which returns numbers from 0 (inclusive) to 1 (exclusive), like Math.random().
+*	The seed may be any string. It is hashed into a 32-bit number first (FNV-1a), so "daily" works just as well as "12345".
+*/
+function makeRandom(seedText) {
+	var state = 2166136261;
+
+	for (var i = 0; i < seedText.length; i++) {
+		state ^= seedText.charCodeAt(i);
+		state = Math.imul(state, 16777619) >>> 0;
+	}
+
+	var random = function () {
+		state = (state + 0x6D2B79F5) >>> 0;
+		var t = state;
+		t = Math.imul(t ^ (t >>> 15), t | 1);
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+
+	//The state is a single number, so saving and loading it puts the generator back exactly where it was.
+	random.getState = function () {
+		return state;
+	};
+	random.setState = function (newState) {
+		state = newState >>> 0;
+	};
+
+	return random;
+}
+
+/**
+*	Pick up a saved game (from maze.save()) where it left off.
+*	options.generator is needed if the game was saved with a custom generator function, since functions can't be saved.
+*	options.itemSpawnRates, options.tileSpawnRates and options.enemySpawnRate are needed for the same reason, if they were functions.
+*/
+function loadMaze(savedGame, options) {
+	options = options || {};
+
+	if (savedGame === null || typeof savedGame != "object" || savedGame.format != saveFormat) {
+		throw new Error("This is not a saved infinite maze.");
+	}
+
+	if (savedGame.version != saveVersion) {
+		throw new Error("Saved games from version " + savedGame.version + " can't be loaded (this is version " + saveVersion + ").");
+	}
+
+	var mazeConfig = restoreConfig(savedGame.config, options);
+	mazeConfig.savedGame = savedGame;
+
+	return createMaze(mazeConfig);
+}
+
+/**
+*	Turn the config in a saved game (maze.save().config) back into a config for createMaze.
+*	Without a saved game to go with it, that makes the same maze again from the start.
+*	The options are the same as loadMaze's.
+*/
+function restoreConfig(savedConfig, options) {
+	options = options || {};
+
+	var generator = options.generator || savedConfig.generator;
+	if (generator === null || generator === undefined) {
+		throw new Error("This game was saved with a custom generator. Pass it in as options.generator to load it.");
+	}
+
+	return {
+		seed: savedConfig.seed,
+		numberOfRowBlocks: savedConfig.numberOfRowBlocks,
+		numberOfVisibleRows: savedConfig.numberOfVisibleRows,
+		bufferMultiplier: savedConfig.bufferMultiplier,
+		generator: generator,
+		repair: savedConfig.repair,
+		keepHistory: savedConfig.keepHistory,
+		itemSpawnRates: options.itemSpawnRates || savedConfig.itemSpawnRates,
+		tileSpawnRates: options.tileSpawnRates || savedConfig.tileSpawnRates,
+		enemySpawnRate: options.enemySpawnRate !== undefined || savedConfig.enemySpawnRate === null ? options.enemySpawnRate : savedConfig.enemySpawnRate,
+		enemySpeed: savedConfig.enemySpeed,
+		chaseDistance: savedConfig.chaseDistance,
+		lives: savedConfig.lives,
+		hazard: savedConfig.hazard,
+		difficulty: savedConfig.difficulty || undefined
+	};
+}
+
+
+//These are the functions which act as classes for objects in the game.
+
+function Character() {
+	this.location;
+
+	//Keys the character has picked up (see collectItem). Keys that belong to doors are kept apart, by the doors' doorIds,
+	//since they only open their own door. The others open any door.
+	this.keys = 0;
+	this.doorKeys = [];
+
+	//How many more times enemies can catch the character (see catchCharacter).
+	this.lives = 3;
+}
+
+/**
+*	Something that walks the maze on its own, and catches the character if it touches it.
+*	Its behaviour is "wander" or "patrol". A patrolling enemy walks back and forth along its route (a list of Blocks).
+*/
+function Enemy(location, behaviour) {
+	this.location = location;
+	this.previousLocation = null;
+	this.behaviour = behaviour;
+	this.route = [];
+	this.routeDirection = 1;
+
+	//Whether it's chasing the character right now.
+	this.isChasing = false;
+}
+
+//Something lying on a floor Block, waiting to be picked up: a "coin", a "key" or a "timeBonus".
+//A key left for a door (see placeDoor) has the door's doorId too.
+function Item(type) {
+	this.type = type;
+}
+
+/**
+*	The Maze keeps its rows in a circular buffer (the "ring").
+*	Shifting the maze down just overwrites the bottom row with a new top row, and moves the top along one slot.
+*	No other row, and no Block, has to move.
+*
+*	Heights count up from the bottom row of the very first maze, and never change.
+*	A row's rowIndex (counting down from the top row at 0) is worked out from its height and the height of the top row.
+*/
+function Maze(numberOfRows) {
+	this.numberOfRows = numberOfRows;
+	this.ring = [];
+	this.topSlot = 0;
+	this.topHeight = numberOfRows - 1;
+
+	//Blocks from thrown-away rows which a loaded game still remembers (see findBlock), keyed by "rowIndex,blockIndex".
+	this.lostBlocks = {};
+
+	//Called with each of its Blocks which is carved (see Block's isWall), or null if nobody needs to know.
+	this.onCarve = null;
+}
+
+//Get a row by its rowIndex. Undefined outside the maze.
+Maze.prototype.getRow = function (rowIndex) {
+	if (rowIndex < 0 || rowIndex >= this.numberOfRows) {
+		return undefined;
+	}
+	return this.ring[(this.topSlot + rowIndex) % this.numberOfRows];
+};
+
+Maze.prototype.getBlock = function (rowIndex, blockIndex) {
+	var row = this.getRow(rowIndex);
+	return row === undefined ? undefined : row.blocks[blockIndex];
+};
+
+//Put a new row on top, in the slot of the bottom row (which is thrown away).
+Maze.prototype.addRowAtTop = function (row) {
+	this.topSlot = (this.topSlot + this.numberOfRows - 1) % this.numberOfRows;
+	this.topHeight++;
+	this.ring[this.topSlot] = row;
+};
+
+/**
+*	Work out the blocks adjacent to a block.
+*	The list will start at the top with [0], and move clockwise for [1, 2, 3].
+*	A block in a row which has been thrown away has no neighbours at all.
+*/
+Maze.prototype.getAdjacentBlocks = function (middleBlock) {
+	var aBlocks = [];
+	var thisRowIndex = middleBlock.rowIndex;
+	var thisBlockIndex = middleBlock.blockIndex;
+	var rowLength = middleBlock.row.blocks.length;
+
+	if (thisRowIndex < 0 || thisRowIndex >= this.numberOfRows) {
+		return aBlocks;
+	}
+
+	//check to see if each block really exists, then add that block to the list.
+	if (thisRowIndex > 0) {
+		aBlocks[aBlocks.length] = this.getBlock(thisRowIndex - 1, thisBlockIndex);
+	}
+
+	if (thisBlockIndex < rowLength - 1) {
+		aBlocks[aBlocks.length] = this.getBlock(thisRowIndex, thisBlockIndex + 1);
+	}
+
+	if (thisRowIndex < this.numberOfRows - 3) {
+		aBlocks[aBlocks.length] = this.getBlock(thisRowIndex + 1, thisBlockIndex);
+	}
+
+	if (thisBlockIndex > 0) {
+		aBlocks[aBlocks.length] = this.getBlock(thisRowIndex, thisBlockIndex - 1);
+	}
+
+	return aBlocks;
+};
+
+//A Block knows where it is in the maze (its Row and blockIndex), but not where it is on any screen.
+function Block(row, blockIndex) {
+	//Whether it's a wall (see isWall, below).
+	this.wall = true;
+
+	//Blocks belonging to a set piece are fixed. Nothing may carve them.
+	this.isFixed = false;
+
+	//Fog of war (see maze_visibility.js): whether the player can see this Block right now, and whether they ever have.
+	this.isVisible = false;
+	this.isExplored = false;
+
+	this.row = row;
+	this.blockIndex = blockIndex;
+	this.numberOfAdjacentWalls = 0;
+
+	//The Item lying here, if there is one. It goes wherever the Block goes, and is thrown away with its row.
+	this.item = null;
+
+	//The Tile on this floor (see maze_tiles.js), if there is one. Like an Item, it goes wherever the Block goes.
+	this.tile = null;
+}
+
+//A Block's rowIndex comes from its Row, so it goes up by one every time the maze shifts without anybody touching the Block.
+Object.defineProperty(Block.prototype, "rowIndex", {
+	get: function () {
+		return this.row.maze.topHeight - this.row.height;
+	}
+});
+
+//Turning a wall into a floor "carves" it, and the Block's Maze is told (see onCarve), whoever did it and however they did it.
+Object.defineProperty(Block.prototype, "isWall", {
+	get: function () {
+		return this.wall;
+	},
+	set: function (isWall) {
+		var wasWall = this.wall;
+		this.wall = isWall;
+
+		if (wasWall && !isWall && this.row.maze.onCarve !== null) {
+			this.row.maze.onCarve(this);
+		}
+	}
+});
+
+//Neighbours are worked out when they are asked for, instead of being stored and rebuilt after every shift.
+Object.defineProperty(Block.prototype, "adjacentBlocks", {
+	get: function () {
+		return this.row.maze.getAdjacentBlocks(this);
+	}
+});
+
+/* A Row holds one horizontal line of Block objects, at a fixed height in its Maze. */
+function Row(maze, height) {
+	this.maze = maze;
+	this.height = height;
+	this.blocks = [];
+}
+
+//Node scripts can require() the engine. In the browser these are ordinary globals.
+if (typeof module !== "undefined" && module.exports) {
+	module.exports = {
+		createMaze: createMaze,
+		loadMaze: loadMaze,
+		restoreConfig: restoreConfig,
+		registerPlugin: registerPlugin,
+		makeRandom: makeRandom,
+		clockStep: clockStep
+	};
+}
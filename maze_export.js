@@ -0,0 +1,296 @@
+/**
+The MIT License (MIT)
+
+Copyright (c) 2024 Matt Payne
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+THE SOFTWARE.
+*/
+
+/**
+*	Exporters write a maze out in formats other tools can use:
+*		exportAscii(maze, options)      - a text grid: "#" for walls, "." for floors and "@" for the character.
+*		exportSvg(maze, options)        - an SVG image, as text.
+*		exportTiledMap(maze, options)   - a map for the Tiled editor (its JSON format), with one tile layer and the character as a point.
+*		exportPng(maze, options)        - a PNG image, from the game's canvas or drawn afresh. This one only works in the browser.
+*
+*	options.region picks which rows are exported:
+*		"visible" (the default) - the rows on screen.
+*		"buffer"                - every row, including the two thirds which are generated off-screen.
+*		"history"               - the whole climb so far: every row which has fallen off the bottom, and then the whole buffer.
+*		                          The maze must be made with createMaze({ keepHistory: true }).
+*	options.blockSize is the size of a block in pixels, for the image and Tiled formats (10 by default).
+*/
+
+/**
+*	Gather the rows to export, top row first, as lists of true (wall) and false (floor),
+*	and find where the character is among them.
+*/
+function getExportGrid(maze, region) {
+	var walls = [];
+	var firstRow = 0;
+	var pastRows = [];
+
+	if (region === undefined || region == "visible") {
+		firstRow = maze.firstVisibleRow;
+	} else if (region == "history") {
+		if (!maze.keepsHistory) {
+			throw new Error("This maze isn't keeping its history. Make it with createMaze({ keepHistory: true }).");
+		}
+		pastRows = maze.getPastRows();
+	} else if (region != "buffer") {
+		throw new Error("Unknown export region: " + region);
+	}
+
+	for (var i = firstRow; i < maze.numberOfRows; i++) {
+		walls[walls.length] = maze.getRow(i).blocks.map(block => block.isWall);
+	}
+
+	//The past rows are oldest (lowest) first, so they go onto the bottom in reverse.
+	for (var i = pastRows.length - 1; i >= 0; i--) {
+		walls[walls.length] = pastRows[i].split("").map(cell => cell == "#");
+	}
+
+	var location = maze.getCharacter().location;
+
+	return {
+		walls: walls,
+		width: walls[0].length,
+		height: walls.length,
+		characterRow: location.rowIndex - firstRow,
+		characterColumn: location.blockIndex
+	};
+}
+
+function exportAscii(maze, options) {
+	options = options || {};
+	var grid = getExportGrid(maze, options.region);
+	var lines = [];
+
+	for (var r = 0; r < grid.height; r++) {
+		var line = "";
+		for (var k = 0; k < grid.width; k++) {
+			if (r == grid.characterRow && k == grid.characterColumn) {
+				line += "@";
+			} else {
+				line += grid.walls[r][k] ? "#" : ".";
+			}
+		}
+		lines[r] = line;
+	}
+
+	return lines.join("\n") + "\n";
+}
+
+/**
+*	Walls are drawn black on a white background, and the character is a red circle (just like on the canvas).
+*	Each run of walls along a row is drawn as a single rectangle, to keep the file small.
+*/
+function exportSvg(maze, options) {
+	options = options || {};
+	var grid = getExportGrid(maze, options.region);
+	var blockSize = options.blockSize || 10;
+	var width = grid.width * blockSize;
+	var height = grid.height * blockSize;
+
+	var svg = [
+		'<svg xmlns="http://www.w3.org/2000/svg" width="' + width + '" height="' + height + '" viewBox="0 0 ' + width + ' ' + height + '">',
+		'<rect width="' + width + '" height="' + height + '" fill="#FFFFFF"/>',
+		'<g fill="#000000">'
+	];
+
+	for (var r = 0; r < grid.height; r++) {
+		for (var k = 0; k < grid.width; k++) {
+			if (grid.walls[r][k]) {
+				var runLength = 1;
+				while (k + runLength < grid.width && grid.walls[r][k + runLength]) {
+					runLength++;
+				}
+
+				svg[svg.length] = '<rect x="' + (k * blockSize) + '" y="' + (r * blockSize) + '" width="' + (runLength * blockSize) + '" height="' + blockSize + '"/>';
+				k += runLength - 1;
+			}
+		}
+	}
+
+	svg[svg.length] = '</g>';
+
+	if (grid.characterRow >= 0 && grid.characterRow < grid.height) {
+		svg[svg.length] = '<circle cx="' + ((grid.characterColumn + 0.5) * blockSize) + '" cy="' + ((grid.characterRow + 0.5) * blockSize) +
+			'" r="' + (blockSize / 2) + '" fill="#FF0000" stroke="#000000"/>';
+	}
+
+	svg[svg.length] = '</svg>';
+
+	return svg.join("\n") + "\n";
+}
+
+/**
+*	Make a Tiled map (https://www.mapeditor.org/, JSON map format) as an object, ready for JSON.stringify.
+*	Tile 1 is a floor and tile 2 is a wall, from a two-tile tileset with an "isWall" property. Its image is maze_tiles.png
+*	(in the repo: a white floor then a black wall, 10 pixels each), which needs to sit next to the map file for Tiled to find it.
+*	The tileset asks Tiled to stretch its tiles to the map's grid, so any blockSize works.
+*	The character goes in an object layer, as a point in the middle of its block.
+*/
+function exportTiledMap(maze, options) {
+	options = options || {};
+	var grid = getExportGrid(maze, options.region);
+	var blockSize = options.blockSize || 10;
+	var floorTile = 1;
+	var wallTile = 2;
+	var data = [];
+
+	for (var r = 0; r < grid.height; r++) {
+		for (var k = 0; k < grid.width; k++) {
+			data[data.length] = grid.walls[r][k] ? wallTile : floorTile;
+		}
+	}
+
+	var characterObjects = [];
+	if (grid.characterRow >= 0 && grid.characterRow < grid.height) {
+		characterObjects[0] = {
+			id: 1,
+			name: "character",
+			type: "",
+			point: true,
+			x: (grid.characterColumn + 0.5) * blockSize,
+			y: (grid.characterRow + 0.5) * blockSize,
+			width: 0,
+			height: 0,
+			rotation: 0,
+			visible: true
+		};
+	}
+
+	return {
+		type: "map",
+		version: "1.10",
+		orientation: "orthogonal",
+		renderorder: "right-down",
+		infinite: false,
+		width: grid.width,
+		height: grid.height,
+		tilewidth: blockSize,
+		tileheight: blockSize,
+		nextlayerid: 3,
+		nextobjectid: 2,
+		properties: [
+			{ name: "seed", type: "string", value: maze.seed }
+		],
+		tilesets: [
+			{
+				firstgid: 1,
+				name: "maze",
+				image: "maze_tiles.png",
+				imagewidth: 20,
+				imageheight: 10,
+				tilewidth: 10,
+				tileheight: 10,
+				tilecount: 2,
+				columns: 2,
+				margin: 0,
+				spacing: 0,
+				tilerendersize: "grid",
+				fillmode: "stretch",
+				tiles: [
+					{ id: floorTile - 1, properties: [{ name: "isWall", type: "bool", value: false }] },
+					{ id: wallTile - 1, properties: [{ name: "isWall", type: "bool", value: true }] }
+				]
+			}
+		],
+		layers: [
+			{
+				id: 1,
+				name: "maze",
+				type: "tilelayer",
+				x: 0,
+				y: 0,
+				width: grid.width,
+				height: grid.height,
+				opacity: 1,
+				visible: true,
+				data: data
+			},
+			{
+				id: 2,
+				name: "character",
+				type: "objectgroup",
+				draworder: "topdown",
+				x: 0,
+				y: 0,
+				opacity: 1,
+				visible: true,
+				objects: characterObjects
+			}
+		]
+	};
+}
+
+/**
+*	Turn the maze into a PNG. Browser only. Returns a Promise of the PNG as a Blob.
+*	options.canvas is the game's canvas (the one given to createCanvasRenderer()). For the "visible" region it's exported
+*	just as it is, with the theme and tileset art. Other regions have rows which aren't on it, so those (and any export without
+*	options.canvas) are drawn afresh in plain black and white, like the SVG.
+*/
+function exportPng(maze, options) {
+	options = options || {};
+	if (options.canvas && (options.region === undefined || options.region == "visible")) {
+		return new Promise(resolve => options.canvas.toBlob(resolve, "image/png"));
+	}
+	var grid = getExportGrid(maze, options.region);
+	var blockSize = options.blockSize || 10;
+	var pngCanvas = document.createElement("canvas");
+	var context = pngCanvas.getContext("2d");
+
+	pngCanvas.width = grid.width * blockSize;
+	pngCanvas.height = grid.height * blockSize;
+
+	context.fillStyle = "#FFFFFF";
+	context.fillRect(0, 0, pngCanvas.width, pngCanvas.height);
+
+	context.fillStyle = "#000000";
+	for (var r = 0; r < grid.height; r++) {
+		for (var k = 0; k < grid.width; k++) {
+			if (grid.walls[r][k]) {
+				context.fillRect(k * blockSize, r * blockSize, blockSize, blockSize);
+			}
+		}
+	}
+
+	if (grid.characterRow >= 0 && grid.characterRow < grid.height) {
+		context.strokeStyle = "#000000";
+		context.fillStyle = "#FF0000";
+		context.beginPath();
+		context.arc((grid.characterColumn + 0.5) * blockSize, (grid.characterRow + 0.5) * blockSize, blockSize / 2, 0, 2 * Math.PI);
+		context.fill();
+		context.stroke();
+		context.closePath();
+	}
+
+	return new Promise(resolve => pngCanvas.toBlob(resolve, "image/png"));
+}
+
+//Node scripts can require() the exporters. In the browser these are ordinary globals.
+if (typeof module !== "undefined" && module.exports) {
+	module.exports = {
+		exportAscii: exportAscii,
+		exportSvg: exportSvg,
+		exportTiledMap: exportTiledMap,
+		exportPng: exportPng
+	};
+}
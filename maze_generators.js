@@ -0,0 +1,1046 @@
+/**
+The MIT License (MIT)
+
+Copyright (c) 2024 Matt Payne
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+THE SOFTWARE.
+*/
+
+/**
+*	Maze generators decide which of the engine's wall Blocks become floors.
+*	The engine picks one at startup with createMaze({ generator: "eller" }).
+*
+*	A generator is made by a function which is handed the maze's generator tools,
+*	and which returns an object with these functions:
+*		makePaths()       - carve the brand-new maze (every Block starts as a wall), and return the Block where the character starts.
+*		extendPaths()     - carve into the fresh row of walls which appears at the top (rowIndex 0) every time the maze shifts down.
+*		connectSetPiece(entrances, exits) - (optional) a set piece has just been finished at the top of the maze. Join it into the paths.
+*		getPaths()        - (optional) return the routes the generator has carved, as lists of Blocks, each one a step from the last.
+*		                    Enemies patrol back and forth along them (see maze_engine.js).
+*		saveState()       - (optional) return everything the generator is in the middle of, as something JSON can hold.
+*		loadState(state)  - (optional) pick up from a saveState() in a maze whose walls have already been restored.
+*		needsRepair       - (optional) true if the generator can't keep every floor connected to the top by itself. The engine's repair
+*		                    (see maze_engine.js) is always on for it, even with config.repair set to false.
+*		getDebugInfo()    - (optional) return what the generator is in the middle of, as Blocks, for the debug overlay and minimap
+*		                    (see maze_debug.js). The path generator returns { mainPath, paths, pathsToSplice, pathSeeds, secondSeeds }.
+*	A maze can only be saved and loaded if its generator has saveState and loadState.
+*
+*	The generator tools are:
+*		maze                 - the Maze. maze.getRow(rowIndex) counts from the top (newest, off-screen) row at 0
+*		                       down to the bottom row at maze.numberOfRows - 1.
+*		numberOfRowBlocks    - the number of blocks across the visible part of the maze.
+*		random()             - the maze's seeded random number generator. Generators must never call Math.random().
+*		getAdjacentBlocks()  - get a block's "adjacentBlocks" list (the same as reading block.adjacentBlocks).
+*		checkForWallBlocks() - count a block's adjacent walls into its "numberOfAdjacentWalls".
+*		getBlockReference()  - write a Block down as [rowIndex, blockIndex], for saving.
+*		findBlock()          - find the Block for a [rowIndex, blockIndex] reference, for loading.
+*		carveCorridor()      - carveCorridor(fromBlock, isGoal, canEnter) knocks down the fewest walls between fromBlock and a Block where isGoal(block) is true
+*		                       (see maze_validator.js).
+*		difficulty           - config.difficulty from createMaze: the name of one of the difficultyProfiles, or a profile of its own
+*		                       (see below). Undefined if it wasn't set. The path generator follows it, and the others ignore it.
+*		emit()               - emit(eventName, event) fires one of the maze's events (see maze_engine.js), like "pathCreated".
+*		filterNextBlocks()   - filterNextBlocks(blocks, details) lets the maze's plugins (see registerPlugin in maze_engine.js) cross off
+*		                       Blocks a path might grow into next. It returns the ones which are left.
+*		isAllowed()          - isAllowed(decision, details) asks the plugins whether the generator may go ahead with something, like "branchSeed".
+*
+*	Every Block a generator carves (by setting isWall to false) is announced by the engine as a "carve" event, whichever generator it is.
+*
+*	Set pieces (see maze_import.js) are stamped into the maze by the engine. Their Blocks have isFixed set,
+*	and generators must never carve them.
+*
+*	Custom generators can be passed straight in: createMaze({ generator: function (tools) { ... } }).
+*/
+
+var mazeGenerators = {
+	paths: createPathGenerator,
+	eller: createEllerGenerator,
+	growingTree: createGrowingTreeGenerator
+};
+
+/**
+*	The numbers which shape the path generator's mazes. These are the ones it has always used.
+*	The chances are checked once for each Block a path grows by. Lengths are multiplied by numberOfRowBlocks.
+*	A path only grows into a wall with more than its "wall threshold" of walls around it, which keeps it from running
+*	alongside another path. The top row (rowIndex 1) has thresholds of its own.
+*	On their own, the paths make a tree: there's only ever one way between two Blocks, and every branch ends in a dead end.
+*	Braiding and rooms open it up, one row at a time (see finishRow), so they carry on up the whole climb.
+*/
+var classicPathSettings = {
+	//The chance of the first main path setting aside a Block to sprout a branch.
+	startSeedChance: 4 / 21,
+	//The chance of the main path setting aside a Block to sprout a branch, as it carries on climbing.
+	mainPathSeedChance: 1 / 7,
+	//The chance of a new branch, and of a branch as it carries on, setting aside a Block to sprout a branch of its own.
+	branchSeedChance: 3 / 20,
+	branchExtendSeedChance: 1 / 9,
+	//How long the main path remembers, and the longest a branch can grow.
+	mainPathLength: 20,
+	branchLength: 2,
+	//Wall thresholds. While the first main path is made, Blocks above each of its two thresholds are more likely to be picked.
+	mainPathWallThreshold: 1,
+	mainPathSecondWallThreshold: 2,
+	topRowMainPathWallThreshold: 2,
+	branchWallThreshold: 2,
+	topRowBranchWallThreshold: 1,
+	//The share of dead ends which are knocked through into the corridor beyond them, making loops. 0 keeps the maze a tree.
+	braidFactor: 0,
+	//The chance of each row getting a room: an open rectangle carved between the paths, up to roomSize blocks across and down.
+	roomChance: 0,
+	roomSize: 4
+};
+
+/**
+*	Difficulty profiles change the path generator's settings as the character climbs.
+*	A profile is a list of steps, lowest first. Each step has a height, and any of the classicPathSettings.
+*	Between two steps, every setting slides from one to the other as the maze climbs, and above the last step they stay put.
+*	Settings a step leaves out are carried on from the step before (or from the classic settings).
+*	Custom profiles can be written in JSON, and read with loadDifficultyProfile().
+*/
+var difficultyProfiles = {
+	//The same at every height.
+	classic: [
+		{ height: 0 }
+	],
+	//Fewer, shorter branches the higher it goes, so there are fewer places to go wrong, and fewer places to hide.
+	sparse: [
+		{ height: 0 },
+		{ height: 1500, startSeedChance: 0.1, mainPathSeedChance: 0.06, branchSeedChance: 0.06, branchExtendSeedChance: 0.04, branchLength: 1 }
+	],
+	//Longer branches, which wind a long way before they give up.
+	twisty: [
+		{ height: 0 },
+		{ height: 1000, branchLength: 5, branchExtendSeedChance: 0.05 }
+	],
+	//More and more branches, so there are more and more wrong turns.
+	branchy: [
+		{ height: 0 },
+		{ height: 1500, startSeedChance: 0.3, mainPathSeedChance: 0.3, branchSeedChance: 0.25, branchExtendSeedChance: 0.2, branchLength: 3 }
+	],
+	//More and more loops and rooms, so there's more than one way up, and fewer dead ends to get stuck in.
+	braided: [
+		{ height: 0, braidFactor: 0.2, roomChance: 0.03 },
+		{ height: 1500, braidFactor: 0.6, roomChance: 0.1, roomSize: 6 }
+	]
+};
+
+//Settings which have to be whole numbers, and the ones which are chances (from 0 to 1).
+var wholeNumberPathSettings = ["mainPathWallThreshold", "mainPathSecondWallThreshold", "topRowMainPathWallThreshold", "branchWallThreshold", "topRowBranchWallThreshold", "roomSize"];
+var chancePathSettings = ["startSeedChance", "mainPathSeedChance", "branchSeedChance", "branchExtendSeedChance", "braidFactor", "roomChance"];
+
+/**
+*	Read a difficulty profile from JSON (text, or already parsed): a list of steps, or { "steps": [...] }.
+*	Throws an Error saying what's wrong with it if it isn't a profile.
+*/
+function loadDifficultyProfile(profileJson) {
+	var profile = profileJson;
+
+	if (typeof profileJson == "string") {
+		try {
+			profile = JSON.parse(profileJson);
+		} catch (error) {
+			throw new Error("The difficulty profile isn't JSON: " + error.message);
+		}
+	}
+
+	if (profile !== null && typeof profile == "object" && !Array.isArray(profile)) {
+		profile = profile.steps;
+	}
+
+	if (!Array.isArray(profile) || profile.length == 0) {
+		throw new Error("A difficulty profile is a list of steps, each with a height.");
+	}
+
+	for (var i = 0; i < profile.length; i++) {
+		var step = profile[i];
+
+		if (step === null || typeof step != "object" || typeof step.height != "number") {
+			throw new Error("Step " + (i + 1) + " of the difficulty profile needs a height.");
+		}
+		if (i > 0 && !(step.height > profile[i - 1].height)) {
+			throw new Error("The steps of a difficulty profile have to go up in height (step " + (i + 1) + " doesn't).");
+		}
+
+		for (var setting in step) {
+			if (setting == "height") {
+				continue;
+			}
+			if (!(setting in classicPathSettings)) {
+				throw new Error("Step " + (i + 1) + " of the difficulty profile has a setting nobody knows: " + setting + ".");
+			}
+			if (typeof step[setting] != "number" || !(step[setting] >= 0) ||
+				(chancePathSettings.indexOf(setting) > -1 && step[setting] > 1)) {
+				throw new Error("Step " + (i + 1) + " of the difficulty profile has a bad " + setting + ": " + step[setting] + ".");
+			}
+		}
+	}
+
+	return profile;
+}
+
+/**
+*	Turn a difficulty profile (or the name of one of the difficultyProfiles) into a function
+*	which takes a height and returns the full set of path settings for it.
+*/
+function makeDifficulty(chosenProfile) {
+	var profile = chosenProfile || "classic";
+
+	if (typeof profile == "string") {
+		if (difficultyProfiles[profile] === undefined) {
+			throw new Error("Unknown difficulty profile: " + profile);
+		}
+		profile = difficultyProfiles[profile];
+	}
+
+	profile = loadDifficultyProfile(profile);
+
+	//Fill in every setting of every step, so they can be slid between.
+	var steps = [];
+	for (var i = 0; i < profile.length; i++) {
+		steps[i] = Object.assign({}, i == 0 ? classicPathSettings : steps[i - 1], profile[i]);
+	}
+
+	return function (height) {
+		var next = steps.findIndex(step => step.height > height);
+
+		if (next == 0 || next == -1) {
+			return steps[next == 0 ? 0 : steps.length - 1];
+		}
+
+		var lower = steps[next - 1];
+		var upper = steps[next];
+		var progress = (height - lower.height) / (upper.height - lower.height);
+		var settings = {};
+
+		for (var setting in classicPathSettings) {
+			settings[setting] = lower[setting] + ((upper[setting] - lower[setting]) * progress);
+			if (wholeNumberPathSettings.indexOf(setting) > -1) {
+				settings[setting] = Math.round(settings[setting]);
+			}
+		}
+
+		return settings;
+	};
+}
+
+/**
+*	The original generator. There is one "main" path which never travels downward, climbing forever as the maze shifts.
+*	Branching paths may go in any direction.
+*	Its numbers come from the difficulty profile (see difficultyProfiles), at the height of the top row.
+*	(Rooms and braiding go by the height of the row they're carved in.)
+*/
+function createPathGenerator(tools) {
+	var maze = tools.maze;
+	var numberOfRowBlocks = tools.numberOfRowBlocks;
+	var random = tools.random;
+	var checkForWallBlocks = tools.checkForWallBlocks;
+
+	var difficulty = makeDifficulty(tools.difficulty);
+	var settings = difficulty(maze.topHeight);
+
+	var mainPath;
+	var paths = [];
+	var pathSeeds = [];   //pathSeeds are blocks which will branch off into new paths
+	var secondSeeds = [];
+	var pathsToSplice = [];
+
+	//Path-creation variables
+	var currentBlock;
+	var currentRow;
+
+	//Each row gets its rooms and loops as it shifts down past this row, a third of the way down the maze. By then the paths
+	//have grown through it, and (unless the maze has no buffer above the screen) it hasn't been seen yet.
+	var finishingRow = Math.floor(maze.numberOfRows / 3);
+
+	return {
+		makePaths: function () {
+			settings = difficulty(maze.topHeight);
+			makePath();
+
+			//The rows at and below finishingRow will never shift down past it, so they're finished now.
+			for (var i = finishingRow; i < maze.numberOfRows; i++) {
+				finishRow(maze.getRow(i));
+			}
+
+			//The character starts on the first block in the mainPath's arraylist of blocks
+			return mainPath.subPath[0];
+		},
+		extendPaths: shiftPaths,
+		connectSetPiece: connectSetPiece,
+		getPaths: getPaths,
+		saveState: saveState,
+		loadState: loadState,
+		getDebugInfo: getDebugInfo
+	};
+
+	/**
+	*	A set piece has just been finished at the top of the maze.
+	*	Carve from the end of the mainPath into one of its entrances, and carry the mainPath on from one of its exits,
+	*	so the main route always runs through the set piece.
+	*/
+	function connectSetPiece(entrances, exits) {
+		var latestBlock = mainPath.subPath[mainPath.subPath.length - 1];
+
+		if (entrances.length > 0) {
+			tools.carveCorridor(latestBlock, block => entrances.indexOf(block) > -1, block => block.isFixed != true || entrances.indexOf(block) > -1);
+		}
+
+		mainPath.subPath[mainPath.subPath.length] = exits[Math.floor(random() * exits.length)];
+	}
+
+	//The subPath of every Path we're still keeping track of.
+	function getPaths() {
+		return getAllPaths().map(path => path.subPath);
+	}
+
+	//Every Path we know about, once each, starting with the mainPath.
+	//A Path can be waiting to be spliced without being in the paths list any more, and the mainPath is always kept.
+	function getAllPaths() {
+		var allPaths = [mainPath];
+		paths.concat(pathsToSplice).map(function (path) {
+			if (allPaths.indexOf(path) == -1) {
+				allPaths[allPaths.length] = path;
+			}
+		});
+
+		return allPaths;
+	}
+
+	/**
+	*	Everything the generator is keeping track of, for the debug overlay. The branches (paths) don't include the mainPath,
+	*	and the paths waiting to be spliced are in pathsToSplice, whether or not they're still in the paths list.
+	*	Paths may run down past the bottom of the maze, into Blocks which have been discarded.
+	*/
+	function getDebugInfo() {
+		return {
+			mainPath: mainPath.subPath,
+			paths: paths.filter(path => path !== mainPath && pathsToSplice.indexOf(path) == -1).map(path => path.subPath),
+			pathsToSplice: pathsToSplice.map(path => path.subPath),
+			pathSeeds: pathSeeds.slice(),
+			secondSeeds: secondSeeds.slice()
+		};
+	}
+
+	/**
+	*	Every Path we know about is saved once, in allPaths, and referred to by its place in that list.
+	*/
+	function saveState() {
+		var allPaths = getAllPaths();
+
+		return {
+			allPaths: allPaths.map(path => ({
+				distance: path.distance,
+				subPath: path.subPath.map(tools.getBlockReference)
+			})),
+			mainPath: 0,
+			paths: paths.map(path => allPaths.indexOf(path)),
+			pathsToSplice: pathsToSplice.map(path => allPaths.indexOf(path)),
+			pathSeeds: pathSeeds.map(tools.getBlockReference),
+			secondSeeds: secondSeeds.map(tools.getBlockReference)
+		};
+	}
+
+	function loadState(state) {
+		var allPaths = state.allPaths.map(function (savedPath) {
+			var path = new Path();
+			path.distance = savedPath.distance;
+			path.subPath = savedPath.subPath.map(tools.findBlock);
+			return path;
+		});
+
+		mainPath = allPaths[state.mainPath];
+		paths = state.paths.map(index => allPaths[index]);
+		pathsToSplice = state.pathsToSplice.map(index => allPaths[index]);
+		pathSeeds = state.pathSeeds.map(tools.findBlock);
+		secondSeeds = state.secondSeeds.map(tools.findBlock);
+	}
+
+
+	/**
+		This function turns a few Blocks from wall-blocks into floor-blocks.
+		Note that the path array BEGINS at the END of the rowIndex (rows start at y-0... but the PATH starts at maze.numberOfRows-2)
+	*/
+	function makePath() {
+		paths = [];
+		mainPath = new Path();
+		paths[paths.length] = mainPath;
+		mainPath.distance = numberOfRowBlocks * settings.mainPathLength;
+		var createPath = true;
+		var possibleNextBlocks = [];
+		pathSeeds = [];
+
+		currentRow = maze.getRow(maze.numberOfRows - 1);
+
+		//get a random block from the bottom row.
+		var randomBlockIndex = Math.floor(random() * (currentRow.blocks.length - 1)) + 1;
+		currentBlock = currentRow.blocks[randomBlockIndex];
+		carve(currentBlock);
+		mainPath.subPath[0] = currentBlock;
+		//move up ONE row and make that block part of the path.
+		currentRow = maze.getRow(maze.numberOfRows - 2);
+
+		currentBlock = currentRow.blocks[randomBlockIndex];
+		carve(currentBlock);
+		mainPath.subPath[1] = currentBlock;
+
+		//Each iteration of this while-loop attempts to add a single Block object to the Path's subPath array.
+		//I duplicate parts of this while-loop several times because it's needed in slightly different contexts.
+		//If I can, I will turn it into a single function. But for now this is the best way.
+		while (createPath == true) {
+			var nBlock;
+			possibleNextBlocks = [];
+
+			//Check each block adjacent to the "currentBlock" (Block at the end of the path)
+			//and see if it fits the criteria for being added to the path.
+			for (var i = 0; i < currentBlock.adjacentBlocks.length; i++) {
+				nBlock = currentBlock.adjacentBlocks[i];
+
+				if (nBlock.rowIndex > 0 && nBlock.rowIndex <= currentBlock.rowIndex && nBlock.blockIndex > 0 && nBlock.blockIndex < numberOfRowBlocks - 1 && nBlock.isWall == true && nBlock.isFixed != true) {
+					possibleNextBlocks[possibleNextBlocks.length] = nBlock;
+
+					checkForWallBlocks(nBlock);
+					if (nBlock.numberOfAdjacentWalls > settings.mainPathWallThreshold) {
+						possibleNextBlocks[possibleNextBlocks.length] = nBlock;
+					}
+					if (nBlock.numberOfAdjacentWalls > settings.mainPathSecondWallThreshold) {
+						possibleNextBlocks[possibleNextBlocks.length] = nBlock;
+					}
+
+				}
+			}
+			possibleNextBlocks = tools.filterNextBlocks(possibleNextBlocks, { fromBlock: currentBlock, path: mainPath.subPath, isMainPath: true });
+
+			//Conditions for pausing the path's growth
+			if (currentBlock.rowIndex == 1 || possibleNextBlocks.length == 0) {
+				createPath = false;
+			}
+			else  //Add a valid block to the path
+			{
+				currentBlock = possibleNextBlocks[Math.floor(random() * possibleNextBlocks.length)];
+				currentBlock.isWall = false;
+				mainPath.subPath[mainPath.subPath.length] = currentBlock;
+
+				if (random() < settings.startSeedChance && tools.isAllowed("branchSeed", { block: currentBlock, path: mainPath.subPath })) {
+					//At random intervals, set aside a block to be the seed for a new path
+					pathSeeds[pathSeeds.length] = currentBlock;
+				}
+			}
+
+		}
+		tools.emit("pathCreated", { path: mainPath.subPath, isMainPath: true });
+
+		for (var i = 0; i < pathSeeds.length; i++) {
+			makeSubPath(pathSeeds[i]);
+		}
+
+		//The makeSubPath function sets aside MORE blocks as "second" seeds for more branching paths
+		pathSeeds = secondSeeds;
+
+		for (var i = 0; i < pathSeeds.length; i++) {
+			makeSubPath(pathSeeds[i]);
+		}
+
+		//Some paths have outgrown their usefulness. Splice them.
+		for (var i = 0; i < pathsToSplice.length; i++) {
+			paths.splice(paths.indexOf(pathsToSplice[i]), 1);
+			tools.emit("pathSpliced", { path: pathsToSplice[i].subPath });
+		}
+
+		pathSeeds = []
+		secondSeeds = []
+		pathsToSplice = []
+	}
+
+	//This function makes secondary offshoots from the main path.
+	//It replicates a lot of the code from the function that makes the mainPath,
+	//but I want the freedom to apply different rules to a subPath.
+	//
+	//This function needs to be fed a seed block.
+	function makeSubPath(firstBlock) {
+		var newPath = new Path()
+		paths[paths.length] = newPath
+
+		newPath.distance = Math.floor(random() * (numberOfRowBlocks * settings.branchLength))
+		newPath.subPath[0] = firstBlock
+
+		currentBlock = firstBlock
+		var createPath = true
+		var possibleNextBlocks = []
+
+		while (createPath == true) {
+			var nBlock
+			possibleNextBlocks = []
+
+			for (var i = 0; i < currentBlock.adjacentBlocks.length; i++) {
+				nBlock = currentBlock.adjacentBlocks[i];
+				checkForWallBlocks(nBlock);
+
+				if (nBlock.rowIndex > 0 &&
+					nBlock.rowIndex <= maze.numberOfRows - 3 &&
+					nBlock.blockIndex > 0 &&
+					nBlock.blockIndex < numberOfRowBlocks - 1 &&
+					nBlock.isWall == true &&
+					nBlock.isFixed != true &&
+					nBlock.numberOfAdjacentWalls > settings.branchWallThreshold
+				) {
+					possibleNextBlocks[possibleNextBlocks.length] = nBlock;
+				}
+				else if (nBlock.rowIndex == 1 && nBlock.isFixed != true && nBlock.numberOfAdjacentWalls > settings.topRowBranchWallThreshold) {
+					possibleNextBlocks[possibleNextBlocks.length] = nBlock;
+				}
+			}
+			possibleNextBlocks = tools.filterNextBlocks(possibleNextBlocks, { fromBlock: currentBlock, path: newPath.subPath, isMainPath: false });
+
+			if (possibleNextBlocks.length > 0) {
+				currentBlock = possibleNextBlocks[Math.floor(random() * possibleNextBlocks.length)];
+				currentBlock.isWall = false;
+				newPath.subPath[newPath.subPath.length] = currentBlock;
+			}
+
+			if (currentBlock.rowIndex == 1 || possibleNextBlocks.length == 0 || newPath.subPath.length >= newPath.distance) {
+				createPath = false;
+
+				if (possibleNextBlocks.length == 0 || newPath.subPath.length >= newPath.distance) {
+					//If this path is too long, or if it can't generate more blocks,
+					//set it aside to be spliced from the array of paths.
+					pathsToSplice[pathsToSplice.length] = newPath;
+				}
+
+			} else if (random() < settings.branchSeedChance && tools.isAllowed("branchSeed", { block: currentBlock, path: newPath.subPath })) {
+				//At random intervals, set aside a block as a seed to generate a new path.
+				secondSeeds[secondSeeds.length] = currentBlock;
+			}
+		}
+
+		tools.emit("pathCreated", { path: newPath.subPath, isMainPath: false });
+	}
+
+	/* Now that the maze and all its blocks have been shifted, and new rows generated,
+	 *	We need to extend our paths.
+	 */
+	function shiftPaths() {
+		settings = difficulty(maze.topHeight);
+
+		//Splice out the dead paths
+		for (var i = 0; i < pathsToSplice.length; i++) {
+			paths.splice(paths.indexOf(pathsToSplice[i]), 1);
+			tools.emit("pathSpliced", { path: pathsToSplice[i].subPath });
+		}
+		pathsToSplice = [];
+
+		extendMainPath();
+
+		//make new subPaths from the mainPath
+		for (var i = 0; i < pathSeeds.length; i++) {
+			makeSubPath(pathSeeds[i]);
+		}
+
+		pathSeeds = [];
+		//perpetuate any existing subPaths
+		for (var i = 1; i < paths.length; i++) {
+			extendPaths(paths[i]);
+			if (paths[i].subPath.length == 0) {
+				pathsToSplice[pathsToSplice.length] = paths[i];
+			}
+		}
+
+		pathSeeds = secondSeeds;
+
+		//create new subPaths FROM the secondary branches
+		for (var i = 0; i < pathSeeds.length; i++) {
+			makeSubPath(pathSeeds[i]);
+		}
+
+		pathSeeds = [];
+		secondSeeds = [];
+
+		finishRow(maze.getRow(finishingRow));
+	}
+
+	/**
+	*	Open up a row which the paths have finished growing through: maybe carve a room with its bottom edge in the row,
+	*	then knock some of the row's dead ends through (see braidFactor).
+	*	The dice are only rolled when the row's settings ask for rooms or braiding, so mazes without them come out the same as ever.
+	*/
+	function finishRow(row) {
+		var rowSettings = difficulty(row.height);
+
+		if (rowSettings.roomChance > 0 && random() < rowSettings.roomChance) {
+			carveRoom(row, rowSettings.roomSize);
+		}
+
+		if (rowSettings.braidFactor > 0) {
+			braidRow(row, rowSettings.braidFactor);
+		}
+	}
+
+	/**
+	*	Carve an open rectangle (at least 2 by 2, and at most roomSize by roomSize) with its bottom edge in this row.
+	*	It has to touch a path somewhere, so it joins onto the maze. If it doesn't, or it would cover part of a set piece,
+	*	or it won't fit, it isn't carved.
+	*/
+	function carveRoom(row, roomSize) {
+		var width = 2 + Math.floor(random() * (Math.max(2, roomSize) - 1));
+		var height = 2 + Math.floor(random() * (Math.max(2, roomSize) - 1));
+		//Keeping the walls at the edges of the maze.
+		var left = 1 + Math.floor(random() * (row.blocks.length - 1 - width));
+		var bottom = row.blocks[0].rowIndex;
+		var top = bottom - height + 1;
+
+		if (top < 1 || left + width > row.blocks.length - 1) {
+			return;
+		}
+
+		var roomBlocks = [];
+		for (var i = top; i <= bottom; i++) {
+			for (var k = left; k < left + width; k++) {
+				roomBlocks[roomBlocks.length] = maze.getBlock(i, k);
+			}
+		}
+
+		var touchesPath = roomBlocks.some(block => block.isWall == false || block.adjacentBlocks.some(nBlock => nBlock.isWall == false));
+		if (!touchesPath || roomBlocks.some(block => block.isFixed == true)) {
+			return;
+		}
+
+		roomBlocks.map(carve);
+	}
+
+	/**
+	*	Each dead end in the row has a braidFactor chance of being knocked through: one of the walls around it
+	*	is carved, if there's a floor straight on beyond it. That joins the dead end onto the corridor beyond, and makes a loop.
+	*/
+	function braidRow(row, braidFactor) {
+		for (var k = 0; k < row.blocks.length; k++) {
+			var deadEnd = row.blocks[k];
+			if (deadEnd.isWall || deadEnd.adjacentBlocks.filter(block => block.isWall == false).length != 1 || random() >= braidFactor) {
+				continue;
+			}
+
+			var walls = deadEnd.adjacentBlocks.filter(function (wall) {
+				var beyond = maze.getBlock((2 * wall.rowIndex) - deadEnd.rowIndex, (2 * wall.blockIndex) - deadEnd.blockIndex);
+				return wall.isWall && wall.isFixed != true && wall.rowIndex > 0 &&
+					wall.blockIndex > 0 && wall.blockIndex < row.blocks.length - 1 &&
+					beyond !== undefined && beyond.isWall == false;
+			});
+
+			if (walls.length > 0) {
+				carve(walls[Math.floor(random() * walls.length)]);
+			}
+		}
+	}
+
+	function extendMainPath() {
+		var latestBlock = mainPath.subPath[mainPath.subPath.length - 1];
+		var createPath = true;
+		var possibleNextBlocks = [];
+
+		//Another variation on the while-loop that adds blocks to a path.
+		while (createPath == true) {
+			var nBlock;
+			possibleNextBlocks = [];
+
+			for (var i = 0; i < latestBlock.adjacentBlocks.length; i++) {
+				nBlock = latestBlock.adjacentBlocks[i];
+				checkForWallBlocks(nBlock);
+
+				if (nBlock.rowIndex > 0 && nBlock.rowIndex <= latestBlock.rowIndex && nBlock.blockIndex > 0 && nBlock.blockIndex < numberOfRowBlocks && nBlock.isWall == true && nBlock.isFixed != true && nBlock.numberOfAdjacentWalls > settings.mainPathWallThreshold) {
+					possibleNextBlocks[possibleNextBlocks.length] = nBlock;
+				}
+				else if (nBlock.rowIndex == 1 && nBlock.isFixed != true && nBlock.numberOfAdjacentWalls > settings.topRowMainPathWallThreshold) {
+					possibleNextBlocks[possibleNextBlocks.length] = nBlock;
+				}
+
+			}
+			possibleNextBlocks = tools.filterNextBlocks(possibleNextBlocks, { fromBlock: latestBlock, path: mainPath.subPath, isMainPath: true });
+
+			if (possibleNextBlocks.length > 0) {
+				latestBlock = possibleNextBlocks[Math.floor(random() * possibleNextBlocks.length)];
+				latestBlock.isWall = false;
+				mainPath.subPath[mainPath.subPath.length] = latestBlock;
+				mainPath.subPath.splice(0, 1);
+			}
+
+			if (latestBlock.rowIndex == 1 || possibleNextBlocks.length == 0) {
+				createPath = false;
+			} else if (random() < settings.mainPathSeedChance && tools.isAllowed("branchSeed", { block: latestBlock, path: mainPath.subPath })) {
+				pathSeeds[pathSeeds.length] = latestBlock;
+			}
+		}
+
+	}
+
+	/* Extend all the secondary paths */
+	function extendPaths(thisPath) {
+		var latestBlock = thisPath.subPath[thisPath.subPath.length - 1];
+		var createPath = true;
+		var possibleNextBlocks = [];
+
+		while (createPath == true) {
+			var nBlock;
+			possibleNextBlocks = [];
+
+			for (var i = 0; i < latestBlock.adjacentBlocks.length; i++) {
+				nBlock = latestBlock.adjacentBlocks[i];
+				checkForWallBlocks(nBlock);
+
+				if (nBlock.rowIndex > 0 &&
+					nBlock.rowIndex <= maze.numberOfRows - 3 &&
+					nBlock.blockIndex > 0 &&
+					nBlock.blockIndex < numberOfRowBlocks - 1 &&
+					nBlock.isWall == true &&
+					nBlock.isFixed != true &&
+					nBlock.numberOfAdjacentWalls > settings.branchWallThreshold
+				){
+					possibleNextBlocks[possibleNextBlocks.length] = nBlock;
+				}
+			}
+			possibleNextBlocks = tools.filterNextBlocks(possibleNextBlocks, { fromBlock: latestBlock, path: thisPath.subPath, isMainPath: false });
+
+			if (possibleNextBlocks.length > 0) {
+				latestBlock = possibleNextBlocks[Math.floor(random() * possibleNextBlocks.length)];
+				latestBlock.isWall = false;
+				thisPath.subPath[thisPath.subPath.length] = latestBlock;
+
+				if (random() < settings.branchExtendSeedChance && tools.isAllowed("branchSeed", { block: latestBlock, path: thisPath.subPath })) {
+					secondSeeds[secondSeeds.length] = latestBlock;
+				}
+			}
+
+			if (latestBlock.rowIndex == 1 || possibleNextBlocks.length == 0 || thisPath.subPath.length >= thisPath.distance) {
+				createPath = false;
+
+				if (thisPath.subPath.length >= thisPath.distance || possibleNextBlocks.length == 0 || nBlock.rowIndex >= maze.numberOfRows - 3) {
+					pathsToSplice[pathsToSplice.length] = thisPath;
+				}
+
+			}
+		}
+
+	}
+
+}
+
+/**
+*	Eller's algorithm builds a perfect maze (every floor reachable, no loops) one row at a time,
+*	which suits a maze that only ever grows at the top.
+*	Here the maze has no bottom, though: rows are thrown away as it climbs. Two rooms may only be linked by a route which
+*	dips down through rows which have since been thrown away, and then they aren't linked any more. Only the engine's repair
+*	can put that right, so this generator needsRepair.
+*
+*	Blocks at odd heights and odd blockIndexes are "rooms". Every other Block is a wall which may be knocked down to link two rooms.
+*	Each room belongs to a set of rooms which are already linked together.
+*	Rooms beside each other are linked at random if they belong to different sets,
+*	and then every set is linked upward at least once, so no set is ever sealed off.
+*/
+function createEllerGenerator(tools) {
+	var random = tools.random;
+
+	//The set number of each room in the latest row of rooms, by blockIndex.
+	var roomSets = [];
+	var nextSetNumber = 1;
+	//The blockIndexes which were linked upward from the latest row of rooms.
+	var linkedColumns = [];
+
+	return Object.assign(makeRowByRowGenerator(tools, carveRow, saveState, loadState), { needsRepair: true });
+
+	function saveState() {
+		return {
+			roomSets: roomSets,
+			nextSetNumber: nextSetNumber,
+			linkedColumns: linkedColumns
+		};
+	}
+
+	function loadState(state) {
+		roomSets = state.roomSets;
+		nextSetNumber = state.nextSetNumber;
+		linkedColumns = state.linkedColumns;
+	}
+
+	function carveRow(row, height) {
+		if (height == 0) {
+			//The bottom of the bucket stays solid.
+			return;
+		}
+
+		if (height % 2 == 1) {
+			carveRoomRow(row);
+		} else {
+			carveLinkRow(row);
+		}
+	}
+
+	function carveRoomRow(row) {
+		var roomColumns = getRoomColumns(row);
+		var newSets = [];
+
+		for (var i = 0; i < roomColumns.length; i++) {
+			var k = roomColumns[i];
+
+			//A room which was linked from below stays in its set. The rest start sets of their own.
+			if (linkedColumns.indexOf(k) > -1) {
+				newSets[k] = roomSets[k];
+			} else {
+				newSets[k] = nextSetNumber++;
+			}
+			carve(row.blocks[k]);
+		}
+
+		for (var i = 0; i < roomColumns.length - 1; i++) {
+			var leftSet = newSets[roomColumns[i]];
+			var rightSet = newSets[roomColumns[i + 1]];
+
+			if (leftSet != rightSet && random() < 0.5) {
+				carve(row.blocks[roomColumns[i] + 1]);
+
+				//Everything in the right-hand set joins the left-hand set.
+				for (var j = 0; j < roomColumns.length; j++) {
+					if (newSets[roomColumns[j]] == rightSet) {
+						newSets[roomColumns[j]] = leftSet;
+					}
+				}
+			}
+		}
+
+		roomSets = newSets;
+	}
+
+	function carveLinkRow(row) {
+		var roomColumns = getRoomColumns(row);
+		var setMembers = {};
+		linkedColumns = [];
+
+		for (var i = 0; i < roomColumns.length; i++) {
+			var k = roomColumns[i];
+			if (setMembers[roomSets[k]] === undefined) {
+				setMembers[roomSets[k]] = [];
+			}
+			setMembers[roomSets[k]].push(k);
+		}
+
+		for (var set in setMembers) {
+			var members = shuffle(setMembers[set], random);
+
+			for (var i = 0; i < members.length; i++) {
+				//Every set goes up at least once. After that, only sometimes.
+				if (i == 0 || random() < 0.3) {
+					carve(row.blocks[members[i]]);
+					linkedColumns.push(members[i]);
+				}
+			}
+		}
+	}
+}
+
+/**
+*	The growing-tree algorithm works on a band of rows at a time.
+*	It lays out a whole band of rooms as a perfect maze, then hands it to the maze one row at a time as the maze shifts.
+*	Each band has a few exits at its top into the band above it.
+*
+*	When it grows the tree, it usually carries on from the newest room (like a recursive backtracker, with long twisty corridors)
+*	and sometimes from a random room (which makes more, shorter branches).
+*/
+function createGrowingTreeGenerator(tools) {
+	var random = tools.random;
+
+	var roomRowsPerBand = 8;
+	var chanceOfNewestRoom = 0.75;
+
+	//The blockIndexes to carve in each row of the band that has been laid out, bottom row first.
+	var pendingRows = [];
+
+	return makeRowByRowGenerator(tools, carveRow, saveState, loadState);
+
+	function saveState() {
+		return {
+			pendingRows: pendingRows
+		};
+	}
+
+	function loadState(state) {
+		pendingRows = state.pendingRows;
+	}
+
+	function carveRow(row, height) {
+		if (height == 0) {
+			//The bottom of the bucket stays solid.
+			return;
+		}
+
+		if (pendingRows.length == 0) {
+			makeBand(getRoomColumns(row));
+		}
+
+		var columns = pendingRows.shift();
+		for (var i = 0; i < columns.length; i++) {
+			carve(row.blocks[columns[i]]);
+		}
+	}
+
+	//Lay out a band of rooms: a row of rooms, then a row of links going up, and so on.
+	function makeBand(roomColumns) {
+		var roomRows = [];
+		var linkRows = [];
+		var visited = [];
+
+		for (var r = 0; r < roomRowsPerBand; r++) {
+			roomRows[r] = roomColumns.slice();
+			linkRows[r] = [];
+			visited[r] = [];
+		}
+
+		//Rooms are [room row, room column] pairs.
+		var firstRoom = [0, Math.floor(random() * roomColumns.length)];
+		var activeRooms = [firstRoom];
+		visited[0][firstRoom[1]] = true;
+
+		while (activeRooms.length > 0) {
+			var activeIndex = activeRooms.length - 1;
+			if (random() >= chanceOfNewestRoom) {
+				activeIndex = Math.floor(random() * activeRooms.length);
+			}
+
+			var room = activeRooms[activeIndex];
+			var r = room[0];
+			var c = room[1];
+			var nextRooms = [];
+
+			if (c > 0 && !visited[r][c - 1]) {
+				nextRooms.push([r, c - 1]);
+			}
+			if (c < roomColumns.length - 1 && !visited[r][c + 1]) {
+				nextRooms.push([r, c + 1]);
+			}
+			if (r > 0 && !visited[r - 1][c]) {
+				nextRooms.push([r - 1, c]);
+			}
+			if (r < roomRowsPerBand - 1 && !visited[r + 1][c]) {
+				nextRooms.push([r + 1, c]);
+			}
+
+			if (nextRooms.length == 0) {
+				activeRooms.splice(activeIndex, 1);
+				continue;
+			}
+
+			var nextRoom = nextRooms[Math.floor(random() * nextRooms.length)];
+
+			//Knock down the wall between the two rooms.
+			if (nextRoom[0] == r) {
+				roomRows[r].push(Math.min(roomColumns[c], roomColumns[nextRoom[1]]) + 1);
+			} else {
+				linkRows[Math.min(r, nextRoom[0])].push(roomColumns[c]);
+			}
+
+			visited[nextRoom[0]][nextRoom[1]] = true;
+			activeRooms.push(nextRoom);
+		}
+
+		//The exits into the next band.
+		var numberOfExits = 1 + Math.floor(random() * 2);
+		for (var i = 0; i < numberOfExits; i++) {
+			linkRows[roomRowsPerBand - 1].push(roomColumns[Math.floor(random() * roomColumns.length)]);
+		}
+
+		for (var r = 0; r < roomRowsPerBand; r++) {
+			pendingRows.push(roomRows[r]);
+			pendingRows.push(linkRows[r]);
+		}
+	}
+}
+
+/**
+*	Eller's algorithm and the growing tree only ever carve the newest row, so they share this wrapper.
+*	carveRow(row, height) is called for each new row, where height counts up from 0 at the bottom of the very first maze.
+*	The character starts in a random room of the lowest row of rooms.
+*	saveState() and loadState(state) save whatever else the generator needs to carry on.
+*/
+function makeRowByRowGenerator(tools, carveRow, saveState, loadState) {
+	var maze = tools.maze;
+	var height = 0;
+
+	return {
+		makePaths: function () {
+			for (var i = maze.numberOfRows - 1; i >= 0; i--) {
+				carveRow(maze.getRow(i), height);
+				height++;
+			}
+
+			var startRow = maze.getRow(maze.numberOfRows - 2);
+			var floorBlocks = startRow.blocks.filter(block => block.isWall == false);
+			return floorBlocks[Math.floor(tools.random() * floorBlocks.length)];
+		},
+		extendPaths: function () {
+			carveRow(maze.getRow(0), height);
+			height++;
+		},
+		saveState: function () {
+			return {
+				height: height,
+				rows: saveState()
+			};
+		},
+		loadState: function (state) {
+			height = state.height;
+			loadState(state.rows);
+		}
+	};
+}
+
+//Turn a wall into a floor, unless it belongs to a set piece.
+function carve(thisBlock) {
+	if (thisBlock.isFixed != true) {
+		thisBlock.isWall = false;
+	}
+}
+
+//The blockIndexes of the rooms in a row: every odd block, leaving the walls at the edges alone.
+function getRoomColumns(row) {
+	var roomColumns = [];
+	for (var k = 1; k < row.blocks.length - 1; k += 2) {
+		roomColumns.push(k);
+	}
+	return roomColumns;
+}
+
+//Shuffle a copy of a list (Fisher-Yates), using the maze's seeded random number generator.
+function shuffle(list, random) {
+	var shuffled = list.slice();
+	for (var i = shuffled.length - 1; i > 0; i--) {
+		var j = Math.floor(random() * (i + 1));
+		var temp = shuffled[i];
+		shuffled[i] = shuffled[j];
+		shuffled[j] = temp;
+	}
+	return shuffled;
+}
+
+function Path() {
+	this.subPath = [];
+	this.distance = 0;
+}
+
+//Node scripts can require() the generators. In the browser these are ordinary globals.
+if (typeof module !== "undefined" && module.exports) {
+	module.exports = {
+		mazeGenerators: mazeGenerators,
+		difficultyProfiles: difficultyProfiles,
+		loadDifficultyProfile: loadDifficultyProfile
+	};
+}
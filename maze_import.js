@@ -0,0 +1,231 @@
+/**
+The MIT License (MIT)
+
+Copyright (c) 2024 Matt Payne
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+THE SOFTWARE.
+*/
+
+/**
+*	Importers read hand-made "set pieces" (fixed rooms, puzzles, landmarks) for the maze to climb through:
+*		importAscii(text)                - a text grid: "#" for walls, "." for floors, and an optional "@" where the character starts.
+*		importTiledMap(map, options)     - a map made in the Tiled editor (its JSON format). options.layerName picks the tile layer
+*		                                   (the first one by default). A tile is a wall if its tileset gives it the property isWall = true,
+*		                                   or, if the tileset has no properties at all, if it isn't empty. A point object named "character"
+*		                                   is the start.
+*	Both are the same formats the exporters write (see maze_export.js), so an exported maze can be edited and imported again.
+*
+*	The set piece can then be queued with maze.queueSetPiece(setPiece, height), or passed to createMaze({ setPieces: [...] }).
+*/
+
+/**
+*	A SetPiece holds its rows as text, top row first: "#" for a wall and "." for a floor.
+*	start is [row, column] within the set piece, or null.
+*	A set piece must have a floor along its top row to leave by, and there must be a way up to it
+*	from its bottom row, its sides, or its start.
+*/
+function SetPiece(rows, start) {
+	this.rows = rows;
+	this.start = start || null;
+	this.width = rows[0].length;
+	this.height = rows.length;
+
+	if (this.rows[0].indexOf(".") == -1) {
+		throw new Error("A set piece needs at least one floor along its top row, or there's no way out of it.");
+	}
+
+	if (!this.canBeClimbed()) {
+		throw new Error("There's no way up through this set piece, from its bottom, sides or start to its top row.");
+	}
+}
+
+//Search the set piece's floors from every way in (and the start), to see if any of them lead up to the top row.
+SetPiece.prototype.canBeClimbed = function () {
+	var rows = this.rows;
+	var visited = {};
+	var queue = [];
+
+	for (var r = 0; r < rows.length; r++) {
+		for (var k = 0; k < this.width; k++) {
+			var isWayIn = r == rows.length - 1 || k == 0 || k == this.width - 1;
+			var isStart = this.start !== null && this.start[0] == r && this.start[1] == k;
+
+			if ((isWayIn || isStart) && rows[r].charAt(k) == ".") {
+				visited[r + "," + k] = true;
+				queue[queue.length] = [r, k];
+			}
+		}
+	}
+
+	for (var q = 0; q < queue.length; q++) {
+		if (queue[q][0] == 0) {
+			return true;
+		}
+
+		var neighbours = [
+			[queue[q][0] - 1, queue[q][1]],
+			[queue[q][0], queue[q][1] + 1],
+			[queue[q][0] + 1, queue[q][1]],
+			[queue[q][0], queue[q][1] - 1]
+		];
+
+		for (var i = 0; i < neighbours.length; i++) {
+			var r = neighbours[i][0];
+			var k = neighbours[i][1];
+
+			if (r >= 0 && r < rows.length && k >= 0 && k < this.width && visited[r + "," + k] !== true && rows[r].charAt(k) == ".") {
+				visited[r + "," + k] = true;
+				queue[queue.length] = [r, k];
+			}
+		}
+	}
+
+	return false;
+};
+
+//Read a set piece from text. Blank lines at the start and end are ignored, and so are "\r"s.
+function importAscii(text) {
+	var lines = text.replace(/\r/g, "").split("\n");
+
+	while (lines.length > 0 && lines[0].trim() == "") {
+		lines.shift();
+	}
+	while (lines.length > 0 && lines[lines.length - 1].trim() == "") {
+		lines.pop();
+	}
+
+	if (lines.length == 0) {
+		throw new Error("The set piece is empty.");
+	}
+
+	var rows = [];
+	var start = null;
+
+	for (var r = 0; r < lines.length; r++) {
+		if (lines[r].length != lines[0].length) {
+			throw new Error("Line " + (r + 1) + " is " + lines[r].length + " blocks wide, but line 1 is " + lines[0].length + ". Every line must be the same width.");
+		}
+
+		for (var k = 0; k < lines[r].length; k++) {
+			var cell = lines[r].charAt(k);
+
+			if (cell == "@") {
+				if (start !== null) {
+					throw new Error("Line " + (r + 1) + ", column " + (k + 1) + ": there can only be one start (\"@\").");
+				}
+				start = [r, k];
+			} else if (cell != "#" && cell != ".") {
+				throw new Error("Line " + (r + 1) + ", column " + (k + 1) + ": \"" + cell + "\" isn't a wall (\"#\"), a floor (\".\") or the start (\"@\").");
+			}
+		}
+
+		rows[r] = lines[r].replace("@", ".");
+	}
+
+	return new SetPiece(rows, start);
+}
+
+/**
+*	Read a set piece from a Tiled map (the parsed JSON, or the text of it).
+*	Only orthogonal maps with uncompressed tile layers (a plain list of tile numbers) can be read.
+*/
+function importTiledMap(map, options) {
+	options = options || {};
+
+	if (typeof map == "string") {
+		map = JSON.parse(map);
+	}
+
+	if (map === null || typeof map != "object" || !Array.isArray(map.layers)) {
+		throw new Error("This is not a Tiled map.");
+	}
+
+	var tileLayer = map.layers.find(layer => layer.type == "tilelayer" && (options.layerName === undefined || layer.name == options.layerName));
+	if (tileLayer === undefined) {
+		throw new Error(options.layerName === undefined ? "The Tiled map has no tile layer." : "The Tiled map has no tile layer called \"" + options.layerName + "\".");
+	}
+
+	if (!Array.isArray(tileLayer.data)) {
+		throw new Error("The tile layer \"" + tileLayer.name + "\" is compressed. Save the map with the CSV layer format instead.");
+	}
+
+	var isWallTile = getWallTiles(map.tilesets || []);
+	var rows = [];
+
+	for (var r = 0; r < tileLayer.height; r++) {
+		var row = "";
+		for (var k = 0; k < tileLayer.width; k++) {
+			//The top three bits of a tile number only say whether it's flipped.
+			var gid = tileLayer.data[(r * tileLayer.width) + k] & 0x1FFFFFFF;
+			row += isWallTile(gid) ? "#" : ".";
+		}
+		rows[r] = row;
+	}
+
+	return new SetPiece(rows, findTiledStart(map, tileLayer));
+}
+
+//Work out which tile numbers are walls, from the "isWall" properties of the map's tilesets.
+function getWallTiles(tilesets) {
+	var wallTiles = {};
+	var hasProperties = false;
+
+	tilesets.map(function (tileset) {
+		(tileset.tiles || []).map(function (tile) {
+			var isWall = (tile.properties || []).find(property => property.name == "isWall");
+			if (isWall !== undefined) {
+				hasProperties = true;
+				wallTiles[tileset.firstgid + tile.id] = isWall.value === true;
+			}
+		});
+	});
+
+	if (hasProperties) {
+		return gid => wallTiles[gid] === true;
+	}
+	return gid => gid != 0;
+}
+
+//The start is the point object named "character", on the tile it sits in.
+function findTiledStart(map, tileLayer) {
+	for (var i = 0; i < map.layers.length; i++) {
+		var objects = map.layers[i].objects || [];
+		var character = objects.find(object => object.name == "character");
+
+		if (character !== undefined) {
+			var r = Math.floor(character.y / map.tileheight);
+			var k = Math.floor(character.x / map.tilewidth);
+
+			if (r >= 0 && r < tileLayer.height && k >= 0 && k < tileLayer.width) {
+				return [r, k];
+			}
+		}
+	}
+
+	return null;
+}
+
+//Node scripts can require() the importers. In the browser these are ordinary globals.
+if (typeof module !== "undefined" && module.exports) {
+	module.exports = {
+		SetPiece: SetPiece,
+		importAscii: importAscii,
+		importTiledMap: importTiledMap
+	};
+}
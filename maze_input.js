@@ -0,0 +1,413 @@
+/**
+The MIT License (MIT)
+
+Copyright (c) 2024 Matt Payne
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+THE SOFTWARE.
+*/
+
+/**
+*	The input controller gathers "up", "down", "left" and "right" from everywhere the player might press them:
+*		the keyboard,
+*		swipes across the maze's canvas (for phones and tablets),
+*		an on-screen D-pad (optional),
+*		and game controllers, through the browser's Gamepad API (the D-pad buttons, and the left stick past its deadzone).
+*
+*	It doesn't move anything itself. Whoever is moving the character asks takeDirection() whenever it's ready for another move.
+*	A press which comes while the character is busy is kept until then, and a held key, button or stick keeps giving its direction.
+*
+*	Which keys and buttons mean which direction can be changed with setBinding(), and the changes are saved in localStorage
+*	(see saveBindings in maze_storage.js).
+*/
+
+//In Node, the storage has to be fetched. In the browser, it's loaded alongside this file.
+if (typeof module !== "undefined" && module.exports) {
+	var loadBindings = require("./maze_storage.js").loadBindings;
+	var saveBindings = require("./maze_storage.js").saveBindings;
+	var forgetBindings = require("./maze_storage.js").forgetBindings;
+}
+
+//The keyboard keys (event.code) and gamepad buttons (in the standard layout, 12 to 15 are the D-pad) for each direction.
+var defaultBindings = {
+	keys: {
+		up: ["KeyW", "ArrowUp"],
+		down: ["KeyS", "ArrowDown"],
+		left: ["KeyA", "ArrowLeft"],
+		right: ["KeyD", "ArrowRight"]
+	},
+	gamepadButtons: {
+		up: [12],
+		down: [13],
+		left: [14],
+		right: [15]
+	},
+
+	//How far (from 0 to 1) the stick has to be pushed before it counts.
+	stickDeadzone: 0.5
+};
+
+/**
+*	Start listening for input.
+*	options.canvas: the maze's canvas, for swipes.
+*	options.dpad: an element to build the on-screen D-pad in (leave it out for no D-pad).
+*	options.onPress: called whenever a direction is pressed, so the character can move straight away if it's ready.
+*	options.swipeDistance: how far (in pixels) a finger has to travel to count as a swipe rather than a tap (30 by default).
+*	Returns an object with takeDirection(), getBindings(), setBinding(), resetBindings(), captureNextInput() and stop().
+*/
+function createInputController(options) {
+	options = options || {};
+
+	var swipeDistance = options.swipeDistance || 30;
+	var bindings = mergeBindings(loadBindings());
+
+	//Everything held down right now, most recent last: { source, id, direction }.
+	//The source is "keyboard", "dpad" or "gamepad", and the id says which key or button it is.
+	var heldInputs = [];
+
+	//A direction which was pressed, and hasn't been used for a move yet.
+	var bufferedDirection = null;
+
+	//While remapping, the next key or button goes here instead of moving the character.
+	var captureCallback = null;
+
+	//Where the current swipe started, and whether a swipe has just finished (so the click that follows it can be ignored).
+	var swipeStart = null;
+	var justSwiped = false;
+
+	var removeListeners = [
+		listen(document, "keydown", onKeyDown, true),
+		listen(document, "keyup", onKeyUp),
+		listen(window, "blur", () => heldInputs = [])
+	];
+
+	if (options.canvas) {
+		removeListeners = removeListeners.concat([
+			listen(options.canvas, "pointerdown", onSwipeStart),
+			listen(options.canvas, "pointerup", onSwipeEnd),
+			listen(options.canvas, "pointercancel", () => swipeStart = null),
+			listen(options.canvas, "click", ignoreClickAfterSwipe, true)
+		]);
+	}
+
+	if (options.dpad) {
+		makeDpad(options.dpad);
+	}
+
+	return {
+		takeDirection: takeDirection,
+		getBindings: () => bindings,
+		setBinding: setBinding,
+		resetBindings: resetBindings,
+		captureNextInput: captureNextInput,
+		stop: stop
+	};
+
+	/**
+	*	The direction to move in now: whatever was pressed since the last move, or else whatever was held down most recently.
+	*	Undefined if nothing is pressed.
+	*/
+	function takeDirection() {
+		pollGamepads();
+
+		var direction = bufferedDirection || (heldInputs.length > 0 ? heldInputs[heldInputs.length - 1].direction : undefined);
+		bufferedDirection = null;
+
+		return direction;
+	}
+
+	function press(source, id, direction) {
+		release(source, id);
+		heldInputs[heldInputs.length] = { source: source, id: id, direction: direction };
+		bufferedDirection = direction;
+
+		if (options.onPress) {
+			options.onPress(direction);
+		}
+	}
+
+	function release(source, id) {
+		heldInputs = heldInputs.filter(input => input.source != source || input.id != id);
+	}
+
+	function onKeyDown(event) {
+		if (captureCallback !== null && !event.repeat) {
+			event.preventDefault();
+			finishCapture({ source: "keyboard", code: event.code });
+			return;
+		}
+
+		//The page's own selects and text boxes keep their keys, so they can still be used from the keyboard.
+		if (isFormControl(event.target)) {
+			return;
+		}
+
+		var direction = findBinding(bindings.keys, event.code);
+		if (direction === undefined) {
+			return;
+		}
+
+		//Stop the arrow keys from scrolling the page.
+		event.preventDefault();
+
+		//The keyboard's own key-repeat is ignored. Held keys are repeated at the controller's own steady rate.
+		if (!event.repeat) {
+			press("keyboard", event.code, direction);
+		}
+	}
+
+	function onKeyUp(event) {
+		release("keyboard", event.code);
+	}
+
+	function onSwipeStart(event) {
+		swipeStart = { x: event.clientX, y: event.clientY };
+		justSwiped = false;
+	}
+
+	//A swipe goes whichever way it mostly travelled (see getDirectionOfTravel).
+	function onSwipeEnd(event) {
+		if (swipeStart === null) {
+			return;
+		}
+
+		var direction = getDirectionOfTravel(event.clientX - swipeStart.x, event.clientY - swipeStart.y, swipeDistance);
+		swipeStart = null;
+
+		if (direction !== undefined) {
+			justSwiped = true;
+			bufferDirection(direction);
+		}
+	}
+
+	//A swipe which starts and ends on the canvas is followed by a click, which mustn't count as a click-to-move.
+	function ignoreClickAfterSwipe(event) {
+		if (justSwiped) {
+			justSwiped = false;
+			event.stopImmediatePropagation();
+		}
+	}
+
+	//A swipe is a single press, which nothing holds down.
+	function bufferDirection(direction) {
+		bufferedDirection = direction;
+
+		if (options.onPress) {
+			options.onPress(direction);
+		}
+	}
+
+	//Build four buttons in the D-pad element. Each one counts as held down for as long as it's pressed.
+	function makeDpad(dpadElement) {
+		["up", "left", "right", "down"].map(function (direction) {
+			var button = document.createElement("button");
+			button.className = "dpadButton dpad" + direction.charAt(0).toUpperCase() + direction.substring(1);
+			button.setAttribute("aria-label", direction);
+			button.textContent = { up: "▲", down: "▼", left: "◀", right: "▶" }[direction];
+
+			button.addEventListener("pointerdown", function (event) {
+				event.preventDefault();
+				press("dpad", direction, direction);
+			});
+			["pointerup", "pointerleave", "pointercancel"].map(eventName => button.addEventListener(eventName, () => release("dpad", direction)));
+
+			dpadElement.appendChild(button);
+		});
+
+		removeListeners[removeListeners.length] = () => dpadElement.textContent = "";
+	}
+
+	/**
+	*	Check every connected game controller. Its bound buttons, and its left stick past the deadzone, count as held down.
+	*	Anything which wasn't held down last time counts as a new press.
+	*/
+	function pollGamepads() {
+		if (typeof navigator == "undefined" || !navigator.getGamepads) {
+			return;
+		}
+
+		var gamepads = Array.from(navigator.getGamepads()).filter(gamepad => gamepad);
+		var stillHeld = [];
+
+		for (var i = 0; i < gamepads.length; i++) {
+			for (var b = 0; b < gamepads[i].buttons.length; b++) {
+				if (gamepads[i].buttons[b].pressed) {
+					stillHeld[stillHeld.length] = { id: gamepads[i].index + ".button" + b, button: b };
+				}
+			}
+
+			//The stick points whichever way it's pushed furthest, once it's past the deadzone.
+			var stickDirection = getDirectionOfTravel(gamepads[i].axes[0] || 0, gamepads[i].axes[1] || 0, bindings.stickDeadzone);
+			if (stickDirection !== undefined) {
+				stillHeld[stillHeld.length] = { id: gamepads[i].index + ".stick." + stickDirection, direction: stickDirection };
+			}
+		}
+
+		//Let go of whatever isn't held any more.
+		heldInputs = heldInputs.filter(input => input.source != "gamepad" || stillHeld.some(held => held.id == input.id));
+
+		for (var i = 0; i < stillHeld.length; i++) {
+			var isNew = !heldInputs.some(input => input.source == "gamepad" && input.id == stillHeld[i].id);
+
+			if (isNew && captureCallback !== null && stillHeld[i].button !== undefined) {
+				finishCapture({ source: "gamepad", button: stillHeld[i].button });
+				continue;
+			}
+
+			var direction = stillHeld[i].direction || findBinding(bindings.gamepadButtons, stillHeld[i].button);
+			if (isNew && direction !== undefined) {
+				press("gamepad", stillHeld[i].id, direction);
+			}
+		}
+	}
+
+	/**
+	*	Change what a direction is bound to, and save it.
+	*	source: "keyboard" (the ids are event.codes, like "KeyW") or "gamepad" (the ids are button numbers).
+	*	ids: the list of keys or buttons for the direction. They're taken away from any other direction.
+	*/
+	function setBinding(source, direction, ids) {
+		var sourceBindings = source == "keyboard" ? bindings.keys : bindings.gamepadButtons;
+
+		if (sourceBindings === undefined || sourceBindings[direction] === undefined) {
+			throw new Error("Can't bind " + source + " to " + direction + ".");
+		}
+
+		for (var otherDirection in sourceBindings) {
+			sourceBindings[otherDirection] = sourceBindings[otherDirection].filter(id => ids.indexOf(id) == -1);
+		}
+		sourceBindings[direction] = ids.slice();
+
+		heldInputs = [];
+		saveBindings(bindings);
+	}
+
+	function resetBindings() {
+		bindings = copyBindings(defaultBindings);
+		heldInputs = [];
+		forgetBindings();
+	}
+
+	/**
+	*	Hand the next key or gamepad button pressed to the callback, instead of moving the character. It's for remapping.
+	*	The callback gets { source: "keyboard", code } or { source: "gamepad", button }.
+	*/
+	function captureNextInput(callback) {
+		captureCallback = callback;
+	}
+
+	function finishCapture(input) {
+		var callback = captureCallback;
+		captureCallback = null;
+		callback(input);
+	}
+
+	function stop() {
+		removeListeners.map(removeListener => removeListener());
+	}
+}
+
+/**
+*	Which way a swipe, or a push of the stick, goes: whichever way it mostly travelled (x is across, and y is down the screen).
+*	Undefined if it didn't travel as far as minimumDistance either way.
+*/
+function getDirectionOfTravel(x, y, minimumDistance) {
+	if (Math.max(Math.abs(x), Math.abs(y)) < minimumDistance) {
+		return undefined;
+	}
+
+	if (Math.abs(x) > Math.abs(y)) {
+		return x > 0 ? "right" : "left";
+	}
+	return y > 0 ? "down" : "up";
+}
+
+/**
+*	The default bindings, with the player's own (from loadBindings in maze_storage.js, or null if there aren't any) in their place.
+*	Anything the player's bindings leave out, or which isn't a list, stays as it was by default.
+*/
+function mergeBindings(savedBindings) {
+	var bindings = copyBindings(defaultBindings);
+
+	if (savedBindings === null || typeof savedBindings != "object") {
+		return bindings;
+	}
+
+	["keys", "gamepadButtons"].map(function (source) {
+		for (var direction in bindings[source]) {
+			if (savedBindings[source] && Array.isArray(savedBindings[source][direction])) {
+				bindings[source][direction] = savedBindings[source][direction].slice();
+			}
+		}
+	});
+
+	if (typeof savedBindings.stickDeadzone == "number") {
+		bindings.stickDeadzone = savedBindings.stickDeadzone;
+	}
+
+	return bindings;
+}
+
+//Which direction a key or button is bound to (undefined if none).
+function findBinding(sourceBindings, id) {
+	for (var direction in sourceBindings) {
+		if (sourceBindings[direction].indexOf(id) > -1) {
+			return direction;
+		}
+	}
+}
+
+/**
+*	Whether an element is somewhere the player types or picks with the keyboard: a select, an input, a text area, or anything contentEditable.
+*	Checkboxes and file and button inputs don't use the arrow keys, so the maze still gets them after one of those is clicked.
+*/
+function isFormControl(element) {
+	if (!element || typeof element.tagName != "string") {
+		return false;
+	}
+
+	var tagName = element.tagName.toUpperCase();
+	if (tagName == "INPUT") {
+		return ["checkbox", "file", "button", "submit", "reset"].indexOf(String(element.type).toLowerCase()) == -1;
+	}
+
+	return tagName == "SELECT" || tagName == "TEXTAREA" || element.isContentEditable === true;
+}
+
+function copyBindings(bindings) {
+	return JSON.parse(JSON.stringify(bindings));
+}
+
+//Add an event listener, and return a function which takes it away again.
+function listen(target, eventName, listener, useCapture) {
+	target.addEventListener(eventName, listener, useCapture === true);
+	return () => target.removeEventListener(eventName, listener, useCapture === true);
+}
+
+//Node scripts can require() the input controller (it still needs a document and a window to listen to, of course).
+//In the browser these are ordinary globals.
+if (typeof module !== "undefined" && module.exports) {
+	module.exports = {
+		defaultBindings: defaultBindings,
+		createInputController: createInputController,
+		getDirectionOfTravel: getDirectionOfTravel,
+		mergeBindings: mergeBindings,
+		findBinding: findBinding,
+		isFormControl: isFormControl
+	};
+}
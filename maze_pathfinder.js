@@ -0,0 +1,201 @@
+/**
+The MIT License (MIT)
+
+Copyright (c) 2024 Matt Payne
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+THE SOFTWARE.
+*/
+
+/**
+*	The pathfinder finds the shortest walk between two floor Blocks, for click-to-move.
+*
+*	findShortestPath() is an A* search, stepping the way the character can (see getWalkingNeighbours in maze_validator.js),
+*	guided by the straight-line (well, up-down plus left-right) distance that's left.
+*	Blocks are compared by height rather than rowIndex, so a path stays correct however often the maze shifts while it's walked.
+*/
+
+//In Node, the validator has to be fetched. In the browser, it's loaded alongside this file.
+if (typeof module !== "undefined" && module.exports) {
+	var getWalkingNeighbours = require("./maze_validator.js").getWalkingNeighbours;
+}
+
+/**
+*	Find the shortest walk through floor Blocks from startBlock to goalBlock.
+*	Returns the Blocks along the way, not counting startBlock (so it's empty if they're the same Block), or null if goalBlock can't be reached.
+*	canStep(fromBlock, toBlock) is optional. It says whether the character can step between two Blocks side by side
+*	(see maze.canStep, which knows about locked doors and one-way gates). Without it, any floor will do.
+*/
+function findShortestPath(startBlock, goalBlock, canStep) {
+	if (goalBlock.isWall == true) {
+		return null;
+	}
+
+	var cameFrom = new Map([[startBlock, null]]);
+	var distanceWalked = new Map([[startBlock, 0]]);
+	var openBlocks = new BlockHeap();
+
+	openBlocks.push(startBlock, distanceLeft(startBlock, goalBlock));
+
+	while (openBlocks.length > 0) {
+		var thisBlock = openBlocks.pop();
+
+		if (thisBlock === goalBlock) {
+			return tracePath(cameFrom, goalBlock);
+		}
+
+		var neighbours = getWalkingNeighbours(thisBlock);
+		for (var i = 0; i < neighbours.length; i++) {
+			var nBlock = neighbours[i];
+			var newDistance = distanceWalked.get(thisBlock) + 1;
+
+			if ((canStep === undefined ? nBlock.isWall == false : canStep(thisBlock, nBlock)) && (!distanceWalked.has(nBlock) || newDistance < distanceWalked.get(nBlock))) {
+				cameFrom.set(nBlock, thisBlock);
+				distanceWalked.set(nBlock, newDistance);
+				openBlocks.push(nBlock, newDistance + distanceLeft(nBlock, goalBlock));
+			}
+		}
+	}
+
+	return null;
+}
+
+//The fewest steps there could possibly be between two Blocks, if there were no walls in the way.
+function distanceLeft(fromBlock, toBlock) {
+	return Math.abs(fromBlock.row.height - toBlock.row.height) + Math.abs(fromBlock.blockIndex - toBlock.blockIndex);
+}
+
+//Follow the trail back from the goal, and return the Blocks in order from the first step.
+function tracePath(cameFrom, goalBlock) {
+	var path = [];
+
+	for (var thisBlock = goalBlock; cameFrom.get(thisBlock) !== null; thisBlock = cameFrom.get(thisBlock)) {
+		path[path.length] = thisBlock;
+	}
+
+	return path.reverse();
+}
+
+/**
+*	Which way to move to get from one Block to the Block beside it: "up", "down", "left" or "right".
+*	Undefined if they aren't side by side.
+*/
+function getDirection(fromBlock, toBlock) {
+	var heightChange = toBlock.row.height - fromBlock.row.height;
+	var blockIndexChange = toBlock.blockIndex - fromBlock.blockIndex;
+
+	if (heightChange == 1 && blockIndexChange == 0) {
+		return "up";
+	}
+	if (heightChange == -1 && blockIndexChange == 0) {
+		return "down";
+	}
+	if (heightChange == 0 && blockIndexChange == 1) {
+		return "right";
+	}
+	if (heightChange == 0 && blockIndexChange == -1) {
+		return "left";
+	}
+}
+
+/**
+*	The open list for the search: a binary heap which always gives back the Block with the lowest score.
+*	Ties go to whichever Block was added first.
+*/
+function BlockHeap() {
+	this.blocks = [];
+	this.scores = [];
+	this.order = [];
+	this.length = 0;
+	this.added = 0;
+}
+
+BlockHeap.prototype.push = function (block, score) {
+	var i = this.length++;
+	this.blocks[i] = block;
+	this.scores[i] = score;
+	this.order[i] = this.added++;
+
+	//Bubble it up until its parent comes before it.
+	while (i > 0) {
+		var parent = (i - 1) >> 1;
+		if (!this.comesBefore(i, parent)) {
+			break;
+		}
+		this.swap(i, parent);
+		i = parent;
+	}
+};
+
+BlockHeap.prototype.pop = function () {
+	var first = this.blocks[0];
+
+	this.length--;
+	this.swap(0, this.length);
+	this.blocks.length = this.length;
+	this.scores.length = this.length;
+	this.order.length = this.length;
+
+	//Sink the new first Block until both its children come after it.
+	var i = 0;
+	while (true) {
+		var smallest = i;
+		var left = (2 * i) + 1;
+		var right = left + 1;
+
+		if (left < this.length && this.comesBefore(left, smallest)) {
+			smallest = left;
+		}
+		if (right < this.length && this.comesBefore(right, smallest)) {
+			smallest = right;
+		}
+		if (smallest == i) {
+			break;
+		}
+		this.swap(i, smallest);
+		i = smallest;
+	}
+
+	return first;
+};
+
+BlockHeap.prototype.comesBefore = function (i, k) {
+	return this.scores[i] < this.scores[k] || (this.scores[i] == this.scores[k] && this.order[i] < this.order[k]);
+};
+
+BlockHeap.prototype.swap = function (i, k) {
+	var block = this.blocks[i];
+	var score = this.scores[i];
+	var order = this.order[i];
+
+	this.blocks[i] = this.blocks[k];
+	this.scores[i] = this.scores[k];
+	this.order[i] = this.order[k];
+
+	this.blocks[k] = block;
+	this.scores[k] = score;
+	this.order[k] = order;
+};
+
+//Node scripts can require() the pathfinder. In the browser these are ordinary globals.
+if (typeof module !== "undefined" && module.exports) {
+	module.exports = {
+		findShortestPath: findShortestPath,
+		getDirection: getDirection
+	};
+}
@@ -0,0 +1,877 @@
+/**
+The MIT License (MIT)
+
+Copyright (c) 2024 Matt Payne
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+THE SOFTWARE.
+*/
+
+/**
+*	The canvas renderer draws a maze made by createMaze (maze_engine.js) onto an html canvas.
+*	It subscribes to the maze's events, and the maze itself never knows it is being drawn.
+*
+*	The renderer keeps a static grid of points laid over the canvas, and extending above it.
+*	The maze's Blocks flow over top of that grid, so the points are used as the reference for location within the canvas.
+*
+*	The maze doesn't have to be square, and neither does the canvas. The blocks are made as big as will fit, and the maze is centred.
+*	The canvas is drawn at the screen's real resolution (devicePixelRatio), and it's resized along with the window
+*	without disturbing the maze.
+*
+*	Drawing happens in a requestAnimationFrame loop. The character slides from block to block instead of jumping,
+*	and when the maze shifts down a row the view scrolls down to meet it smoothly, instead of snapping.
+*	Frames where nothing is moving aren't drawn at all.
+*
+*	For click-to-move, the renderer can say which Block is under a point on the screen (getBlockAt), draw the route the character
+*	is walking over the maze (setRoute), and flash a Block which can't be walked to (flashBlock).
+*
+*	Everything is drawn in the colours of a theme (see maze_themes.js), and with a tileset theme, the walls, floors and character
+*	are drawn from a sprite sheet. The character's sprite faces whichever way it last moved, and walks while it slides.
+*	The theme can be changed at any time with setTheme().
+*
+*	A ghost (see createGhost in maze_replay.js) can be raced with setGhost(). Its character is drawn see-through,
+*	wherever it is on its own copy of the maze.
+*
+*	The debug overlay (see maze_debug.js), switched on with setDebug(true), draws the generator's paths and seeds over the maze,
+*	numbers the rows and blocks, and shows the details of the Block under the mouse.
+*/
+
+//In Node, the themes and the debug tools have to be fetched. In the browser, they're loaded alongside this file.
+if (typeof module !== "undefined" && module.exports) {
+	var makeTheme = require("./maze_themes.js").makeTheme;
+	var getWallVariant = require("./maze_themes.js").getWallVariant;
+	var getDebugPaths = require("./maze_debug.js").getDebugPaths;
+	var traceDebugPath = require("./maze_debug.js").traceDebugPath;
+}
+
+//Tileset images, by their URL, so switching back to a theme doesn't load its image again.
+var tilesetImages = {};
+
+/**
+*	Start drawing the maze onto the canvas.
+*	The canvas keeps the size it's given on the page (by CSS, or the width and height in its tag), unless:
+*		options.blockSize: the size of each block, in CSS pixels. The canvas is made exactly big enough for the maze.
+*		options.fitToContainer: an element (or true, for the canvas's parent). The canvas is made to fill it, and is resized with the window.
+*	options.visibility: a fog of war from createVisibility (maze_visibility.js). Blocks the player can't see are hidden,
+*	                    and Blocks they've seen before are dimmed.
+*	options.moveDuration: how long the character takes to slide from one block to the next, in milliseconds (100 by default, 0 to jump).
+*	options.scrollDuration: roughly how long the view takes to catch up after the maze shifts, in milliseconds (150 by default, 0 to snap).
+*	options.theme: the name of one of the mazeThemes, or a theme of your own (see maze_themes.js). "classic" by default.
+*	options.debug: whether to start with the debug overlay showing (false by default).
+*	Returns an object with draw() (to force a redraw), resize() (after changing the canvas's size yourself),
+*	getBlockAt(), setRoute(), flashBlock(), setTheme() and getTheme(), setGhost(), setDebug(),
+*	and stop() (to stop listening to the maze, and stop the loop).
+*/
+function createCanvasRenderer(maze, mazeCanvas, options) {
+	options = options || {};
+
+	var context = mazeCanvas.getContext('2d');
+
+	//Dimensions (in CSS pixels):
+	var squareLength;
+	var numberOfRowPoints;
+	var characterCircleRadius;
+	var canvasWidth;
+	var canvasHeight;
+
+	//The maze is centred on the canvas, so there may be a margin around it. This is the top left corner of its visible rows.
+	var mazeLeft;
+	var mazeTop;
+
+	var container = options.fitToContainer === true ? mazeCanvas.parentElement : options.fitToContainer;
+
+	//The pointGrid stays in place forever, even as the maze generates new rows of blocks.
+	var pointGrid;
+
+	//Animation:
+	var moveDuration = options.moveDuration === undefined ? 100 : options.moveDuration;
+	var scrollDuration = options.scrollDuration === undefined ? 150 : options.scrollDuration;
+
+	//The camera is the height the top row appears to be at. It trails behind the real top row (maze.getTopHeight()) after a shift,
+	//and slides up to meet it, so everything on screen scrolls down smoothly.
+	var cameraHeight = maze.getTopHeight();
+
+	//The character slides from where it was drawn when it last moved ("from", as a height and a blockIndex) to the Block it moved to.
+	//Heights never change when the maze shifts, so the slide carries on undisturbed.
+	var characterSlide = {
+		fromHeight: maze.getCharacter().location.row.height,
+		fromBlockIndex: maze.getCharacter().location.blockIndex,
+		startTime: -Infinity
+	};
+
+	//The way the character faced on its last move, for its sprite.
+	var characterFacing = "up";
+
+	//The theme everything is drawn in, and its tileset image (null if it hasn't got one).
+	var theme;
+	var tilesetImage = null;
+	setTheme(options.theme || "classic");
+
+	//The route the character is walking (for click-to-move), first step first. It's drawn as a line from the character.
+	var route = [];
+
+	//Blocks which were clicked, but can't be walked to. Each one flashes for a moment: { block, reason, startTime }.
+	var flashes = [];
+	var flashDuration = 600;
+
+	//The maze the ghost is climbing (see setGhost), or null if there's no ghost, and the way it faced on its last move.
+	var ghostMaze = null;
+	var ghostFacing = "up";
+	var ghostUnsubscribers = [];
+
+	//Whether the debug overlay is showing, and the Block the mouse is over (while it is).
+	var isDebugging = false;
+	var hoveredBlock;
+
+	var needsDrawing = true;
+	var lastFrameTime;
+	var animationFrame;
+
+	resize();
+	window.addEventListener("resize", resize);
+
+	var unsubscribers = [
+		maze.subscribe("move", startCharacterSlide),
+		maze.subscribe("teleport", jumpCharacter),
+		maze.subscribe("shift", () => needsDrawing = true),
+		maze.subscribe("enemyMove", () => needsDrawing = true),
+		maze.subscribe("hit", () => needsDrawing = true),
+		maze.subscribe("hazard", () => needsDrawing = true)
+	];
+
+	setDebug(options.debug === true);
+
+	animationFrame = requestAnimationFrame(animate);
+
+	return {
+		draw: draw,
+		resize: resize,
+		getBlockAt: getBlockAt,
+		setRoute: setRoute,
+		flashBlock: flashBlock,
+		setTheme: setTheme,
+		getTheme: () => theme,
+		setGhost: setGhost,
+		setDebug: setDebug,
+		stop: stop
+	};
+
+	//Work everything out again for the canvas's new size, and redraw. The maze carries on as it was.
+	function resize() {
+		sizeCanvas();
+		calculateDimensions();
+		makePointGrid();
+		draw();
+	}
+
+	/**
+	*	Decide how big the canvas is on the page, and give it enough real pixels behind that to be sharp on high-DPI screens.
+	*	Everything is drawn in CSS pixels, and the context's transform scales it up.
+	*/
+	function sizeCanvas() {
+		var pixelRatio = window.devicePixelRatio || 1;
+
+		if (options.blockSize) {
+			canvasWidth = maze.numberOfRowBlocks * options.blockSize;
+			canvasHeight = maze.numberOfVisibleRows * options.blockSize;
+		} else if (container) {
+			canvasWidth = container.clientWidth;
+			canvasHeight = container.clientHeight;
+		} else {
+			canvasWidth = mazeCanvas.clientWidth || mazeCanvas.width;
+			canvasHeight = mazeCanvas.clientHeight || mazeCanvas.height;
+		}
+
+		if (options.blockSize || container) {
+			mazeCanvas.style.width = canvasWidth + "px";
+			mazeCanvas.style.height = canvasHeight + "px";
+		}
+
+		var pixelSize = getCanvasPixelSize(canvasWidth, canvasHeight, pixelRatio);
+		mazeCanvas.width = pixelSize.width;
+		mazeCanvas.height = pixelSize.height;
+		context.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+	}
+
+	/**
+	*	The canvas size (Height & Width) and the number of Blocks across and down are already decided.
+	*	This critical function calculates the size of the blocks based on the previously mentioned dimensions:
+	*	as big as they can be while the whole visible maze fits. The maze is centred in whatever space is left over.
+	*/
+	function calculateDimensions() {
+		var layout = fitMaze(canvasWidth, canvasHeight, maze.numberOfRowBlocks, maze.numberOfVisibleRows);
+
+		squareLength = layout.squareLength;
+		numberOfRowPoints = maze.numberOfRowBlocks + 1;
+		characterCircleRadius = squareLength / 2;
+
+		mazeLeft = layout.mazeLeft;
+		mazeTop = layout.mazeTop;
+	}
+
+	/**
+		This function creates a grid of points which extends above the canvas. That's four points for every block, with each block sharing
+		corner-points with the blocks around it.
+		The rows above firstVisibleRow sit above the top of the visible maze.
+	*/
+	function makePointGrid() {
+		pointGrid = new PointGrid();
+
+		for (var i = 0; i < maze.numberOfRows + 2; i++) {
+			//These new Rows are permanent Row objects which never move.
+			pointGrid.rows[i] = new PointRow();
+
+			for (var k = 0; k < numberOfRowPoints; k++) {
+				pointGrid.rows[i].points[k] = new Point(
+					mazeLeft + (k * squareLength),
+					mazeTop + ((i - maze.firstVisibleRow) * squareLength)
+				);
+			}
+		}
+	}
+
+	//One frame of the loop. Only draw if something has changed, or is still moving.
+	function animate(frameTime) {
+		var timePassed = lastFrameTime === undefined ? 0 : frameTime - lastFrameTime;
+		lastFrameTime = frameTime;
+
+		var isScrolling = moveCamera(timePassed);
+		var isSliding = frameTime - characterSlide.startTime < moveDuration;
+		var isFlashing = flashes.length > 0;
+
+		if (needsDrawing || isScrolling || isSliding || isFlashing) {
+			draw();
+		}
+
+		animationFrame = requestAnimationFrame(animate);
+	}
+
+	//Ease the camera towards the top row (see easeCamera). Returns true if the camera is still moving.
+	function moveCamera(timePassed) {
+		if (cameraHeight == maze.getTopHeight()) {
+			return false;
+		}
+
+		cameraHeight = easeCamera(cameraHeight, maze.getTopHeight(), timePassed, scrollDuration);
+		return true;
+	}
+
+	//The character has moved, so start it sliding from wherever it's drawn right now (on its way to event.from).
+	function startCharacterSlide(event) {
+		var now = performance.now();
+		var position = getCharacterPosition(now, event.from);
+
+		characterSlide.fromHeight = position.height;
+		characterSlide.fromBlockIndex = position.blockIndex;
+		characterSlide.startTime = now;
+		characterFacing = event.direction;
+		needsDrawing = true;
+	}
+
+	//A teleporter doesn't slide the character anywhere. It's just there.
+	function jumpCharacter(event) {
+		characterSlide.fromHeight = event.to.row.height;
+		characterSlide.fromBlockIndex = event.to.blockIndex;
+		needsDrawing = true;
+	}
+
+	//Where the character should be drawn at this time, on its way to the location Block, as a (fractional) height and blockIndex.
+	function getCharacterPosition(time, location) {
+		var progress = getSlideProgress(time - characterSlide.startTime, moveDuration);
+
+		return {
+			height: characterSlide.fromHeight + ((location.row.height - characterSlide.fromHeight) * progress),
+			blockIndex: characterSlide.fromBlockIndex + ((location.blockIndex - characterSlide.fromBlockIndex) * progress)
+		};
+	}
+
+	function draw() {
+		drawMaze();
+		drawRoute();
+		drawFlashes();
+		drawCharacter();
+		drawDebugOverlay();
+		needsDrawing = false;
+	}
+
+	//How far (in pixels) everything is drawn above where its Blocks really are, while the camera catches up.
+	function getScrollOffset() {
+		return (cameraHeight - maze.getTopHeight()) * squareLength;
+	}
+
+	/**
+		This function just iterates through each block in each visible row of the maze, and tells the drawBlock function to draw that block.
+		Then the enemies and the lava are drawn on top.
+		The rows above firstVisibleRow are off the top of the canvas, so there's no point drawing them
+		(except for the ones which are still scrolling down into view).
+	*/
+	function drawMaze() {
+		var scrollOffset = getScrollOffset();
+		var firstRowToDraw = Math.max(0, maze.firstVisibleRow - Math.ceil(-scrollOffset / squareLength));
+
+		context.fillStyle = theme.colours.background;
+		context.fillRect(0, 0, canvasWidth, canvasHeight);
+
+		//Rows scrolling down into view mustn't be drawn in the margin above the maze.
+		context.save();
+		context.beginPath();
+		context.rect(mazeLeft, mazeTop, maze.numberOfRowBlocks * squareLength, maze.numberOfVisibleRows * squareLength);
+		context.clip();
+
+		for (var i = firstRowToDraw; i < maze.numberOfRows; i++) {
+			maze.getRow(i).blocks.map(block => drawBlock(block, scrollOffset))
+		}
+
+		maze.getEnemies().map(enemy => drawEnemy(enemy, scrollOffset));
+		drawGhost(scrollOffset);
+		drawHazard(scrollOffset);
+
+		context.restore();
+	}
+
+	//Draw the rising lava (see config.hazard in maze_engine.js) over every row it has flooded, up to its level.
+	function drawHazard(scrollOffset) {
+		var hazard = maze.getHazard();
+		if (hazard === null) {
+			return;
+		}
+
+		//The bottom edge of the row at the hazard's height.
+		var surfaceY = mazeTop + ((maze.getTopHeight() - hazard.level - maze.firstVisibleRow + 1) * squareLength) + scrollOffset;
+
+		context.fillStyle = theme.colours.hazard;
+		context.fillRect(mazeLeft, surfaceY, maze.numberOfRowBlocks * squareLength, canvasHeight - surfaceY);
+	}
+
+	//Draw an enemy as a triangle: purple while it wanders or patrols, orange when it's chasing the character.
+	//Like items, enemies only show where the character can see them.
+	function drawEnemy(enemy, scrollOffset) {
+		if (options.visibility && options.visibility.isEnabled() && !enemy.location.isVisible) {
+			return;
+		}
+
+		var centerPoint = getCenterPoint(enemy.location.rowIndex, enemy.location.blockIndex);
+		var size = squareLength * 0.4;
+		var y = centerPoint.y + scrollOffset;
+
+		context.strokeStyle = theme.colours.outline;
+		context.lineWidth = theme.outlineWidth;
+		context.fillStyle = enemy.isChasing ? theme.colours.chasingEnemy : theme.colours.enemy;
+		context.beginPath();
+		context.moveTo(centerPoint.x, y - size);
+		context.lineTo(centerPoint.x + size, y + size);
+		context.lineTo(centerPoint.x - size, y + size);
+		context.closePath();
+		context.fill();
+		context.stroke();
+		context.lineWidth = 1;
+	}
+
+	//Draw one block, with its tile and the item on it (if there are any).
+	//Its colour (or sprite) depends on whether it's a wall or not, and (in the fog of war) whether it can be seen.
+	function drawBlock(block, scrollOffset) {
+		var topLeft = pointGrid.rows[block.rowIndex].points[block.blockIndex];
+		var x = topLeft.x;
+		var y = topLeft.y + scrollOffset;
+
+		var isHidden = options.visibility && options.visibility.isEnabled() && !block.isVisible;
+		//Seen before, but not now.
+		var isRemembered = isHidden && block.isExplored && options.visibility.getOptions().remember;
+
+		if (isHidden && !isRemembered) {
+			context.fillStyle = theme.colours.unexplored;
+			context.fillRect(x, y, squareLength + 1, squareLength + 1);
+		} else if (isTilesetReady()) {
+			drawSprite(block.isWall ? [getWallVariant(block), theme.tileset.wallRow] : theme.tileset.floor, x, y);
+
+			if (isRemembered) {
+				context.fillStyle = block.isWall ? theme.colours.exploredWall : theme.colours.exploredFloor;
+				context.globalAlpha = 0.6;
+				context.fillRect(x, y, squareLength + 1, squareLength + 1);
+				context.globalAlpha = 1;
+			}
+		} else {
+			if (isRemembered) {
+				context.fillStyle = block.isWall ? theme.colours.exploredWall : theme.colours.exploredFloor;
+			} else {
+				context.fillStyle = block.isWall ? theme.colours.wall : theme.colours.floor;
+			}
+			context.fillRect(x, y, squareLength + 1, squareLength + 1);
+		}
+
+		//Tiles are part of the map, so they stay on it once they've been seen, like the floors.
+		if (block.tile !== null && (!isHidden || isRemembered)) {
+			tileTypes[block.tile.type].draw(context, block, x, y, squareLength, theme.colours);
+		}
+
+		//Items only show where the character can see them.
+		if (block.item !== null && (!options.visibility || !options.visibility.isEnabled() || block.isVisible)) {
+			drawItem(block.item, getCenterPoint(block.rowIndex, block.blockIndex), scrollOffset);
+		}
+	}
+
+	//Draw an item in the middle of its block: a gold coin, a blue key (a diamond) or a green time bonus (a square).
+	function drawItem(item, centerPoint, scrollOffset) {
+		var size = squareLength * 0.3;
+		var x = centerPoint.x;
+		var y = centerPoint.y + scrollOffset;
+
+		context.strokeStyle = theme.colours.outline;
+		context.lineWidth = theme.outlineWidth;
+		context.beginPath();
+
+		if (item.type == "coin") {
+			context.fillStyle = theme.colours.coin;
+			context.arc(x, y, size, 0, 2 * Math.PI);
+		} else if (item.type == "key") {
+			context.fillStyle = theme.colours.key;
+			context.moveTo(x, y - size);
+			context.lineTo(x + size, y);
+			context.lineTo(x, y + size);
+			context.lineTo(x - size, y);
+		} else {
+			context.fillStyle = theme.colours.timeBonus;
+			context.rect(x - size, y - size, size * 2, size * 2);
+		}
+
+		context.closePath();
+		context.fill();
+		context.stroke();
+		context.lineWidth = 1;
+	}
+
+	/**
+	*	Draw the character wherever it has got to on its slide: its sprite, facing the way it last moved
+	*	and walking through its frames until it gets there, or a circle if the theme has no tileset.
+	*/
+	function drawCharacter() {
+		var now = performance.now();
+		var position = getCharacterPosition(now, maze.getCharacter().location);
+		var centerPoint = getCenterPoint(maze.getTopHeight() - position.height, position.blockIndex);
+		var y = centerPoint.y + getScrollOffset();
+
+		if (isTilesetReady()) {
+			var progress = moveDuration <= 0 ? 1 : (now - characterSlide.startTime) / moveDuration;
+			var frame = progress < 1 ? Math.floor(progress * theme.tileset.characterFrames) : 0;
+
+			drawSprite([frame, theme.tileset.characterRows[characterFacing]], centerPoint.x - (squareLength / 2), y - (squareLength / 2));
+			return;
+		}
+
+		context.strokeStyle = theme.colours.outline;
+		context.fillStyle = theme.colours.character;
+		context.lineWidth = theme.outlineWidth;
+		context.beginPath();
+		context.arc(centerPoint.x, y, characterCircleRadius, 0, 2 * Math.PI);
+		context.fill();
+		context.stroke();
+		context.closePath();
+		context.lineWidth = 1;
+	}
+
+	//Draw the ghost's character, see-through, standing wherever it is. Its maze is a copy of this one, so its heights are the same.
+	function drawGhost(scrollOffset) {
+		if (ghostMaze === null) {
+			return;
+		}
+
+		var location = ghostMaze.getCharacter().location;
+		var centerPoint = getCenterPoint(maze.getTopHeight() - location.row.height, location.blockIndex);
+		var y = centerPoint.y + scrollOffset;
+
+		context.globalAlpha = 0.4;
+		if (isTilesetReady()) {
+			drawSprite([0, theme.tileset.characterRows[ghostFacing]], centerPoint.x - (squareLength / 2), y - (squareLength / 2));
+		} else {
+			context.fillStyle = theme.colours.character;
+			context.beginPath();
+			context.arc(centerPoint.x, y, characterCircleRadius, 0, 2 * Math.PI);
+			context.fill();
+			context.closePath();
+		}
+		context.globalAlpha = 1;
+	}
+
+	//Draw one of the tileset's sprites (its [column, row] on the sheet) over a block.
+	function drawSprite(sprite, x, y) {
+		var spriteSize = theme.tileset.spriteSize;
+
+		//Pixel art stays crisp when it's scaled up.
+		context.imageSmoothingEnabled = false;
+		context.drawImage(tilesetImage, sprite[0] * spriteSize, sprite[1] * spriteSize, spriteSize, spriteSize, x, y, squareLength + 1, squareLength + 1);
+	}
+
+	/**
+	*	Draw everything in another theme from now on: the name of one of the mazeThemes, or a theme of your own (see maze_themes.js).
+	*	A tileset theme is drawn in its colours until its image has loaded.
+	*/
+	function setTheme(newTheme) {
+		theme = makeTheme(newTheme);
+		tilesetImage = null;
+		needsDrawing = true;
+
+		if (theme.tileset === null) {
+			return;
+		}
+
+		if (tilesetImages[theme.tileset.src] === undefined) {
+			tilesetImages[theme.tileset.src] = new Image();
+			tilesetImages[theme.tileset.src].src = theme.tileset.src;
+		}
+
+		tilesetImage = tilesetImages[theme.tileset.src];
+		if (!tilesetImage.complete) {
+			tilesetImage.addEventListener("load", () => needsDrawing = true);
+		}
+	}
+
+	//Race a ghost: draw the character of its maze (ghost.maze, see createGhost in maze_replay.js) too. Pass null to stop drawing it.
+	function setGhost(newGhostMaze) {
+		ghostUnsubscribers.map(unsubscribe => unsubscribe());
+		ghostUnsubscribers = [];
+		ghostMaze = newGhostMaze;
+		ghostFacing = "up";
+		needsDrawing = true;
+
+		if (ghostMaze !== null) {
+			ghostUnsubscribers = [
+				ghostMaze.subscribe("move", function (event) {
+					ghostFacing = event.direction;
+					needsDrawing = true;
+				}),
+				ghostMaze.subscribe("teleport", () => needsDrawing = true)
+			];
+		}
+	}
+
+	//Show or hide the debug overlay. While it's showing, the renderer keeps track of the Block under the mouse.
+	function setDebug(isOn) {
+		mazeCanvas.removeEventListener("mousemove", hoverBlock);
+		mazeCanvas.removeEventListener("mouseleave", hoverBlock);
+		isDebugging = isOn;
+		hoveredBlock = undefined;
+		needsDrawing = true;
+
+		if (isDebugging) {
+			mazeCanvas.addEventListener("mousemove", hoverBlock);
+			mazeCanvas.addEventListener("mouseleave", hoverBlock);
+		}
+	}
+
+	function hoverBlock(event) {
+		var block = event.type == "mouseleave" ? undefined : getBlockAt(event.clientX, event.clientY);
+		if (block !== hoveredBlock) {
+			hoveredBlock = block;
+			needsDrawing = true;
+		}
+	}
+
+	/**
+	*	Draw the generator's paths and seeds (see getDebugPaths in maze_debug.js) over the maze, then number the rows down the left
+	*	and the blocks along the top, and label the Block under the mouse.
+	*/
+	function drawDebugOverlay() {
+		if (!isDebugging) {
+			return;
+		}
+
+		var scrollOffset = getScrollOffset();
+		var getPoint = function (block) {
+			var centerPoint = getCenterPoint(block.rowIndex, block.blockIndex);
+			centerPoint.y += scrollOffset;
+			return centerPoint;
+		};
+
+		context.save();
+		context.beginPath();
+		context.rect(mazeLeft, mazeTop, maze.numberOfRowBlocks * squareLength, maze.numberOfVisibleRows * squareLength);
+		context.clip();
+
+		var debugPaths = getDebugPaths(maze);
+		if (debugPaths !== null) {
+			context.lineCap = "round";
+			context.lineJoin = "round";
+
+			for (var i = 0; i < debugPaths.paths.length; i++) {
+				var path = debugPaths.paths[i];
+				context.strokeStyle = path.colour;
+				context.lineWidth = squareLength / (path.isMainPath ? 4 : 6);
+				context.setLineDash(path.isSpliced ? [squareLength / 4, squareLength / 4] : []);
+				traceDebugPath(context, maze, path.blocks, getPoint);
+				context.stroke();
+			}
+			context.setLineDash([]);
+
+			context.strokeStyle = debugColours.seed;
+			context.lineWidth = squareLength / 8;
+			debugPaths.seeds.map(function (block) {
+				var point = getPoint(block);
+				context.beginPath();
+				context.arc(point.x, point.y, squareLength / 3, 0, 2 * Math.PI);
+				context.stroke();
+			});
+		}
+
+		drawDebugIndices(scrollOffset);
+
+		if (hoveredBlock !== undefined && hoveredBlock.rowIndex < maze.numberOfRows) {
+			drawDebugLabel(hoveredBlock, scrollOffset);
+		}
+
+		context.restore();
+	}
+
+	//The rowIndex of every row on screen, down the left, and the blockIndex of every block, along the top.
+	function drawDebugIndices(scrollOffset) {
+		var firstRowToDraw = Math.max(0, maze.firstVisibleRow - Math.ceil(-scrollOffset / squareLength));
+		var fontSize = Math.max(8, Math.floor(squareLength / 3));
+
+		context.font = fontSize + "px monospace";
+		context.textBaseline = "top";
+		context.textAlign = "left";
+		context.fillStyle = debugColours.text;
+
+		for (var i = firstRowToDraw; i < maze.numberOfRows; i++) {
+			var topLeft = pointGrid.rows[i].points[0];
+			context.fillText(i, topLeft.x + 1, topLeft.y + scrollOffset + 1);
+		}
+
+		for (var k = 1; k < maze.numberOfRowBlocks; k++) {
+			context.fillText(k, mazeLeft + (k * squareLength) + 1, mazeTop + 1);
+		}
+	}
+
+	//Outline the Block under the mouse, and show what the generator knows about it in a box beside it.
+	function drawDebugLabel(block, scrollOffset) {
+		var topLeft = pointGrid.rows[block.rowIndex].points[block.blockIndex];
+		var x = topLeft.x;
+		var y = topLeft.y + scrollOffset;
+		var lines = [
+			"row " + block.rowIndex + ", block " + block.blockIndex,
+			"height " + block.row.height,
+			"adjacent walls " + block.numberOfAdjacentWalls
+		];
+		var fontSize = 12;
+		var lineHeight = fontSize + 2;
+
+		context.strokeStyle = debugColours.hover;
+		context.lineWidth = 2;
+		context.strokeRect(x, y, squareLength, squareLength);
+
+		context.font = fontSize + "px monospace";
+		context.textBaseline = "top";
+		context.textAlign = "left";
+		var width = Math.max.apply(null, lines.map(line => context.measureText(line).width)) + 8;
+		var height = (lines.length * lineHeight) + 6;
+
+		//Beside the Block, on whichever side has room, and kept on the canvas.
+		var labelX = x + squareLength + width > canvasWidth ? x - width : x + squareLength;
+		var labelY = Math.min(Math.max(0, y), canvasHeight - height);
+
+		context.fillStyle = debugColours.labelBackground;
+		context.fillRect(labelX, labelY, width, height);
+		context.fillStyle = debugColours.labelText;
+		lines.map((line, i) => context.fillText(line, labelX + 4, labelY + 4 + (i * lineHeight)));
+	}
+
+	function isTilesetReady() {
+		return tilesetImage !== null && tilesetImage.complete && tilesetImage.naturalWidth > 0;
+	}
+
+	//Draw a line from the character through the middle of every Block on its route, with a dot on the last one.
+	function drawRoute() {
+		if (route.length == 0) {
+			return;
+		}
+
+		var scrollOffset = getScrollOffset();
+		var position = getCharacterPosition(performance.now(), maze.getCharacter().location);
+		var points = [getCenterPoint(maze.getTopHeight() - position.height, position.blockIndex)]
+			.concat(route.map(block => getCenterPoint(block.rowIndex, block.blockIndex)));
+
+		context.strokeStyle = theme.colours.route;
+		context.fillStyle = theme.colours.route;
+		context.lineWidth = squareLength / 4;
+		context.lineCap = "round";
+		context.lineJoin = "round";
+
+		context.beginPath();
+		context.moveTo(points[0].x, points[0].y + scrollOffset);
+		for (var i = 1; i < points.length; i++) {
+			context.lineTo(points[i].x, points[i].y + scrollOffset);
+		}
+		context.stroke();
+
+		var lastPoint = points[points.length - 1];
+		context.beginPath();
+		context.arc(lastPoint.x, lastPoint.y + scrollOffset, squareLength / 3, 0, 2 * Math.PI);
+		context.fill();
+
+		context.lineWidth = 1;
+	}
+
+	/**
+	*	Draw a fading cross over each Block which was clicked but can't be walked to.
+	*	Walls get a grey cross, and floors which can't be reached from here get a red one.
+	*/
+	function drawFlashes() {
+		var now = performance.now();
+		var scrollOffset = getScrollOffset();
+
+		flashes = flashes.filter(flash => now - flash.startTime < flashDuration);
+
+		for (var i = 0; i < flashes.length; i++) {
+			var centerPoint = getCenterPoint(flashes[i].block.rowIndex, flashes[i].block.blockIndex);
+			var armLength = squareLength / 3;
+
+			context.globalAlpha = 1 - ((now - flashes[i].startTime) / flashDuration);
+			context.strokeStyle = flashes[i].reason == "wall" ? theme.colours.flashWall : theme.colours.flashUnreachable;
+			context.lineWidth = squareLength / 6;
+			context.lineCap = "round";
+
+			context.beginPath();
+			context.moveTo(centerPoint.x - armLength, centerPoint.y + scrollOffset - armLength);
+			context.lineTo(centerPoint.x + armLength, centerPoint.y + scrollOffset + armLength);
+			context.moveTo(centerPoint.x + armLength, centerPoint.y + scrollOffset - armLength);
+			context.lineTo(centerPoint.x - armLength, centerPoint.y + scrollOffset + armLength);
+			context.stroke();
+		}
+
+		context.globalAlpha = 1;
+		context.lineWidth = 1;
+	}
+
+	/**
+	*	Find the Block under a point on the screen (clientX and clientY, as in a mouse event).
+	*	Undefined if the point isn't over the visible maze.
+	*/
+	function getBlockAt(clientX, clientY) {
+		var canvasBox = mazeCanvas.getBoundingClientRect();
+		var x = clientX - canvasBox.left - mazeLeft;
+		var y = clientY - canvasBox.top - mazeTop;
+
+		if (x < 0 || y < 0 || x >= maze.numberOfRowBlocks * squareLength || y >= maze.numberOfVisibleRows * squareLength) {
+			return undefined;
+		}
+
+		var row = maze.getRow(maze.firstVisibleRow + Math.floor((y - getScrollOffset()) / squareLength));
+		return row === undefined ? undefined : row.blocks[Math.floor(x / squareLength)];
+	}
+
+	//Show the route the character is walking (a list of Blocks, first step first). An empty list hides it.
+	function setRoute(newRoute) {
+		route = newRoute;
+		needsDrawing = true;
+	}
+
+	//Flash a Block which was clicked but can't be walked to. The reason is "wall" or "unreachable".
+	function flashBlock(block, reason) {
+		flashes[flashes.length] = { block: block, reason: reason, startTime: performance.now() };
+	}
+
+	//The middle of a block on the canvas. The rowIndex and blockIndex don't have to be whole numbers.
+	function getCenterPoint(rowIndex, blockIndex) {
+		return new Point(
+			mazeLeft + ((blockIndex + 0.5) * squareLength),
+			mazeTop + ((rowIndex - maze.firstVisibleRow + 0.5) * squareLength)
+		);
+	}
+
+	function stop() {
+		cancelAnimationFrame(animationFrame);
+		window.removeEventListener("resize", resize);
+		unsubscribers.map(unsubscribe => unsubscribe());
+		setGhost(null);
+		setDebug(false);
+	}
+}
+
+//How many real pixels a canvas needs behind its size on the page (in CSS pixels) to be sharp on a screen with this devicePixelRatio.
+function getCanvasPixelSize(canvasWidth, canvasHeight, pixelRatio) {
+	return {
+		width: Math.round(canvasWidth * pixelRatio),
+		height: Math.round(canvasHeight * pixelRatio)
+	};
+}
+
+/**
+*	Fit the visible maze (numberOfRowBlocks across, numberOfVisibleRows down) onto a canvas, with its blocks as big as they can be
+*	while it all fits, and centred in whatever space is left over. Everything is in CSS pixels.
+*	Returns { squareLength, mazeLeft, mazeTop }: the size of a block, and the top left corner of the visible rows.
+*/
+function fitMaze(canvasWidth, canvasHeight, numberOfRowBlocks, numberOfVisibleRows) {
+	var squareLength = Math.min(canvasWidth / numberOfRowBlocks, canvasHeight / numberOfVisibleRows);
+
+	return {
+		squareLength: squareLength,
+		mazeLeft: (canvasWidth - (numberOfRowBlocks * squareLength)) / 2,
+		mazeTop: (canvasHeight - (numberOfVisibleRows * squareLength)) / 2
+	};
+}
+
+/**
+*	Where the camera is after timePassed milliseconds of easing from cameraHeight towards topHeight. It covers the same share
+*	of the remaining distance in the same time, so it's quick at first and gentle at the end, and once it's within a hair
+*	of the top row it's there. With a scrollDuration of 0, it's there straight away.
+*/
+function easeCamera(cameraHeight, topHeight, timePassed, scrollDuration) {
+	var distance = topHeight - cameraHeight;
+
+	if (scrollDuration <= 0 || Math.abs(distance) < 0.002) {
+		return topHeight;
+	}
+
+	return cameraHeight + (distance * (1 - Math.exp(-3 * timePassed / scrollDuration)));
+}
+
+//How far along its slide the character is (from 0 to 1), timePassed milliseconds into it. Smoothstep, so it starts and stops gently.
+function getSlideProgress(timePassed, moveDuration) {
+	var progress = moveDuration <= 0 ? 1 : Math.max(0, Math.min(1, timePassed / moveDuration));
+
+	return progress * progress * (3 - (2 * progress));
+}
+
+//These are the functions which act as classes for the renderer's objects.
+
+function PointGrid() {
+	this.rows = [];
+}
+
+/* A PointRow holds one horizontal line of Point objects. */
+function PointRow() {
+	this.points = [];
+}
+
+/*
+ * "Point" is the class for point objects in an animation.
+ */
+function Point(newPointX, newPointY) {
+	this.x = newPointX;
+	this.y = newPointY;
+}
+
+//Node scripts can require() the renderer (it still needs a canvas and a window, of course). In the browser these are ordinary globals.
+if (typeof module !== "undefined" && module.exports) {
+	module.exports = {
+		createCanvasRenderer: createCanvasRenderer,
+		getCanvasPixelSize: getCanvasPixelSize,
+		fitMaze: fitMaze,
+		easeCamera: easeCamera,
+		getSlideProgress: getSlideProgress
+	};
+}
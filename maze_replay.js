@@ -0,0 +1,287 @@
+/**
+The MIT License (MIT)
+
+Copyright (c) 2024 Matt Payne
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+THE SOFTWARE.
+*/
+
+
+/**
+*	Replays: a run written down as where it started and what was done on which step of the maze's clock (see clockStep in maze_engine.js).
+*	The maze makes the same decisions from the same seed, and the enemies and the hazard move on whole steps of the clock,
+*	so doing the same things on the same steps plays the run out again exactly.
+*
+*	createRecorder() writes a run down as it's played. A replay is a plain object, ready for JSON.stringify:
+*		format, version - so we know what we're loading.
+*		clockStep       - the length of a step of the clock it was recorded with, in milliseconds.
+*		start           - { config } (maze.save().config) for a run from the very start of a maze, which is all it takes to make
+*		                  the maze again, or { savedGame } for a run which started part-way through (a loaded game, say).
+*		inputs          - what was done, in order, each one as [steps of the clock since the one before, what]:
+*		                  [steps, "up"] (or "down", "left", "right") for a move,
+*		                  [steps, "setPiece", setPiece, height, column] for a queued set piece (see maze.queueSetPiece),
+*		                  and [steps, "end", reason] for the end of the run.
+*		score           - the score (maze.getScore()) when the replay was taken.
+*
+*	createReplayPlayer() plays a replay back on a maze of its own, in real time or all at once,
+*	and createGhost() plays one alongside a maze being played, step for step, to race against.
+*/
+
+//In Node, the engine has to be fetched. In the browser, it's loaded before this file.
+if (typeof module !== "undefined" && module.exports) {
+	var mazeEngine = require("./maze_engine.js");
+	var createMaze = mazeEngine.createMaze;
+	var loadMaze = mazeEngine.loadMaze;
+	var restoreConfig = mazeEngine.restoreConfig;
+	var clockStep = mazeEngine.clockStep;
+}
+
+var replayFormat = "infinite-maze-contraption-replay";
+var replayVersion = 1;
+
+/**
+*	Start writing down a run of a maze, from where it is now.
+*	Returns an object with getReplay() (the run so far, or the whole run once it's over) and stop() (to stop listening to the maze).
+*	Mazes with a custom generator function can't be recorded, since they can't be saved.
+*/
+function createRecorder(maze) {
+	var savedGame = maze.save();
+	var isFromTheStart = maze.getScore().steps == 0 && savedGame.setPieces.length == 0;
+	var start = isFromTheStart ? { config: savedGame.config } : { savedGame: savedGame };
+
+	var inputs = [];
+	var lastClock = maze.getClock();
+
+	var unsubscribers = [
+		maze.subscribe("move", event => record([event.direction])),
+		maze.subscribe("setPiece", event => record([
+			"setPiece",
+			{ rows: event.setPiece.rows, start: event.setPiece.start || null },
+			event.height,
+			event.column === undefined ? null : event.column
+		])),
+		maze.subscribe("gameOver", event => record(["end", event.reason]))
+	];
+
+	function record(input) {
+		var clock = maze.getClock();
+		inputs[inputs.length] = [clock - lastClock].concat(input);
+		lastClock = clock;
+	}
+
+	return {
+		getReplay: () => ({
+			format: replayFormat,
+			version: replayVersion,
+			clockStep: clockStep,
+			start: start,
+			inputs: inputs.slice(),
+			score: maze.getScore()
+		}),
+		stop: () => unsubscribers.map(unsubscribe => unsubscribe())
+	};
+}
+
+/**
+*	Read a replay (from JSON text, or already parsed), and check it's one we can play.
+*	Throws an error which says what's wrong if it isn't.
+*/
+function loadReplay(replayJson) {
+	var replay = replayJson;
+
+	if (typeof replayJson == "string") {
+		try {
+			replay = JSON.parse(replayJson);
+		} catch (error) {
+			throw new Error("The replay isn't JSON: " + error.message);
+		}
+	}
+
+	if (replay === null || typeof replay != "object" || replay.format != replayFormat) {
+		throw new Error("This is not an infinite maze replay.");
+	}
+	if (replay.version != replayVersion) {
+		throw new Error("Replays from version " + replay.version + " can't be played (this is version " + replayVersion + ").");
+	}
+	if (replay.clockStep != clockStep) {
+		throw new Error("This replay was recorded with a clock step of " + replay.clockStep + "ms, but this maze's clock steps every " + clockStep + "ms.");
+	}
+	if (replay.start === null || typeof replay.start != "object" || (replay.start.config === undefined && replay.start.savedGame === undefined)) {
+		throw new Error("This replay doesn't say which maze it was recorded on.");
+	}
+	if (!Array.isArray(replay.inputs)) {
+		throw new Error("This replay has no inputs.");
+	}
+
+	return replay;
+}
+
+/**
+*	Check that a replay was recorded on a grid of the same size: the same number of columns (numberOfRowBlocks) and
+*	visible rows (numberOfVisibleRows), and the same bufferMultiplier. The grid can be a maze, or a config with those in it.
+*/
+function checkReplayGrid(replay, grid) {
+	var replayConfig = getReplayConfig(replay);
+	var isSameGrid = replayConfig.numberOfRowBlocks == grid.numberOfRowBlocks &&
+		replayConfig.numberOfVisibleRows == grid.numberOfVisibleRows &&
+		replayConfig.bufferMultiplier == grid.bufferMultiplier;
+
+	if (!isSameGrid) {
+		throw new Error("This replay was recorded on a grid of " + describeGrid(replayConfig) + ", but this maze's grid is " + describeGrid(grid) + ". " +
+			"Change the grid to match to play it.");
+	}
+}
+
+/**
+*	Check that a replay was recorded on the same maze as this one: the same grid (see checkReplayGrid), seed and generator,
+*	with the same difficulty profile and hazard. Throws an error which says what's different if it wasn't.
+*/
+function checkReplayMatches(replay, maze) {
+	var replayConfig = getReplayConfig(replay);
+	var mazeConfig = maze.getConfig();
+
+	checkReplayGrid(replay, maze);
+
+	["seed", "generator", "difficulty", "hazard"].map(function (setting) {
+		if (JSON.stringify(replayConfig[setting]) != JSON.stringify(mazeConfig[setting])) {
+			throw new Error("This replay was recorded with a different " + setting + " (" + JSON.stringify(replayConfig[setting]) +
+				", not " + JSON.stringify(mazeConfig[setting]) + ").");
+		}
+	});
+}
+
+/**
+*	Play a replay back on a maze of its own.
+*	The options are the same as loadMaze's (in maze_engine.js), for replays of mazes with custom generators and the like.
+*	Returns an object with:
+*		maze         - the maze it's being played on.
+*		tick(time)   - play on in real time: this many more milliseconds of it. Use it in place of maze.tick().
+*		playTo(clock) - play everything up to this step of the maze's clock (see maze.getClock()).
+*		finish()     - play the rest of it, all at once. Returns the maze.
+*		isFinished() - whether everything in it has been played.
+*	If the replay doesn't fit the maze after all (a move runs into a wall), playing it throws an error.
+*/
+function createReplayPlayer(replay, options) {
+	replay = loadReplay(replay);
+
+	var maze = replay.start.savedGame !== undefined ? loadMaze(replay.start.savedGame, options) : createMaze(restoreConfig(replay.start.config, options));
+
+	//The input to play next, and the step of the clock the one before it was played on.
+	var nextInput = 0;
+	var inputClock = maze.getClock();
+
+	//How long it's been playing for, in real time (see tick).
+	var startClock = maze.getClock();
+	var playingTime = 0;
+
+	function tick(timePassed) {
+		playingTime += timePassed;
+		playTo(startClock + Math.floor(playingTime / clockStep));
+	}
+
+	function playTo(targetClock) {
+		while (nextInput < replay.inputs.length && inputClock + replay.inputs[nextInput][0] <= targetClock) {
+			inputClock += replay.inputs[nextInput][0];
+			runClockTo(inputClock);
+			playInput(replay.inputs[nextInput]);
+			nextInput++;
+		}
+
+		runClockTo(targetClock);
+	}
+
+	function finish() {
+		playTo(replay.inputs.reduce((clock, input) => clock + input[0], startClock));
+		return maze;
+	}
+
+	//The clock doesn't run before the character's first step, or after the end, so it won't always get there, just as it didn't when it was recorded.
+	function runClockTo(targetClock) {
+		if (targetClock > maze.getClock()) {
+			maze.tick((targetClock - maze.getClock()) * clockStep);
+		}
+	}
+
+	function playInput(input) {
+		if (input[1] == "end") {
+			maze.endGame(input[2]);
+		} else if (input[1] == "setPiece") {
+			maze.queueSetPiece(input[2], input[3], input[4]);
+		} else if (!maze.move(input[1])) {
+			throw new Error("The replay doesn't fit this maze: input " + (nextInput + 1) + " (" + input[1] + ") ran into a wall.");
+		}
+	}
+
+	return {
+		maze: maze,
+		tick: tick,
+		playTo: playTo,
+		finish: finish,
+		isFinished: () => nextInput >= replay.inputs.length
+	};
+}
+
+/**
+*	A ghost plays a replay on a copy of the maze being played, step for step with it, so the two runs can be raced and their routes compared.
+*	The replay has to have been recorded on the same maze (see checkReplayMatches), from the start.
+*	Returns an object with maze (the ghost's copy of the maze, whose character is the ghost) and update(), to call whenever the
+*	maze being played has moved on. The ghost sets off with the character's first step.
+*/
+function createGhost(replay, maze, options) {
+	replay = loadReplay(replay);
+	checkReplayMatches(replay, maze);
+
+	if (replay.start.config === undefined) {
+		throw new Error("This replay starts part-way through a game, so it can't be raced from the start.");
+	}
+
+	var player = createReplayPlayer(replay, options);
+
+	return {
+		maze: player.maze,
+		update: function () {
+			if (maze.getScore().steps > 0) {
+				player.playTo(maze.getClock());
+			}
+		}
+	};
+}
+
+//The config of the maze a replay was recorded on.
+function getReplayConfig(replay) {
+	return replay.start.config || replay.start.savedGame.config;
+}
+
+//Like "30x30 with a buffer of 3".
+function describeGrid(grid) {
+	return grid.numberOfRowBlocks + "x" + grid.numberOfVisibleRows + " with a buffer of " + grid.bufferMultiplier;
+}
+
+//Node scripts can require() the replays. In the browser these are ordinary globals.
+if (typeof module !== "undefined" && module.exports) {
+	module.exports = {
+		createRecorder: createRecorder,
+		loadReplay: loadReplay,
+		checkReplayGrid: checkReplayGrid,
+		checkReplayMatches: checkReplayMatches,
+		createReplayPlayer: createReplayPlayer,
+		createGhost: createGhost,
+		getReplayConfig: getReplayConfig
+	};
+}
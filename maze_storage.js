@@ -0,0 +1,262 @@
+/**
+The MIT License (MIT)
+
+Copyright (c) 2024 Matt Payne
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+THE SOFTWARE.
+*/
+
+/**
+*	Saving and loading games in the browser, either in localStorage "slots" or as files to download and upload.
+*	The saved games themselves come from maze.save(), and go back into a maze through loadMaze() (see maze_engine.js).
+*	The player's control bindings (see maze_input.js) are kept in localStorage too, and so are the high scores, the replay of the best run
+*	in each high score table (see maze_replay.js), and the theme.
+*/
+
+//In Node, the replays have to be fetched. In the browser, they're loaded alongside this file.
+if (typeof module !== "undefined" && module.exports) {
+	var getReplayConfig = require("./maze_replay.js").getReplayConfig;
+}
+
+var saveSlotPrefix = "infiniteMazeContraption.save.";
+var bindingsKey = "infiniteMazeContraption.bindings";
+var highScoresKey = "infiniteMazeContraption.highScores";
+var themeKey = "infiniteMazeContraption.theme";
+var bestReplaysKey = "infiniteMazeContraption.bestReplays";
+
+//How many runs each high score table keeps.
+var highScoreTableLength = 10;
+
+//Save the game in a localStorage slot, replacing whatever was there.
+function saveToSlot(maze, slotName) {
+	localStorage.setItem(saveSlotPrefix + slotName, JSON.stringify(maze.save()));
+}
+
+//Get the saved game out of a localStorage slot. Pass it to loadMaze() to play it.
+function loadFromSlot(slotName) {
+	var savedText = localStorage.getItem(saveSlotPrefix + slotName);
+
+	if (savedText === null) {
+		throw new Error("There is no game saved in slot " + slotName + ".");
+	}
+
+	return JSON.parse(savedText);
+}
+
+//The names of the slots which have a game saved in them.
+function listSaveSlots() {
+	var slotNames = [];
+
+	for (var i = 0; i < localStorage.length; i++) {
+		var key = localStorage.key(i);
+		if (key.indexOf(saveSlotPrefix) == 0) {
+			slotNames[slotNames.length] = key.substring(saveSlotPrefix.length);
+		}
+	}
+
+	return slotNames;
+}
+
+//Offer the game to the player as a .json file to download.
+function downloadSave(maze, fileName) {
+	var saveBlob = new Blob([JSON.stringify(maze.save())], { type: "application/json" });
+	downloadBlob(saveBlob, fileName || "infinite_maze_" + maze.seed + ".json");
+}
+
+//Offer any Blob to the player as a file to download.
+function downloadBlob(blob, fileName) {
+	var link = document.createElement("a");
+
+	link.href = URL.createObjectURL(blob);
+	link.download = fileName;
+	link.click();
+
+	URL.revokeObjectURL(link.href);
+}
+
+//Offer a replay (see maze_replay.js) to the player as a .json file to download.
+function downloadReplay(replay, fileName) {
+	var replayBlob = new Blob([JSON.stringify(replay)], { type: "application/json" });
+	downloadBlob(replayBlob, fileName || "infinite_maze_" + getReplayConfig(replay).seed + "_replay.json");
+}
+
+//Remember the player's control bindings, for next time.
+function saveBindings(bindings) {
+	localStorage.setItem(bindingsKey, JSON.stringify(bindings));
+}
+
+//The player's control bindings, or null if they've never changed them (or they've been mangled somehow).
+function loadBindings() {
+	try {
+		return JSON.parse(localStorage.getItem(bindingsKey));
+	} catch (error) {
+		return null;
+	}
+}
+
+function forgetBindings() {
+	localStorage.removeItem(bindingsKey);
+}
+
+//Remember the name of the theme the player picked (see maze_themes.js), for next time.
+function saveThemeName(themeName) {
+	localStorage.setItem(themeKey, themeName);
+}
+
+//The name of the theme the player last picked, or null if they never have.
+function loadThemeName() {
+	try {
+		return localStorage.getItem(themeKey);
+	} catch (error) {
+		return null;
+	}
+}
+
+/**
+*	Each maze gets a high score table of its own, since a run up one maze says nothing about another: each seed, grid size
+*	and buffer, generator, difficulty profile and hazard. A survival run and a plain run up the same seed aren't the same race.
+*	The table's name is made from whichever of them the maze has (a maze, or a config like maze.getConfig()'s).
+*/
+function getHighScoreTableName(maze) {
+	var mazeConfig = typeof maze.getConfig == "function" ? maze.getConfig() : maze;
+	var nameParts = [];
+
+	if (mazeConfig.seed !== undefined) {
+		nameParts[nameParts.length] = "seed " + mazeConfig.seed;
+	}
+	if (mazeConfig.numberOfRowBlocks !== undefined && mazeConfig.numberOfVisibleRows !== undefined) {
+		nameParts[nameParts.length] = mazeConfig.numberOfRowBlocks + "x" + mazeConfig.numberOfVisibleRows;
+	}
+	if (mazeConfig.bufferMultiplier !== undefined) {
+		nameParts[nameParts.length] = "buffer " + mazeConfig.bufferMultiplier;
+	}
+	if (mazeConfig.generator !== undefined) {
+		nameParts[nameParts.length] = mazeConfig.generator === null ? "custom generator" : mazeConfig.generator;
+	}
+	if (mazeConfig.difficulty !== undefined) {
+		nameParts[nameParts.length] = describeSetting(mazeConfig.difficulty || "classic") + " difficulty";
+	}
+	if (mazeConfig.hazard !== undefined) {
+		nameParts[nameParts.length] = mazeConfig.hazard === null ? "no lava" : describeSetting(mazeConfig.hazard) + " lava";
+	}
+
+	return nameParts.join(", ") || "any maze";
+}
+
+//A setting's name, or the whole of it (as JSON) if it's one of its own, like a difficulty profile loaded from a file.
+function describeSetting(setting) {
+	return typeof setting == "string" ? setting : JSON.stringify(setting);
+}
+
+//The runs in a high score table, best first. Each one is { rowsClimbed, steps, elapsedTime, coins, date }.
+function loadHighScores(tableName) {
+	return loadAllHighScores()[tableName] || [];
+}
+
+/**
+*	Put a finished run (a score from maze.getScore()) into its high score table, if it's good enough.
+*	The most rows climbed wins. Ties go to the quickest run, and then to the one with the fewest steps.
+*	Returns the run's place in the table (1 for the best), or 0 if it didn't make it.
+*/
+function addHighScore(tableName, score) {
+	var allHighScores = loadAllHighScores();
+	var table = allHighScores[tableName] || [];
+	var entry = {
+		rowsClimbed: score.rowsClimbed,
+		steps: score.steps,
+		elapsedTime: score.elapsedTime,
+		coins: score.coins,
+		date: new Date().toISOString()
+	};
+
+	table[table.length] = entry;
+	table.sort((a, b) => (b.rowsClimbed - a.rowsClimbed) || (a.elapsedTime - b.elapsedTime) || (a.steps - b.steps));
+	table = table.slice(0, highScoreTableLength);
+
+	allHighScores[tableName] = table;
+	localStorage.setItem(highScoresKey, JSON.stringify(allHighScores));
+
+	return table.indexOf(entry) + 1;
+}
+
+function forgetHighScores() {
+	localStorage.removeItem(highScoresKey);
+	localStorage.removeItem(bestReplaysKey);
+}
+
+/**
+*	Keep the replay of the best run up a maze, in place of the one before, so its ghost can be raced.
+*	Best replays are kept by the whole config of the maze they were recorded on (see getReplayConfig in maze_replay.js),
+*	so a run up the same seed with different settings never takes the place of one the ghost could still race.
+*/
+function saveBestReplay(replay) {
+	var bestReplays = loadAllBestReplays();
+
+	bestReplays[JSON.stringify(getReplayConfig(replay))] = replay;
+	localStorage.setItem(bestReplaysKey, JSON.stringify(bestReplays));
+}
+
+//The replay of the best run up this maze (with exactly this config, see maze.getConfig()), or null if there isn't one.
+function loadBestReplay(maze) {
+	return loadAllBestReplays()[JSON.stringify(maze.getConfig())] || null;
+}
+
+function loadAllBestReplays() {
+	try {
+		var bestReplays = JSON.parse(localStorage.getItem(bestReplaysKey));
+		return bestReplays !== null && typeof bestReplays == "object" ? bestReplays : {};
+	} catch (error) {
+		return {};
+	}
+}
+
+//Every high score table, keyed by name. A mangled list of high scores is started again from scratch.
+function loadAllHighScores() {
+	try {
+		var allHighScores = JSON.parse(localStorage.getItem(highScoresKey));
+		return allHighScores !== null && typeof allHighScores == "object" ? allHighScores : {};
+	} catch (error) {
+		return {};
+	}
+}
+
+//Read a saved game from a file the player uploaded (from an <input type="file">). Returns a Promise of the saved game.
+function readSaveFile(file) {
+	return file.text().then(savedText => JSON.parse(savedText));
+}
+
+//Node scripts can require() the storage, as long as they give it a localStorage to keep things in. In the browser these are ordinary globals.
+if (typeof module !== "undefined" && module.exports) {
+	module.exports = {
+		saveToSlot: saveToSlot,
+		loadFromSlot: loadFromSlot,
+		listSaveSlots: listSaveSlots,
+		saveBindings: saveBindings,
+		loadBindings: loadBindings,
+		forgetBindings: forgetBindings,
+		saveThemeName: saveThemeName,
+		loadThemeName: loadThemeName,
+		getHighScoreTableName: getHighScoreTableName,
+		loadHighScores: loadHighScores,
+		addHighScore: addHighScore,
+		forgetHighScores: forgetHighScores,
+		saveBestReplay: saveBestReplay,
+		loadBestReplay: loadBestReplay
+	};
+}
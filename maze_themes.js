@@ -0,0 +1,199 @@
+/**
+The MIT License (MIT)
+
+Copyright (c) 2024 Matt Payne
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+THE SOFTWARE.
+*/
+
+/**
+*	Themes decide what the maze looks like. The renderer (maze_renderer.js) draws with whichever theme it's given,
+*	and it can be changed while the maze is being played (renderer.setTheme).
+*
+*	A theme has a name, and colours for everything the renderer draws (see the classic theme for the full list).
+*	A theme of your own only needs the colours it changes. The rest come from the classic theme.
+*
+*	A theme can also have a tileset: a sprite sheet image which walls, floors and the character are drawn from, instead of plain colours.
+*	Everything else (items, tiles, enemies) is still drawn in the theme's colours. A tileset is laid out in a grid of square sprites:
+*		src            - the image's URL.
+*		spriteSize     - how big each sprite is on the sheet, in pixels.
+*		wallRow        - the row of 16 wall sprites. Which one a wall gets depends on which of its sides are open (see getWallVariant).
+*		floor          - the [column, row] of the floor sprite.
+*		characterRows  - the row of the character's walking sprites for each way it can face: { up, right, down, left }.
+*		characterFrames - how many frames each of those rows has. The character walks through them while it slides from block to block,
+*		                 and stands still on the first one.
+*	maze_tileset.png is laid out like that, for the "dungeon" theme.
+*/
+
+var mazeThemes = {
+	classic: {
+		name: "Classic",
+		colours: {
+			background: "#000000",
+			wall: "#000000",
+			floor: "#FFFFFF",
+			//In the fog of war (see maze_visibility.js): Blocks seen before but not now, and Blocks never seen.
+			exploredWall: "#000000",
+			exploredFloor: "#808080",
+			unexplored: "#202020",
+			character: "#FF0000",
+			outline: "#000000",
+			route: "#2E64FE",
+			flashWall: "#888888",
+			flashUnreachable: "#FF0000",
+			coin: "#FFD700",
+			key: "#2E64FE",
+			timeBonus: "#31B404",
+			enemy: "#8000FF",
+			chasingEnemy: "#FF8000",
+			hazard: "rgba(255, 69, 0, 0.6)",
+			door: "#8B4513",
+			keyhole: "#FFD700",
+			gate: "#A4A4A4",
+			teleporter: "#00BFFF",
+			deadTeleporter: "#A4A4A4"
+		}
+	},
+
+	night: {
+		name: "Night",
+		colours: {
+			background: "#0B0B1A",
+			wall: "#0B0B1A",
+			floor: "#2A3355",
+			exploredWall: "#0B0B1A",
+			exploredFloor: "#1A2038",
+			unexplored: "#05050C",
+			character: "#FFE066",
+			outline: "#000000",
+			route: "#66CCFF",
+			flashWall: "#55557A",
+			flashUnreachable: "#FF5577",
+			coin: "#FFD700",
+			key: "#66CCFF",
+			timeBonus: "#66FF99",
+			enemy: "#CC66FF",
+			chasingEnemy: "#FF7744",
+			hazard: "rgba(255, 90, 20, 0.55)",
+			door: "#A0522D",
+			keyhole: "#FFE066",
+			gate: "#8890B0",
+			teleporter: "#66FFFF",
+			deadTeleporter: "#55557A"
+		}
+	},
+
+	//Black and white, with bright colours that stay apart for colour-blind players, and thick outlines.
+	highContrast: {
+		name: "High contrast",
+		colours: {
+			background: "#000000",
+			wall: "#000000",
+			floor: "#FFFFFF",
+			exploredWall: "#000000",
+			exploredFloor: "#B0B0B0",
+			unexplored: "#000000",
+			character: "#0072B2",
+			outline: "#000000",
+			route: "#E69F00",
+			flashWall: "#000000",
+			flashUnreachable: "#D55E00",
+			coin: "#F0E442",
+			key: "#0072B2",
+			timeBonus: "#009E73",
+			enemy: "#CC79A7",
+			chasingEnemy: "#D55E00",
+			hazard: "rgba(213, 94, 0, 0.75)",
+			door: "#000000",
+			keyhole: "#F0E442",
+			gate: "#000000",
+			teleporter: "#56B4E9",
+			deadTeleporter: "#B0B0B0"
+		},
+		outlineWidth: 3
+	},
+
+	dungeon: {
+		name: "Dungeon (tileset)",
+		colours: {
+			background: "#1E1E28",
+			exploredFloor: "#6E6450",
+			unexplored: "#101014",
+			character: "#D03030"
+		},
+		tileset: {
+			src: "maze_tileset.png",
+			spriteSize: 16,
+			wallRow: 0,
+			floor: [0, 1],
+			characterRows: { up: 2, right: 3, down: 4, left: 5 },
+			characterFrames: 4
+		}
+	}
+};
+
+/**
+*	Get a theme ready to draw with: one of the mazeThemes by name, or a theme of your own,
+*	with any colours it's missing filled in from the classic theme.
+*/
+function makeTheme(chosenTheme) {
+	var theme = typeof chosenTheme == "string" ? mazeThemes[chosenTheme] : chosenTheme;
+
+	if (theme === undefined || theme === null) {
+		throw new Error("Unknown theme: " + chosenTheme);
+	}
+
+	return {
+		name: theme.name || "Custom",
+		colours: Object.assign({}, mazeThemes.classic.colours, theme.colours),
+		outlineWidth: theme.outlineWidth || 1,
+		tileset: theme.tileset || null
+	};
+}
+
+/**
+*	Which of a tileset's 16 wall sprites a wall Block gets, by which of its sides are open (next to a floor):
+*	add 1 for the top, 2 for the right, 4 for the bottom and 8 for the left. So 0 is a wall with walls all around it,
+*	1, 2, 4 and 8 have one open edge, 3, 6, 12 and 9 are corners, and 15 stands on its own.
+*	The edges of the maze count as walls.
+*	(The neighbours are looked up in the maze itself, because a Block's adjacentBlocks leave out the Blocks below the bottom rows.)
+*/
+function getWallVariant(block) {
+	var maze = block.row.maze;
+	var rowIndex = block.rowIndex;
+	var blockIndex = block.blockIndex;
+
+	var sides = [
+		{ nBlock: maze.getBlock(rowIndex - 1, blockIndex), value: 1 },
+		{ nBlock: maze.getBlock(rowIndex, blockIndex + 1), value: 2 },
+		{ nBlock: maze.getBlock(rowIndex + 1, blockIndex), value: 4 },
+		{ nBlock: maze.getBlock(rowIndex, blockIndex - 1), value: 8 }
+	];
+
+	return sides.reduce((variant, side) => side.nBlock !== undefined && side.nBlock.isWall == false ? variant + side.value : variant, 0);
+}
+
+//Node scripts can require() the themes. In the browser these are ordinary globals.
+if (typeof module !== "undefined" && module.exports) {
+	module.exports = {
+		mazeThemes: mazeThemes,
+		makeTheme: makeTheme,
+		getWallVariant: getWallVariant
+	};
+}
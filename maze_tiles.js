@@ -0,0 +1,160 @@
+/**
+The MIT License (MIT)
+
+Copyright (c) 2024 Matt Payne
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+THE SOFTWARE.
+*/
+
+/**
+*	Tile types give a floor Block something more to it than "floor". A Block's tile is null for a plain floor (or wall),
+*	or a Tile, whose type is the name of one of the tileTypes. Tiles only ever go on floors, so the generators, the carving
+*	and the fog of war can carry on treating them as floors.
+*
+*	Each tile type has:
+*		isWalkable(block, walker, direction) - whether walker can step onto the block, going "up", "down", "left" or "right".
+*		                                      The walker is the Character, an Enemy, or undefined for the maze itself
+*		                                      (the engine's check that the character can always keep climbing).
+*		onEnter(block, character)           - (optional) the character has just stepped onto the block.
+*		                                      It may return { teleportTo: Block } to send the character somewhere else.
+*		draw(context, block, x, y, size, colours) - draw it over its block on a canvas. (x, y) is the block's top left corner,
+*		                                      and colours are the colours of the renderer's theme (see maze_themes.js).
+*
+*	The engine (maze_engine.js) places the first three types as the maze is made:
+*		"door"       - locked until the character brings a key. Every door's own key is left where the character can reach it
+*		               without going through the door, and only fits that door. Keys found lying about open any door.
+*		"gate"       - a one-way gate, which can only be walked through in its direction.
+*		"teleporter" - one of a pair. Stepping onto either one sends the character to the other.
+*
+*	More types can be added with registerTileType(). The engine's move() asks the tile types where the character can go.
+*/
+
+var tileTypes = {};
+
+/**
+*	Add a tile type (or replace one) under a name. It needs isWalkable() and draw(), and onEnter() is optional.
+*/
+function registerTileType(name, tileType) {
+	if (typeof tileType.isWalkable != "function" || typeof tileType.draw != "function") {
+		throw new Error("The tile type " + name + " needs isWalkable() and draw() functions.");
+	}
+
+	tileTypes[name] = tileType;
+}
+
+registerTileType("door", {
+	//The maze itself treats every door as open, since the key is always on this side of it.
+	isWalkable: function (block, walker) {
+		return !block.tile.isLocked || walker === undefined || hasKeyFor(walker, block.tile);
+	},
+	onEnter: function (block, character) {
+		if (!block.tile.isLocked) {
+			return;
+		}
+
+		//The door's own key, if the character has it, or else any other key.
+		var ownKey = character.doorKeys.indexOf(block.tile.doorId);
+		if (ownKey > -1) {
+			character.doorKeys.splice(ownKey, 1);
+		} else {
+			character.keys--;
+		}
+		block.tile.isLocked = false;
+	},
+	draw: function (context, block, x, y, size, colours) {
+		context.fillStyle = colours.door;
+		if (block.tile.isLocked) {
+			context.fillRect(x + (size * 0.1), y + (size * 0.1), size * 0.8, size * 0.8);
+			context.fillStyle = colours.keyhole;
+			context.beginPath();
+			context.arc(x + (size / 2), y + (size / 2), size * 0.12, 0, 2 * Math.PI);
+			context.fill();
+		} else {
+			//An open door is just its frame.
+			context.strokeStyle = colours.door;
+			context.lineWidth = Math.max(1, size * 0.1);
+			context.strokeRect(x + (size * 0.1), y + (size * 0.1), size * 0.8, size * 0.8);
+			context.lineWidth = 1;
+		}
+	}
+});
+
+registerTileType("gate", {
+	isWalkable: function (block, walker, direction) {
+		return direction == block.tile.direction;
+	},
+	//An arrow pointing the way through.
+	draw: function (context, block, x, y, size, colours) {
+		var arrowPoints = {
+			up: [[0.5, 0.15], [0.85, 0.75], [0.15, 0.75]],
+			down: [[0.5, 0.85], [0.15, 0.25], [0.85, 0.25]],
+			left: [[0.15, 0.5], [0.75, 0.15], [0.75, 0.85]],
+			right: [[0.85, 0.5], [0.25, 0.85], [0.25, 0.15]]
+		}[block.tile.direction];
+
+		context.fillStyle = colours.gate;
+		context.beginPath();
+		context.moveTo(x + (arrowPoints[0][0] * size), y + (arrowPoints[0][1] * size));
+		context.lineTo(x + (arrowPoints[1][0] * size), y + (arrowPoints[1][1] * size));
+		context.lineTo(x + (arrowPoints[2][0] * size), y + (arrowPoints[2][1] * size));
+		context.closePath();
+		context.fill();
+	}
+});
+
+registerTileType("teleporter", {
+	//Anybody can step onto a teleporter, but the maze itself never counts on walking past one, since the character can't.
+	isWalkable: function (block, walker) {
+		return walker !== undefined;
+	},
+	//A teleporter whose partner has been thrown away (with its row) doesn't go anywhere.
+	onEnter: function (block) {
+		var pair = block.tile.pair;
+		if (pair !== null && pair.rowIndex < pair.row.maze.numberOfRows) {
+			return { teleportTo: pair };
+		}
+	},
+	draw: function (context, block, x, y, size, colours) {
+		context.strokeStyle = block.tile.pair === null ? colours.deadTeleporter : colours.teleporter;
+		context.lineWidth = Math.max(1, size * 0.12);
+		context.beginPath();
+		context.arc(x + (size / 2), y + (size / 2), size * 0.32, 0, 2 * Math.PI);
+		context.stroke();
+		context.lineWidth = 1;
+	}
+});
+
+//Whether the walker has a key which opens this door: the door's own key, or any other.
+function hasKeyFor(walker, doorTile) {
+	return walker.keys > 0 || (walker.doorKeys !== undefined && walker.doorKeys.indexOf(doorTile.doorId) > -1);
+}
+
+//What's on a floor Block, besides the floor. The rest of what it knows depends on its type (a door's doorId, a gate's direction...).
+function Tile(type) {
+	this.type = type;
+}
+
+//Node scripts can require() the tile types. In the browser these are ordinary globals.
+if (typeof module !== "undefined" && module.exports) {
+	module.exports = {
+		tileTypes: tileTypes,
+		registerTileType: registerTileType,
+		Tile: Tile
+	};
+}
@@ -0,0 +1,260 @@
+/**
+The MIT License (MIT)
+
+Copyright (c) 2024 Matt Payne
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+THE SOFTWARE.
+*/
+
+/**
+*	The connectivity validator makes sure the character can always keep climbing.
+*
+*	findUpwardRoute() searches the floor Blocks (breadth-first) for a route from the character up to the top of the generated rows.
+*	If there isn't one, carveConnectingCorridor() knocks down the fewest walls it can to make one.
+*	carveCorridor() does the same between any Block and any Blocks you choose.
+*	The engine runs both after the maze is made and after every shift, and maze.validate() runs the check on demand.
+*
+*	Both functions work on a Maze (anything with numberOfRows and getBlock(rowIndex, blockIndex)).
+*	They step from Block to Block with getWalkingNeighbours(), and so do the pathfinder (maze_pathfinder.js) and the autopilot
+*	(maze_autopilot.js), so "connected" means the same thing to all of them, and the same as it does to maze.move().
+*	Floors with tiles on them (see maze_tiles.js) may only let the character through one way, so both of them can be given
+*	a canStep(fromBlock, toBlock) check to use instead of just looking for floors.
+*	They run after every shift, so they keep their bookkeeping in flat typed arrays (one slot per Block)
+*	to stay quick on big grids.
+*/
+
+/**
+*	Look for a route through floor Blocks from startBlock up to the row at topRowIndex.
+*	Returns an object with:
+*		isConnected  - true if there is a route.
+*		route        - the Blocks along the shortest route, from startBlock to the top row (empty if there is no route).
+*		highestBlock - the highest Block the character can reach.
+*	canStep(fromBlock, toBlock) is optional. Without it, any floor can be stepped onto from any side.
+*/
+function findUpwardRoute(maze, startBlock, topRowIndex, canStep) {
+	var grid = new SearchGrid(maze);
+	var queue = new Int32Array(grid.size);
+	var queueLength = 0;
+	var startSlot = grid.slotOf(startBlock);
+	var highestSlot = startSlot;
+
+	grid.cameFrom[startSlot] = startSlot;
+	queue[queueLength++] = startSlot;
+
+	for (var q = 0; q < queueLength; q++) {
+		var slot = queue[q];
+
+		if (slot < highestSlot) {
+			highestSlot = slot;
+		}
+
+		if (grid.rowIndexOf(slot) <= topRowIndex) {
+			return {
+				isConnected: true,
+				route: grid.traceRoute(slot),
+				highestBlock: grid.blockAt(slot)
+			};
+		}
+
+		var thisBlock = grid.blockAt(slot);
+		var neighbours = grid.neighboursOf(slot);
+		for (var i = 0; i < neighbours.length; i++) {
+			var nSlot = neighbours[i];
+			var nBlock = grid.blockAt(nSlot);
+
+			if (grid.cameFrom[nSlot] == -1 && (canStep === undefined ? nBlock.isWall == false : canStep(thisBlock, nBlock))) {
+				grid.cameFrom[nSlot] = slot;
+				queue[queueLength++] = nSlot;
+			}
+		}
+	}
+
+	return {
+		isConnected: false,
+		route: [],
+		highestBlock: grid.blockAt(highestSlot)
+	};
+}
+
+/**
+*	Carve a corridor from the floor around startBlock up to the row at topRowIndex.
+*	Returns the Blocks which were carved.
+*	canStep(fromBlock, toBlock) is optional, as for findUpwardRoute. Walls have nothing on them, so they can always be carved into.
+*/
+function carveConnectingCorridor(maze, startBlock, topRowIndex, canStep) {
+	var canEnter = canStep === undefined ? undefined : (block, fromBlock) => block.isWall == true || canStep(fromBlock, block);
+	return carveCorridor(maze, startBlock, block => block.rowIndex <= topRowIndex, canEnter) || [];
+}
+
+/**
+*	Carve a corridor from startBlock to the nearest Block for which isGoal(block) is true.
+*	Walking through a floor is free and knocking down a wall costs one, so this finds the route which carves the fewest walls.
+*	It's a 0-1 breadth-first search: everything reachable for the current cost is explored before anything that costs more.
+*	It never carves the left and right edges, the bottom row, or fixed Blocks (set pieces), so the bucket stays sealed.
+*	canEnter(block, fromBlock) is optional. The search never goes into a Block it says no to (coming from fromBlock), floor or not.
+*	Returns the Blocks which were carved, or null if no goal can be reached at all.
+*/
+function carveCorridor(maze, startBlock, isGoal, canEnter) {
+	var grid = new SearchGrid(maze);
+	var cost = new Int32Array(grid.size).fill(2147483647);
+	var startSlot = grid.slotOf(startBlock);
+	var thisCost = 0;
+	var current = [startSlot];
+	var endSlot = -1;
+
+	grid.cameFrom[startSlot] = startSlot;
+	cost[startSlot] = 0;
+
+	while (current.length > 0 && endSlot == -1) {
+		var next = [];
+
+		for (var q = 0; q < current.length; q++) {
+			var slot = current[q];
+
+			//This block was reached more cheaply since it was queued.
+			if (cost[slot] < thisCost) {
+				continue;
+			}
+
+			if (isGoal(grid.blockAt(slot))) {
+				endSlot = slot;
+				break;
+			}
+
+			var neighbours = grid.neighboursOf(slot);
+			for (var i = 0; i < neighbours.length; i++) {
+				var nSlot = neighbours[i];
+				var nBlock = grid.blockAt(nSlot);
+
+				if ((nBlock.isWall == true && !canCarve(maze, nBlock)) || (canEnter !== undefined && !canEnter(nBlock, grid.blockAt(slot)))) {
+					continue;
+				}
+
+				var newCost = thisCost + (nBlock.isWall ? 1 : 0);
+				if (newCost < cost[nSlot]) {
+					cost[nSlot] = newCost;
+					grid.cameFrom[nSlot] = slot;
+
+					if (nBlock.isWall) {
+						next[next.length] = nSlot;
+					} else {
+						current[current.length] = nSlot;
+					}
+				}
+			}
+		}
+
+		current = next;
+		thisCost++;
+	}
+
+	if (endSlot == -1) {
+		return null;
+	}
+
+	var carvedBlocks = grid.traceRoute(endSlot).filter(block => block.isWall == true);
+	carvedBlocks.map(block => block.isWall = false);
+
+	return carvedBlocks;
+}
+
+//The edges of the maze are walls forever, and so are the walls of set pieces.
+function canCarve(maze, thisBlock) {
+	return thisBlock.isFixed != true &&
+		thisBlock.rowIndex < maze.numberOfRows - 1 &&
+		thisBlock.blockIndex > 0 &&
+		thisBlock.blockIndex < thisBlock.row.blocks.length - 1;
+}
+
+/**
+*	The bookkeeping for one search. Every Block gets a slot number (rowIndex * rowLength + blockIndex),
+*	and cameFrom[slot] is the slot the search came from (-1 if it hasn't been there yet).
+*/
+function SearchGrid(maze) {
+	this.maze = maze;
+	this.rowLength = maze.getRow(0).blocks.length;
+	this.size = maze.numberOfRows * this.rowLength;
+	this.cameFrom = new Int32Array(this.size).fill(-1);
+}
+
+SearchGrid.prototype.slotOf = function (thisBlock) {
+	return (thisBlock.rowIndex * this.rowLength) + thisBlock.blockIndex;
+};
+
+SearchGrid.prototype.rowIndexOf = function (slot) {
+	return Math.floor(slot / this.rowLength);
+};
+
+SearchGrid.prototype.blockAt = function (slot) {
+	return this.maze.getBlock(this.rowIndexOf(slot), slot % this.rowLength);
+};
+
+//The slots of the Blocks the character could step onto from this one (see getWalkingNeighbours).
+SearchGrid.prototype.neighboursOf = function (slot) {
+	return getWalkingNeighbours(this.blockAt(slot)).map(block => this.slotOf(block));
+};
+
+//Follow the trail of the search back to where it started, and return the Blocks in order from the start.
+SearchGrid.prototype.traceRoute = function (endSlot) {
+	var route = [];
+	var slot = endSlot;
+
+	while (true) {
+		route[route.length] = this.blockAt(slot);
+		if (this.cameFrom[slot] == slot) {
+			break;
+		}
+		slot = this.cameFrom[slot];
+	}
+
+	return route.reverse();
+};
+
+/**
+*	The Blocks the character could step onto from this one, if they're floors: above, right, below and left of it (whichever exist).
+*	These are the same Blocks maze.move() steps onto, all the way down to the bottom row. (A Block's adjacentBlocks are different:
+*	they're for the generators, which never grow a path into the bottom rows.)
+*	A Block in a row which has been thrown away has no neighbours at all.
+*/
+function getWalkingNeighbours(thisBlock) {
+	var maze = thisBlock.row.maze;
+	var rowIndex = thisBlock.rowIndex;
+	var blockIndex = thisBlock.blockIndex;
+
+	if (rowIndex < 0 || rowIndex >= maze.numberOfRows) {
+		return [];
+	}
+
+	return [
+		maze.getBlock(rowIndex - 1, blockIndex),
+		maze.getBlock(rowIndex, blockIndex + 1),
+		maze.getBlock(rowIndex + 1, blockIndex),
+		maze.getBlock(rowIndex, blockIndex - 1)
+	].filter(block => block !== undefined);
+}
+
+//Node scripts can require() the validator. In the browser these are ordinary globals.
+if (typeof module !== "undefined" && module.exports) {
+	module.exports = {
+		findUpwardRoute: findUpwardRoute,
+		carveConnectingCorridor: carveConnectingCorridor,
+		carveCorridor: carveCorridor,
+		getWalkingNeighbours: getWalkingNeighbours
+	};
+}
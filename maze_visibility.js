@@ -0,0 +1,181 @@
+/**
+The MIT License (MIT)
+
+Copyright (c) 2024 Matt Payne
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+THE SOFTWARE.
+*/
+
+/**
+*	Fog of war. The visibility system decides which Blocks the player can see from where the character stands,
+*	and the renderer hides (or dims) the rest.
+*
+*	There are three modes:
+*		"off"         - everything can be seen, as it always could.
+*		"radius"      - the character carries a light. Everything within the light's radius can be seen, walls or not.
+*		"lineOfSight" - everything within the radius which isn't hidden behind a wall can be seen.
+*	Blocks which have been seen before stay on the map, dimmed (unless options.remember is false).
+*
+*	Each Block keeps its own isVisible and isExplored. The Blocks never move when the maze shifts (only their rowIndex changes),
+*	so what's been seen stays seen, and is thrown away with the rows that fall off the bottom.
+*/
+
+/**
+*	Start keeping track of what the character can see in a maze.
+*	options.mode: "off", "radius" or "lineOfSight" ("lineOfSight" by default).
+*	options.radius: how far the character can see, in blocks (6 by default).
+*	options.remember: whether Blocks seen before stay on the map, dimmed (true by default).
+*	Returns an object with isEnabled(), getOptions(), setOptions(newOptions) (any of the above), update() and stop().
+*/
+function createVisibility(maze, options) {
+	options = Object.assign({ mode: "lineOfSight", radius: 6, remember: true }, options);
+
+	//The Blocks which were visible last time, so they can be hidden again before the next look around.
+	var visibleBlocks = [];
+
+	var unsubscribers = ["move", "teleport", "shift", "repair"].map(eventName => maze.subscribe(eventName, update));
+
+	update();
+
+	return {
+		isEnabled: () => options.mode != "off",
+		getOptions: () => Object.assign({}, options),
+		setOptions: setOptions,
+		update: update,
+		stop: stop
+	};
+
+	function setOptions(newOptions) {
+		if (newOptions.mode !== undefined && ["off", "radius", "lineOfSight"].indexOf(newOptions.mode) == -1) {
+			throw new Error("Unknown visibility mode: " + newOptions.mode);
+		}
+
+		Object.assign(options, newOptions);
+		update();
+	}
+
+	//Look around from wherever the character is now.
+	function update() {
+		visibleBlocks.map(block => block.isVisible = false);
+		visibleBlocks = [];
+
+		if (options.mode == "off") {
+			return;
+		}
+
+		var location = maze.getCharacter().location;
+		var reach = Math.floor(options.radius);
+
+		for (var i = location.rowIndex - reach; i <= location.rowIndex + reach; i++) {
+			var row = maze.getRow(i);
+			if (row === undefined) {
+				continue;
+			}
+
+			for (var k = location.blockIndex - reach; k <= location.blockIndex + reach; k++) {
+				var thisBlock = row.blocks[k];
+
+				if (thisBlock !== undefined && canSee(location, thisBlock)) {
+					thisBlock.isVisible = true;
+					thisBlock.isExplored = true;
+					visibleBlocks[visibleBlocks.length] = thisBlock;
+				}
+			}
+		}
+	}
+
+	function canSee(fromBlock, toBlock) {
+		var rowDistance = toBlock.rowIndex - fromBlock.rowIndex;
+		var blockDistance = toBlock.blockIndex - fromBlock.blockIndex;
+
+		if ((rowDistance * rowDistance) + (blockDistance * blockDistance) > options.radius * options.radius) {
+			return false;
+		}
+
+		return options.mode == "radius" || hasLineOfSight(maze, fromBlock, toBlock);
+	}
+
+	function stop() {
+		unsubscribers.map(unsubscribe => unsubscribe());
+	}
+}
+
+/**
+*	Cast a ray from the middle of one Block to the middle of another, and check that no wall is in the way.
+*	The Block at the end of the ray can be a wall (you can see a wall, just not through it).
+*	The ray walks through every Block it touches, in order. If it passes exactly through a corner,
+*	it only counts as blocked if the Blocks on both sides of the corner are walls.
+*/
+function hasLineOfSight(maze, fromBlock, toBlock) {
+	var rowIndex = fromBlock.rowIndex;
+	var blockIndex = fromBlock.blockIndex;
+	var rowDistance = Math.abs(toBlock.rowIndex - rowIndex);
+	var blockDistance = Math.abs(toBlock.blockIndex - blockIndex);
+	var rowStep = Math.sign(toBlock.rowIndex - rowIndex);
+	var blockStep = Math.sign(toBlock.blockIndex - blockIndex);
+
+	//How many Blocks the ray has crossed into, across and down.
+	var across = 0;
+	var down = 0;
+
+	while (across < blockDistance || down < rowDistance) {
+		//Which edge the ray reaches first: the side of this Block, or its top (or bottom). Whole numbers only, so corners are exact.
+		var whichFirst = ((1 + (2 * across)) * rowDistance) - ((1 + (2 * down)) * blockDistance);
+
+		if (whichFirst == 0) {
+			if (isWallAt(maze, rowIndex, blockIndex + blockStep) && isWallAt(maze, rowIndex + rowStep, blockIndex)) {
+				return false;
+			}
+			blockIndex += blockStep;
+			rowIndex += rowStep;
+			across++;
+			down++;
+		} else if (whichFirst < 0) {
+			blockIndex += blockStep;
+			across++;
+		} else {
+			rowIndex += rowStep;
+			down++;
+		}
+
+		if (across == blockDistance && down == rowDistance) {
+			return true;
+		}
+
+		if (isWallAt(maze, rowIndex, blockIndex)) {
+			return false;
+		}
+	}
+
+	return true;
+}
+
+//Anything outside the maze counts as a wall.
+function isWallAt(maze, rowIndex, blockIndex) {
+	var row = maze.getRow(rowIndex);
+	return row === undefined || row.blocks[blockIndex] === undefined || row.blocks[blockIndex].isWall == true;
+}
+
+//Node scripts can require() the visibility system. In the browser these are ordinary globals.
+if (typeof module !== "undefined" && module.exports) {
+	module.exports = {
+		createVisibility: createVisibility,
+		hasLineOfSight: hasLineOfSight
+	};
+}
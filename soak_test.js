@@ -0,0 +1,99 @@
+/**
+The MIT License (MIT)
+
+Copyright (c) 2024 Matt Payne
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+THE SOFTWARE.
+*/
+
+/**
+*	Soak-test the maze generators from the command line: the autopilot (maze_autopilot.js) climbs a batch of mazes
+*	as fast as it can, and anything that goes wrong is reported.
+*
+*		node soak_test.js --generator eller --runs 100 --steps 5000 --columns 30 --rows 30 --repair --tiles --enemies
+*
+*	Every option can be left out. Without --repair, the engine doesn't carve its way out of dead ends,
+*	so the generators' own dead ends show up. Without --tiles and --enemies, there aren't any.
+*	The exit code is 1 if any maze got stuck, cut off or crashed.
+*/
+
+var runSoakTest = require("./maze_autopilot.js").runSoakTest;
+
+var options = {};
+var args = process.argv.slice(2);
+
+for (var i = 0; i < args.length; i++) {
+	switch (args[i]) {
+		case "--generator":
+			options.generator = args[++i];
+			break;
+		case "--runs":
+			options.runs = Number(args[++i]);
+			break;
+		case "--steps":
+			options.steps = Number(args[++i]);
+			break;
+		case "--columns":
+			options.numberOfRowBlocks = Number(args[++i]);
+			break;
+		case "--rows":
+			options.numberOfVisibleRows = Number(args[++i]);
+			break;
+		case "--seed":
+			options.seedPrefix = args[++i];
+			break;
+		case "--repair":
+			options.repair = true;
+			break;
+		case "--tiles":
+			options.tiles = true;
+			break;
+		case "--enemies":
+			options.enemies = true;
+			break;
+		default:
+			console.error("Unknown option: " + args[i]);
+			process.exit(2);
+	}
+}
+
+var startTime = Date.now();
+var reports = runSoakTest(options);
+var failures = 0;
+
+reports.map(function (report) {
+	var line = report.seed + ": " + report.steps + " steps, " + report.rowsClimbed + " rows climbed" +
+		(options.enemies ? ", caught " + report.timesCaught + " times" : "");
+
+	if (report.error !== null) {
+		failures++;
+		line += "\n  CRASHED: " + report.error.stack;
+	} else if (report.stuckAtStep !== null) {
+		failures++;
+		line += "\n  STUCK at step " + report.stuckAtStep + ": there was nowhere higher to go, and maze.validate() found no way to the top either.";
+	} else if (report.cutOffAtStep !== null) {
+		failures++;
+		line += "\n  CUT OFF at step " + report.cutOffAtStep + ": there was nowhere to go, but maze.validate() found a way through a locked door whose key can't be fetched.";
+	}
+
+	console.log(line);
+});
+
+console.log(reports.length + " mazes in " + (Date.now() - startTime) + "ms, " + failures + " failed.");
+process.exitCode = failures > 0 ? 1 : 0;
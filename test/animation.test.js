@@ -0,0 +1,77 @@
+/**
+The MIT License (MIT)
+
+Copyright (c) 2024 Matt Payne
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+THE SOFTWARE.
+*/
+
+//The renderer's animation (see maze_renderer.js): the camera easing down to meet the maze after a shift, and the character's slide.
+
+var test = require("node:test");
+var assert = require("node:assert");
+var { easeCamera, getSlideProgress } = require("../maze_renderer.js");
+
+test("the camera eases up to the top row, quickly at first and gently at the end", function () {
+	var cameraHeight = 99;
+	var steps = [];
+
+	for (var frame = 0; frame < 60 && cameraHeight != 100; frame++) {
+		var nextHeight = easeCamera(cameraHeight, 100, 16, 150);
+		assert.ok(nextHeight > cameraHeight && nextHeight <= 100);
+		steps.push(nextHeight - cameraHeight);
+		cameraHeight = nextHeight;
+	}
+
+	assert.strictEqual(cameraHeight, 100, "the camera never got there");
+	for (var i = 1; i < steps.length - 1; i++) {
+		assert.ok(steps[i] < steps[i - 1]);
+	}
+});
+
+test("the camera covers the same distance however the time is split into frames", function () {
+	var oneFrame = easeCamera(95, 100, 60, 150);
+	var threeFrames = easeCamera(easeCamera(easeCamera(95, 100, 20, 150), 100, 20, 150), 100, 20, 150);
+
+	assert.ok(Math.abs(oneFrame - threeFrames) < 1e-9);
+	assert.strictEqual(easeCamera(95, 100, 0, 150), 95);
+});
+
+test("the camera snaps to the top row when it's within a hair of it, or scrolling is turned off", function () {
+	assert.strictEqual(easeCamera(99.999, 100, 1, 150), 100);
+	assert.strictEqual(easeCamera(90, 100, 1, 0), 100);
+	assert.strictEqual(easeCamera(100, 100, 16, 150), 100);
+});
+
+test("the character's slide starts and stops gently, and ends exactly where it's going", function () {
+	assert.strictEqual(getSlideProgress(0, 100), 0);
+	assert.strictEqual(getSlideProgress(50, 100), 0.5);
+	assert.strictEqual(getSlideProgress(100, 100), 1);
+	assert.strictEqual(getSlideProgress(250, 100), 1);
+	assert.strictEqual(getSlideProgress(Infinity, 100), 1);
+	assert.strictEqual(getSlideProgress(-5, 100), 0);
+
+	assert.ok(getSlideProgress(10, 100) < 0.1);
+	assert.ok(getSlideProgress(90, 100) > 0.9);
+});
+
+test("with no time to slide in, the character jumps", function () {
+	assert.strictEqual(getSlideProgress(0, 0), 1);
+	assert.strictEqual(getSlideProgress(-5, 0), 1);
+});
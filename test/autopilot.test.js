@@ -0,0 +1,116 @@
+/**
+The MIT License (MIT)
+
+Copyright (c) 2024 Matt Payne
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+THE SOFTWARE.
+*/
+
+//The autopilot and the soak test (see maze_autopilot.js and soak_test.js).
+
+var test = require("node:test");
+var assert = require("node:assert");
+var { createMaze } = require("../maze_engine.js");
+var { createAutopilot, runSoakTest } = require("../maze_autopilot.js");
+
+var generators = ["paths", "eller", "growingTree"];
+
+generators.map(function (generator) {
+	test("with the repair on, the autopilot climbs " + generator + " mazes without ever getting stuck", function () {
+		var reports = runSoakTest({ generator: generator, runs: 3, steps: 600, repair: true });
+
+		assert.deepStrictEqual(reports.map(report => report.seed), ["soak0", "soak1", "soak2"]);
+		reports.map(function (report) {
+			assert.strictEqual(report.error, null);
+			assert.strictEqual(report.stuckAtStep, null, report.seed + " got stuck");
+			assert.strictEqual(report.steps, 600);
+			assert.ok(report.rowsClimbed > 100, report.seed + " only climbed " + report.rowsClimbed + " rows");
+		});
+	});
+});
+
+test("with tiles and enemies on, the autopilot climbs through the doors, gates and teleporters, and keeps climbing while the enemies chase it", function () {
+	generators.map(function (generator) {
+		var reports = runSoakTest({ generator: generator, runs: 3, steps: 600, repair: true, tiles: true, enemies: true });
+
+		reports.map(function (report) {
+			var name = generator + " " + report.seed;
+			assert.strictEqual(report.error, null, name + " crashed");
+			assert.strictEqual(report.stuckAtStep, null, name + " got stuck");
+			assert.strictEqual(report.cutOffAtStep, null, name + " was cut off");
+			assert.ok(report.rowsClimbed > 100, name + " only climbed " + report.rowsClimbed + " rows");
+		});
+		assert.ok(reports.some(report => report.timesCaught > 0), "the " + generator + " enemies never caught anybody");
+	});
+});
+
+test("with tiles on, a soak run is cut off when there's a locked door in the way, and its key can't be fetched any more", function () {
+	var reports = runSoakTest({ generator: "growingTree", runs: 4, steps: 1000, repair: true, tiles: true, enemies: true });
+	var cutOff = reports.filter(report => report.cutOffAtStep !== null);
+
+	//The tiles' known limit (see runSoakTest): in soak3, the way to the key was through rows which have been thrown away.
+	assert.deepStrictEqual(cutOff.map(report => report.seed), ["soak3"]);
+	assert.strictEqual(cutOff[0].stuckAtStep, null);
+	assert.strictEqual(cutOff[0].steps, cutOff[0].cutOffAtStep);
+});
+
+test("a soak test is the same every time", function () {
+	var options = { generator: "growingTree", runs: 2, steps: 300, seedPrefix: "again", numberOfRowBlocks: 20, numberOfVisibleRows: 24 };
+
+	assert.deepStrictEqual(runSoakTest(options), runSoakTest(options));
+});
+
+test("a soak run is only stuck when validate() can't find a way to the top either", function () {
+	var reports = runSoakTest({ runs: 3, steps: 1000 });
+	var stuck = reports.filter(report => report.stuckAtStep !== null);
+
+	//Without the repair, the path generator's own dead end in soak2 shows up.
+	assert.deepStrictEqual(stuck.map(report => report.seed), ["soak2"]);
+	assert.strictEqual(stuck[0].steps, stuck[0].stuckAtStep);
+
+	var maze = createMaze({ seed: "soak2", repair: false, enemySpawnRate: 0, tileSpawnRates: {} });
+	var autopilot = createAutopilot(maze);
+	for (var s = 0; s < stuck[0].stuckAtStep; s++) {
+		assert.ok(autopilot.step());
+	}
+	assert.strictEqual(autopilot.step(), false);
+	assert.strictEqual(maze.validate().isConnected, false);
+	assert.strictEqual(maze.validate().highestBlock.row.height, maze.getCharacter().location.row.height);
+});
+
+test("the autopilot counts its steps, and the rows it has climbed since it took over", function () {
+	var maze = createMaze({ seed: "counting", enemySpawnRate: 0 });
+	var startHeight = maze.getCharacter().location.row.height;
+	var autopilot = createAutopilot(maze);
+	var highest = startHeight;
+	var moves = 0;
+
+	maze.subscribe("move", () => moves++);
+	for (var s = 0; s < 400; s++) {
+		autopilot.step();
+		highest = Math.max(highest, maze.getCharacter().location.row.height);
+	}
+
+	assert.strictEqual(autopilot.getStats().steps, moves);
+	assert.strictEqual(autopilot.getStats().rowsClimbed, highest - startHeight);
+	assert.strictEqual(autopilot.getStats().timesStuck, 0);
+
+	autopilot.stop();
+	assert.ok(autopilot.getStats().rowsClimbed > 0);
+});
@@ -0,0 +1,153 @@
+/**
+The MIT License (MIT)
+
+Copyright (c) 2024 Matt Payne
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+THE SOFTWARE.
+*/
+
+//Braiding and rooms (see braidFactor and roomChance in maze_generators.js), which open up the path generator's tree of paths.
+
+var test = require("node:test");
+var assert = require("node:assert");
+var { createMaze } = require("../maze_engine.js");
+var { importAscii } = require("../maze_import.js");
+var { exportAscii } = require("../maze_export.js");
+var { createAutopilot } = require("../maze_autopilot.js");
+
+var braidEverything = [{ height: 0, braidFactor: 1 }];
+var roomsEverywhere = [{ height: 0, roomChance: 1, roomSize: 6 }];
+
+//No tiles, so a locked door or a teleporter can't hold the autopilot up (it's the walls these tests are about).
+function makeMaze(seed, difficulty) {
+	return createMaze({ seed: seed, difficulty: difficulty, tileSpawnRates: {} });
+}
+
+function isDeadEnd(block) {
+	return block.isWall == false && block.adjacentBlocks.filter(nBlock => nBlock.isWall == false).length == 1;
+}
+
+//How many 2 by 2 squares of floor there are with their top left Block in this row.
+function countOpenSquares(maze, rowIndex) {
+	var blocks = maze.getRow(rowIndex).blocks;
+	var below = maze.getRow(rowIndex + 1).blocks;
+
+	return blocks.filter((block, k) => k + 1 < blocks.length && [block, blocks[k + 1], below[k], below[k + 1]].every(block => block.isWall == false)).length;
+}
+
+//Climb, and count up the dead ends and open squares in each row as it's finished (see finishingRow in maze_generators.js).
+function climb(maze, steps) {
+	var finishingRow = Math.floor(maze.numberOfRows / 3);
+	var counts = { deadEnds: 0, openSquares: 0, shifts: 0 };
+
+	maze.subscribe("shift", function () {
+		counts.deadEnds += maze.getRow(finishingRow).blocks.filter(isDeadEnd).length;
+		counts.openSquares += countOpenSquares(maze, finishingRow);
+		counts.shifts++;
+	});
+
+	var autopilot = createAutopilot(maze);
+	for (var s = 0; s < steps; s++) {
+		autopilot.step();
+	}
+	return counts;
+}
+
+test("with no braiding and no rooms, the maze comes out the same as ever", function () {
+	var plain = makeMaze("tree");
+	var settingsOff = makeMaze("tree", [{ height: 0, braidFactor: 0, roomChance: 0, roomSize: 8 }]);
+
+	climb(plain, 200);
+	climb(settingsOff, 200);
+	assert.strictEqual(exportAscii(settingsOff, { region: "buffer" }), exportAscii(plain, { region: "buffer" }));
+});
+
+["b0", "b1", "b2", "b3", "b4"].map(function (seed) {
+	test("braiding knocks dead ends through in the first maze, and in every row after it (seed " + seed + ")", function () {
+		var plain = makeMaze(seed);
+		var braided = makeMaze(seed, braidEverything);
+		var finishedRows = maze => maze.getRows().slice(Math.floor(maze.numberOfRows / 3));
+		var countDeadEnds = maze => finishedRows(maze).reduce((total, row) => total + row.blocks.filter(isDeadEnd).length, 0);
+
+		assert.ok(countDeadEnds(braided) * 2 < countDeadEnds(plain), countDeadEnds(braided) + " dead ends braided, " + countDeadEnds(plain) + " without");
+
+		var plainCounts = climb(plain, 300);
+		var braidedCounts = climb(braided, 300);
+		assert.ok(braidedCounts.shifts > 100);
+		assert.ok(braidedCounts.deadEnds * 2 < plainCounts.deadEnds, braidedCounts.deadEnds + " dead ends braided, " + plainCounts.deadEnds + " without");
+		assert.ok(braided.validate().isConnected);
+	});
+
+	test("rooms are carved all the way up (seed " + seed + ")", function () {
+		var plainCounts = climb(makeMaze(seed), 300);
+		var rooms = makeMaze(seed, roomsEverywhere);
+		var roomCounts = climb(rooms, 300);
+
+		assert.ok(roomCounts.openSquares > plainCounts.openSquares * 3, roomCounts.openSquares + " open squares with rooms, " + plainCounts.openSquares + " without");
+		assert.ok(rooms.validate().isConnected);
+	});
+});
+
+test("the braided profile keeps the maze connected after every shift", function () {
+	var maze = makeMaze("braided", "braided");
+	var shifts = 0;
+	maze.subscribe("shift", function () {
+		shifts++;
+		assert.ok(maze.validate().isConnected, "not connected at height " + maze.getTopHeight());
+	});
+
+	climb(maze, 300);
+	assert.ok(shifts > 100);
+});
+
+test("braiding and rooms leave set pieces alone", function () {
+	var setPiece = importAscii([
+		"#.#####",
+		"#.....#",
+		"###.#.#",
+		"#...#.#",
+		"#.###.#",
+		"#...@.#",
+		"###.###"
+	].join("\n"));
+	var layout = setPiece.rows.map(line => line.replace("@", "."));
+	var maze = createMaze({
+		seed: "set pieces",
+		difficulty: [{ height: 0, braidFactor: 1, roomChance: 1, roomSize: 8 }],
+		enemySpawnRate: 0,
+		tileSpawnRates: {},
+		setPieces: [{ setPiece: setPiece, height: 30, column: 6 }]
+	});
+	var height = maze.getTopHeight() + 10;
+	maze.queueSetPiece(setPiece, height, 14);
+
+	var stampedRows = (height, column) => setPiece.rows.map(function (line, r) {
+		var row = maze.getRows().find(row => row.height == height + setPiece.height - 1 - r);
+		return row && row.blocks.slice(column, column + setPiece.width).map(block => block.isWall ? "#" : ".").join("");
+	});
+
+	assert.deepStrictEqual(stampedRows(30, 6), layout);
+	var autopilot = createAutopilot(maze);
+	while (maze.getCharacter().location.row.height < height + setPiece.height) {
+		assert.ok(autopilot.step(), "the autopilot got stuck at height " + maze.getCharacter().location.row.height);
+		if (maze.getTopHeight() >= height + setPiece.height) {
+			assert.deepStrictEqual(stampedRows(height, 14), layout);
+		}
+	}
+});
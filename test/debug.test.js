@@ -0,0 +1,140 @@
+/**
+The MIT License (MIT)
+
+Copyright (c) 2024 Matt Payne
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+THE SOFTWARE.
+*/
+
+//The debug tools: the generator's paths and seeds, and tracing them (see maze_debug.js).
+
+var test = require("node:test");
+var assert = require("node:assert");
+var { createMaze } = require("../maze_engine.js");
+var { debugColours, getDebugPaths, getDebugPathColour, traceDebugPath, createMinimap } = require("../maze_debug.js");
+var { createAutopilot } = require("../maze_autopilot.js");
+
+//A stand-in for a canvas's 2d context, which writes down the lines it's asked to draw and counts what gets filled.
+function makeContext() {
+	return {
+		calls: [],
+		filled: {},
+		beginPath: function () { this.calls.push("beginPath"); },
+		moveTo: function (x, y) { this.calls.push("moveTo " + x + "," + y); },
+		lineTo: function (x, y) { this.calls.push("lineTo " + x + "," + y); },
+		stroke: function () {},
+		strokeRect: function () {},
+		fillRect: function () { this.filled[this.fillStyle] = (this.filled[this.fillStyle] || 0) + 1; }
+	};
+}
+
+function isNextTo(a, b) {
+	return Math.abs(a.rowIndex - b.rowIndex) + Math.abs(a.blockIndex - b.blockIndex) == 1;
+}
+
+test("the path generator's paths run floor to floor, one step at a time, as the maze climbs", function () {
+	var maze = createMaze({ seed: "debug" });
+	var autopilot = createAutopilot(maze);
+
+	for (var s = 0; s < 300; s++) {
+		autopilot.step();
+		if (s % 30 != 0) {
+			continue;
+		}
+
+		var debugPaths = getDebugPaths(maze);
+		assert.strictEqual(debugPaths.paths[0].isMainPath, true);
+		assert.strictEqual(debugPaths.paths[0].colour, debugColours.mainPath);
+		assert.ok(debugPaths.paths[0].blocks.length > 0);
+
+		debugPaths.paths.map(function (path) {
+			assert.strictEqual(path.colour == debugColours.splicedPath, path.isSpliced);
+			path.blocks.map(function (block, i) {
+				if (block.rowIndex < maze.numberOfRows) {
+					assert.strictEqual(block.isWall, false, "a path runs through a wall at " + block.rowIndex + "," + block.blockIndex);
+				}
+				if (i > 0) {
+					assert.ok(isNextTo(path.blocks[i - 1], block));
+				}
+			});
+		});
+		debugPaths.seeds.map(block => assert.ok(block.rowIndex < maze.numberOfRows));
+	}
+	assert.ok(maze.getTopHeight() > 0);
+});
+
+test("generators which don't say what they're doing have no debug paths", function () {
+	["eller", "growingTree"].map(generator => assert.strictEqual(getDebugPaths(createMaze({ seed: "debug", generator: generator })), null));
+});
+
+test("branches next to each other get different colours", function () {
+	for (var i = 0; i < 20; i++) {
+		assert.match(getDebugPathColour(i), /^hsl\(\d+, 90%, 50%\)$/);
+		assert.notStrictEqual(getDebugPathColour(i), getDebugPathColour(i + 1));
+	}
+});
+
+test("tracing a path skips the Blocks discarded off the bottom, and picks up again after them", function () {
+	var maze = createMaze({ seed: "debug" });
+	var context = makeContext();
+	var blocks = [
+		{ rowIndex: 10, blockIndex: 1 },
+		{ rowIndex: 11, blockIndex: 1 },
+		{ rowIndex: maze.numberOfRows, blockIndex: 1 },
+		{ rowIndex: maze.numberOfRows + 1, blockIndex: 1 },
+		{ rowIndex: 12, blockIndex: 2 },
+		{ rowIndex: 12, blockIndex: 3 }
+	];
+
+	traceDebugPath(context, maze, blocks, block => ({ x: block.blockIndex, y: block.rowIndex }));
+	assert.deepStrictEqual(context.calls, ["beginPath", "moveTo 1,10", "lineTo 1,11", "moveTo 2,12", "lineTo 3,12"]);
+});
+
+test("the minimap draws the whole buffer, and stops listening when it's stopped", function () {
+	var frames = 0;
+	global.requestAnimationFrame = () => ++frames;
+	global.cancelAnimationFrame = () => {};
+
+	try {
+		var maze = createMaze({ seed: "debug" });
+		var context = makeContext();
+		var canvas = { getContext: () => context };
+		var minimap = createMinimap(maze, canvas, { blockSize: 3 });
+
+		assert.strictEqual(canvas.width, maze.numberOfRowBlocks * 3);
+		assert.strictEqual(canvas.height, maze.numberOfRows * 3);
+
+		minimap.draw();
+		var walls = 0;
+		var floors = 0;
+		for (var i = 0; i < maze.numberOfRows; i++) {
+			maze.getRow(i).blocks.map(block => block.isWall ? walls++ : floors++);
+		}
+		assert.strictEqual(context.filled[debugColours.minimapWall], walls);
+		assert.strictEqual(context.filled[debugColours.minimapFloor], floors);
+		assert.strictEqual(context.filled[debugColours.minimapCharacter], 1);
+		assert.strictEqual(context.filled[debugColours.seed], getDebugPaths(maze).seeds.length);
+
+		minimap.stop();
+		assert.strictEqual(frames, 1);
+	} finally {
+		delete global.requestAnimationFrame;
+		delete global.cancelAnimationFrame;
+	}
+});
@@ -0,0 +1,72 @@
+/**
+The MIT License (MIT)
+
+Copyright (c) 2024 Matt Payne
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+THE SOFTWARE.
+*/
+
+//Difficulty profiles (see difficultyProfiles in maze_generators.js): the path generator's numbers, changing with height.
+
+var test = require("node:test");
+var assert = require("node:assert");
+var { createMaze } = require("../maze_engine.js");
+var { difficultyProfiles, loadDifficultyProfile } = require("../maze_generators.js");
+var { exportAscii } = require("../maze_export.js");
+
+//The main path, as "height,blockIndex" for each of its Blocks.
+function traceMainPath(maze) {
+	return maze.getGeneratorDebugInfo().mainPath.map(block => block.row.height + "," + block.blockIndex);
+}
+
+test("every built-in profile is a profile loadDifficultyProfile() accepts, and builds a maze", function () {
+	Object.keys(difficultyProfiles).map(function (name) {
+		assert.strictEqual(loadDifficultyProfile(JSON.stringify(difficultyProfiles[name])).length, difficultyProfiles[name].length);
+		assert.ok(createMaze({ seed: name, difficulty: name }).validate().isConnected);
+	});
+});
+
+test("loadDifficultyProfile() takes a list of steps, or { steps }, and says what's wrong with anything else", function () {
+	var steps = [{ height: 0 }, { height: 100, branchLength: 4 }];
+
+	assert.deepStrictEqual(loadDifficultyProfile({ steps: steps }), steps);
+	assert.throws(() => loadDifficultyProfile("[{"), /isn't JSON/);
+	assert.throws(() => loadDifficultyProfile([]), /a list of steps/);
+	assert.throws(() => loadDifficultyProfile([{ branchLength: 4 }]), /Step 1 .* needs a height/);
+	assert.throws(() => loadDifficultyProfile([{ height: 10 }, { height: 5 }]), /go up in height \(step 2/);
+	assert.throws(() => loadDifficultyProfile([{ height: 0, wiggliness: 2 }]), /a setting nobody knows: wiggliness/);
+	assert.throws(() => loadDifficultyProfile([{ height: 0, braidFactor: 1.5 }]), /bad braidFactor: 1.5/);
+	assert.throws(() => loadDifficultyProfile([{ height: 0, branchLength: -1 }]), /bad branchLength: -1/);
+	assert.throws(() => createMaze({ difficulty: "impossible" }), /Unknown difficulty profile: impossible/);
+});
+
+test("the classic profile builds the same maze as no profile at all", function () {
+	assert.strictEqual(exportAscii(createMaze({ seed: "classic", difficulty: "classic" }), { region: "buffer" }),
+		exportAscii(createMaze({ seed: "classic" }), { region: "buffer" }));
+});
+
+test("a profile changes the maze, but the branches' wall thresholds don't change the first main path", function () {
+	var classic = createMaze({ seed: "thresholds" });
+	var fussyBranches = createMaze({ seed: "thresholds", difficulty: [{ height: 0, branchWallThreshold: 3 }] });
+	var fussyMainPath = createMaze({ seed: "thresholds", difficulty: [{ height: 0, mainPathSecondWallThreshold: 3 }] });
+
+	assert.notStrictEqual(exportAscii(fussyBranches, { region: "buffer" }), exportAscii(classic, { region: "buffer" }));
+	assert.deepStrictEqual(traceMainPath(fussyBranches), traceMainPath(classic));
+	assert.notDeepStrictEqual(traceMainPath(fussyMainPath), traceMainPath(classic));
+});
@@ -0,0 +1,130 @@
+/**
+The MIT License (MIT)
+
+Copyright (c) 2024 Matt Payne
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+THE SOFTWARE.
+*/
+
+//Enemies: where they turn up, how they step, and catching the character (see spawnEnemy and moveEnemies in maze_engine.js).
+
+var test = require("node:test");
+var assert = require("node:assert");
+var { createMaze, loadMaze } = require("../maze_engine.js");
+var { getWalkingNeighbours } = require("../maze_validator.js");
+var { createAutopilot } = require("../maze_autopilot.js");
+
+//Lots of enemies, and no tiles or items to get in the way.
+function makeMaze(seed, config) {
+	return createMaze(Object.assign({ seed: seed, enemySpawnRate: 1, itemSpawnRates: {}, tileSpawnRates: {} }, config));
+}
+
+//Each enemy's Block, by "height,blockIndex".
+function findEnemies(maze) {
+	return maze.getEnemies().map(enemy => enemy.location.row.height + "," + enemy.location.blockIndex);
+}
+
+test("enemies stand on floors, one to a Block, and step one Block at a time as the maze climbs", function () {
+	var maze = makeMaze("enemies", { lives: 1000 });
+	var autopilot = createAutopilot(maze);
+	var enemySteps = 0;
+	var lastPlaces = new Map(maze.getEnemies().map(enemy => [enemy, enemy.location]));
+
+	maze.subscribe("enemyMove", function (event) {
+		event.enemies.map(function (enemy) {
+			var lastPlace = lastPlaces.get(enemy);
+			if (lastPlace !== undefined && lastPlace != enemy.location) {
+				assert.ok(getWalkingNeighbours(lastPlace).indexOf(enemy.location) > -1, "an enemy jumped from " + lastPlace.rowIndex + "," + lastPlace.blockIndex);
+				enemySteps++;
+			}
+			lastPlaces.set(enemy, enemy.location);
+		});
+	});
+
+	for (var s = 0; s < 300; s++) {
+		autopilot.step();
+		maze.tick(100);
+
+		maze.getEnemies().map(function (enemy) {
+			assert.strictEqual(enemy.location.isWall, false);
+			assert.ok(enemy.location.rowIndex < maze.numberOfRows, "an enemy was left behind on a row which has been thrown away");
+		});
+		var places = findEnemies(maze);
+		assert.strictEqual(new Set(places).size, places.length);
+	}
+
+	assert.ok(maze.getEnemies().length > 10);
+	assert.ok(enemySteps > 1000);
+});
+
+test("enemies don't turn up next to the character, and an enemySpawnRate of 0 turns them off", function () {
+	var maze = makeMaze("start");
+	var character = maze.getCharacter().location;
+
+	assert.ok(maze.getEnemies().length > 10);
+	maze.getEnemies().map(enemy => assert.ok(Math.abs(enemy.location.row.height - character.row.height) + Math.abs(enemy.location.blockIndex - character.blockIndex) >= 6));
+	assert.deepStrictEqual(makeMaze("start", { enemySpawnRate: 0 }).getEnemies(), []);
+});
+
+test("an enemy which catches the character takes a life, and the last life ends the game", function () {
+	var maze = makeMaze("caught", { chaseDistance: 100, lives: 2 });
+	var hits = [];
+	var gameOver = null;
+	maze.subscribe("hit", event => hits.push(event.livesLeft));
+	maze.subscribe("gameOver", event => gameOver = event);
+
+	//One step starts the clock, then the character just waits for them.
+	createAutopilot(maze).step();
+	var enemies = maze.getEnemies().length;
+	for (var t = 0; t < 1000 && !maze.isGameOver(); t++) {
+		maze.tick(100);
+	}
+
+	assert.deepStrictEqual(hits, [1, 0]);
+	assert.strictEqual(gameOver.reason, "caught");
+	assert.strictEqual(maze.getEnemies().length, enemies - 2);
+	assert.strictEqual(maze.getCharacter().lives, 0);
+});
+
+test("enemies chase the character once it's close enough", function () {
+	var maze = makeMaze("chase", { chaseDistance: 100 });
+	createAutopilot(maze).step();
+	maze.tick(1000);
+
+	assert.ok(maze.getEnemies().some(enemy => enemy.isChasing));
+	var noChasing = makeMaze("chase", { chaseDistance: 1 });
+	createAutopilot(noChasing).step();
+	noChasing.tick(1000);
+	assert.ok(noChasing.getEnemies().every(enemy => enemy.isChasing == false));
+});
+
+test("enemies carry on from where they were in a saved game", function () {
+	var maze = makeMaze("saved enemies", { lives: 1000 });
+	var autopilot = createAutopilot(maze);
+	for (var s = 0; s < 100; s++) {
+		autopilot.step();
+		maze.tick(100);
+	}
+
+	var loaded = loadMaze(JSON.parse(JSON.stringify(maze.save())));
+	assert.deepStrictEqual(findEnemies(loaded), findEnemies(maze));
+	[maze, loaded].map(maze => maze.tick(3000));
+	assert.deepStrictEqual(findEnemies(loaded), findEnemies(maze));
+	assert.deepStrictEqual(loaded.getEnemies().map(enemy => enemy.behaviour), maze.getEnemies().map(enemy => enemy.behaviour));
+});
@@ -0,0 +1,133 @@
+/**
+The MIT License (MIT)
+
+Copyright (c) 2024 Matt Payne
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+THE SOFTWARE.
+*/
+
+//The exporters (see maze_export.js), and reading what they write back in with the importers (see maze_import.js).
+
+var test = require("node:test");
+var assert = require("node:assert");
+var fs = require("node:fs");
+var path = require("node:path");
+var { createMaze } = require("../maze_engine.js");
+var { exportAscii, exportSvg, exportTiledMap } = require("../maze_export.js");
+var { importAscii, importTiledMap } = require("../maze_import.js");
+var { createAutopilot } = require("../maze_autopilot.js");
+
+//A maze the character has climbed a way up, so there's some history to export.
+function makeClimbedMaze(seed) {
+	var maze = createMaze({ seed: seed, keepHistory: true, enemySpawnRate: 0 });
+	var autopilot = createAutopilot(maze);
+
+	for (var s = 0; s < 300; s++) {
+		autopilot.step();
+	}
+	return maze;
+}
+
+//Where the character is in the exported rows, as [row, column].
+function findCharacter(lines) {
+	var r = lines.findIndex(line => line.includes("@"));
+	return [r, lines[r].indexOf("@")];
+}
+
+test("exportAscii() writes each region, top row first, with the character in it", function () {
+	var maze = makeClimbedMaze("ascii");
+	var character = maze.getCharacter().location;
+	var numberOfRows = maze.getRows().length;
+	var pastRows = maze.getPastRows().length;
+
+	var visible = exportAscii(maze).trim().split("\n");
+	var buffer = exportAscii(maze, { region: "buffer" }).trim().split("\n");
+	var history = exportAscii(maze, { region: "history" }).trim().split("\n");
+
+	assert.ok(pastRows > 0);
+	assert.strictEqual(visible.length, numberOfRows - maze.firstVisibleRow);
+	assert.strictEqual(buffer.length, numberOfRows);
+	assert.strictEqual(history.length, numberOfRows + pastRows);
+	[visible, buffer, history].map(lines => lines.map(line => assert.match(line, /^[#.@]+$/)));
+	[visible, buffer, history].map(lines => lines.map(line => assert.strictEqual(line.length, maze.getRow(0).blocks.length)));
+
+	assert.deepStrictEqual(findCharacter(buffer), [character.rowIndex, character.blockIndex]);
+	assert.deepStrictEqual(findCharacter(visible), [character.rowIndex - maze.firstVisibleRow, character.blockIndex]);
+	assert.deepStrictEqual(history.slice(0, numberOfRows), buffer);
+	assert.strictEqual(history[numberOfRows], maze.getPastRows()[pastRows - 1]);
+	assert.strictEqual(buffer[5], maze.getRow(5).blocks.map(block => block.isWall ? "#" : ".").join(""));
+});
+
+test("the whole climb can only be exported from a maze which keeps its history", function () {
+	assert.throws(() => exportAscii(createMaze({ seed: "forgetful" }), { region: "history" }), /keepHistory/);
+	assert.throws(() => exportAscii(createMaze({ seed: "nowhere" }), { region: "sideways" }), /Unknown export region/);
+});
+
+test("exportSvg() covers every wall, and draws the character", function () {
+	var maze = createMaze({ seed: "svg", numberOfRowBlocks: 20, numberOfVisibleRows: 25 });
+	var lines = exportAscii(maze).trim().split("\n");
+	var walls = (lines.join("").match(/#/g) || []).length;
+	var svg = exportSvg(maze, { blockSize: 4 });
+
+	assert.ok(svg.startsWith('<svg xmlns="http://www.w3.org/2000/svg" width="' + (lines[0].length * 4) + '" height="' + (lines.length * 4) + '"'));
+
+	//Walls side by side in a row are drawn as one rectangle, one block high.
+	var wallRects = svg.split("\n").filter(line => /^<rect x=/.test(line));
+	var wallArea = wallRects.map(line => Number(line.match(/width="(\d+)"/)[1]) * Number(line.match(/height="(\d+)"/)[1]));
+	assert.strictEqual(wallArea.reduce((total, area) => total + area, 0), walls * 4 * 4);
+	assert.strictEqual((svg.match(/<circle /g) || []).length, 1);
+});
+
+test("importAscii() reads back what exportAscii() wrote", function () {
+	["ascii1", "ascii2", "ascii3"].map(function (seed) {
+		var maze = makeClimbedMaze(seed);
+		var text = exportAscii(maze);
+		var lines = text.trim().split("\n");
+		var setPiece = importAscii(text);
+
+		assert.deepStrictEqual(setPiece.rows, lines.map(line => line.replace("@", ".")));
+		assert.deepStrictEqual(setPiece.start, findCharacter(lines));
+	});
+});
+
+test("importTiledMap() reads back what exportTiledMap() wrote, whatever the block size", function () {
+	[["tiled1", 10], ["tiled2", 7], ["tiled3", 32]].map(function ([seed, blockSize]) {
+		var maze = makeClimbedMaze(seed);
+		var lines = exportAscii(maze).trim().split("\n");
+		var map = exportTiledMap(maze, { blockSize: blockSize });
+		var setPiece = importTiledMap(JSON.stringify(map));
+
+		assert.strictEqual(map.tilewidth, blockSize);
+		assert.strictEqual(map.layers[0].data.length, map.width * map.height);
+		assert.deepStrictEqual(setPiece.rows, lines.map(line => line.replace("@", ".")));
+		assert.deepStrictEqual(setPiece.start, findCharacter(lines));
+	});
+});
+
+test("the Tiled tileset's image is in the repo, and it's the size the tileset says", function () {
+	var tileset = exportTiledMap(createMaze({ seed: "tileset" })).tilesets[0];
+	var png = fs.readFileSync(path.join(__dirname, "..", tileset.image));
+
+	//A PNG's width and height are the first thing in its IHDR chunk, straight after the signature.
+	assert.strictEqual(png.toString("latin1", 12, 16), "IHDR");
+	assert.strictEqual(png.readUInt32BE(16), tileset.imagewidth);
+	assert.strictEqual(png.readUInt32BE(20), tileset.imageheight);
+	assert.strictEqual(tileset.columns * tileset.tilewidth, tileset.imagewidth);
+	assert.strictEqual(tileset.tilecount, tileset.columns * (tileset.imageheight / tileset.tileheight));
+});
@@ -0,0 +1,90 @@
+/**
+The MIT License (MIT)
+
+Copyright (c) 2024 Matt Payne
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+THE SOFTWARE.
+*/
+
+//The maze generators (see maze_generators.js), and the interface a generator of your own plugs into.
+
+var test = require("node:test");
+var assert = require("node:assert");
+var { createMaze } = require("../maze_engine.js");
+var { mazeGenerators } = require("../maze_generators.js");
+var { createAutopilot } = require("../maze_autopilot.js");
+
+//A generator of the simplest kind: one straight corridor, up the same column forever.
+function makeCorridorGenerator(tools) {
+	var column = 5;
+
+	return {
+		makePaths: function () {
+			for (var i = 0; i < tools.maze.numberOfRows - 1; i++) {
+				tools.maze.getRow(i).blocks[column].isWall = false;
+			}
+			return tools.maze.getRow(tools.maze.numberOfRows - 2).blocks[column];
+		},
+		extendPaths: function () {
+			tools.maze.getRow(0).blocks[column].isWall = false;
+		}
+	};
+}
+
+Object.keys(mazeGenerators).map(function (generator) {
+	test("every floor the " + generator + " generator carves is announced, and the left side of the bucket stays sealed", function () {
+		var maze = createMaze({ seed: "carved " + generator, generator: generator, enemySpawnRate: 0 });
+		var autopilot = createAutopilot(maze);
+		var floors = new Set();
+
+		maze.getRows().map(row => row.blocks.filter(block => !block.isWall).map(block => floors.add(block)));
+		maze.subscribe("carve", function (event) {
+			assert.strictEqual(event.block.isWall, false);
+			floors.add(event.block);
+		});
+
+		for (var s = 0; s < 500; s++) {
+			autopilot.step();
+		}
+		maze.getRows().map(function (row) {
+			row.blocks.filter(block => !block.isWall).map(block => assert.ok(floors.has(block), "row " + block.rowIndex + ", block " + block.blockIndex + " wasn't announced"));
+			assert.strictEqual(row.blocks[0].isWall, true);
+		});
+	});
+});
+
+test("a generator of your own is handed the tools, and the character climbs what it carves", function () {
+	var maze = createMaze({ seed: "corridor", generator: makeCorridorGenerator, itemSpawnRates: {}, tileSpawnRates: {}, enemySpawnRate: 0 });
+	var character = maze.getCharacter();
+	var startHeight = character.location.row.height;
+
+	for (var s = 0; s < 200; s++) {
+		assert.ok(maze.move("up"), "blocked at step " + s);
+		assert.strictEqual(character.location.blockIndex, 5);
+	}
+	assert.strictEqual(character.location.row.height, startHeight + 200);
+	assert.ok(maze.getRows().every(row => row.blocks.filter(block => !block.isWall).length <= 1));
+	assert.strictEqual(maze.getConfig().generator, null);
+});
+
+test("a maze whose generator has no saveState can't be saved", function () {
+	var maze = createMaze({ seed: "unsaveable", generator: makeCorridorGenerator });
+
+	assert.throws(() => maze.save(), /can't be saved/);
+});
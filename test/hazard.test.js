@@ -0,0 +1,125 @@
+/**
+The MIT License (MIT)
+
+Copyright (c) 2024 Matt Payne
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+THE SOFTWARE.
+*/
+
+//Survival mode: the lava rising from the bottom of the maze (see config.hazard and hazardPresets in maze_engine.js).
+
+var test = require("node:test");
+var assert = require("node:assert");
+var { createMaze, loadMaze } = require("../maze_engine.js");
+var { createAutopilot } = require("../maze_autopilot.js");
+
+//Nothing but the lava to end the run.
+function makeMaze(seed, hazard) {
+	return createMaze({ seed: seed, hazard: hazard, enemySpawnRate: 0, itemSpawnRates: {} });
+}
+
+test("there's no lava unless it's asked for, and an unknown hazard is an error", function () {
+	assert.strictEqual(makeMaze("lava").getHazard(), null);
+	assert.throws(() => makeMaze("lava", "lukewarm"), /Unknown hazard: lukewarm/);
+});
+
+test("the lava waits for the first step and the head start, then rises faster and faster, up to its top speed", function () {
+	var maze = makeMaze("lava", { delay: 2000, startSpeed: 0.5, acceleration: 1, maxSpeed: 1 });
+	var bottom = maze.getHazard().level;
+
+	maze.tick(5000);
+	assert.deepStrictEqual(maze.getHazard(), { level: bottom, speed: 0, time: 0, startsIn: 2000 });
+
+	createAutopilot(maze).step();
+	maze.tick(1500);
+	assert.deepStrictEqual(maze.getHazard(), { level: bottom, speed: 0, time: 1500, startsIn: 500 });
+
+	maze.tick(500);
+	assert.strictEqual(maze.getHazard().speed, 0.5);
+	maze.tick(250);
+	assert.strictEqual(maze.getHazard().speed, 0.75);
+	maze.tick(750);
+	assert.strictEqual(maze.getHazard().speed, 1);
+
+	//Speeding up from 0.5 rows a second to 1 over the first half second, then a row a second for the next half second.
+	var level = maze.getHazard().level - bottom;
+	assert.ok(Math.abs(level - 0.875) < 0.01, "the lava rose " + level + " rows");
+	assert.strictEqual(maze.isGameOver(), false);
+});
+
+test("the run is over when the lava reaches the character's row", function () {
+	var maze = makeMaze("lava", "hard");
+	var gameOver = null;
+	maze.subscribe("gameOver", event => gameOver = event);
+
+	createAutopilot(maze).step();
+	while (!maze.isGameOver()) {
+		maze.tick(100);
+		if (!maze.isGameOver()) {
+			assert.ok(maze.getHazard().level <= maze.getCharacter().location.row.height);
+		}
+	}
+
+	assert.strictEqual(gameOver.reason, "hazard");
+	assert.ok(maze.getHazard().level > maze.getCharacter().location.row.height);
+	var level = maze.getHazard().level;
+	maze.tick(1000);
+	assert.strictEqual(maze.getHazard().level, level);
+});
+
+test("the lava is carried up with the bottom of the maze, and a quick climber stays ahead of it", function () {
+	var maze = makeMaze("climb", "normal");
+	var autopilot = createAutopilot(maze);
+
+	maze.subscribe("shift", () => assert.ok(maze.getHazard().level >= maze.getRow(maze.numberOfRows - 1).height));
+	for (var s = 0; s < 500; s++) {
+		autopilot.step();
+		maze.tick(50);
+	}
+	assert.strictEqual(maze.isGameOver(), false);
+	assert.ok(maze.getHazard().level > maze.getRow(maze.numberOfRows - 1).height);
+});
+
+test("harder presets start sooner, and rise faster", function () {
+	var presets = ["easy", "normal", "hard"].map(function (name) {
+		var maze = makeMaze("presets", name);
+		createAutopilot(maze).step();
+		maze.tick(20000);
+		return { startsIn: makeMaze("presets", name).getHazard().startsIn, speed: maze.getHazard().speed };
+	});
+
+	for (var i = 1; i < presets.length; i++) {
+		assert.ok(presets[i].startsIn < presets[i - 1].startsIn);
+		assert.ok(presets[i].speed > presets[i - 1].speed);
+	}
+});
+
+test("the lava carries on from where it was in a saved game", function () {
+	var maze = makeMaze("saved lava", "easy");
+	var autopilot = createAutopilot(maze);
+	for (var s = 0; s < 100; s++) {
+		autopilot.step();
+		maze.tick(150);
+	}
+
+	var loaded = loadMaze(JSON.parse(JSON.stringify(maze.save())));
+	assert.deepStrictEqual(loaded.getHazard(), maze.getHazard());
+	[maze, loaded].map(maze => maze.tick(3000));
+	assert.deepStrictEqual(loaded.getHazard(), maze.getHazard());
+});
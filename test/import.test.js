@@ -0,0 +1,118 @@
+/**
+The MIT License (MIT)
+
+Copyright (c) 2024 Matt Payne
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+THE SOFTWARE.
+*/
+
+//The importers (see maze_import.js), and set pieces stamped into the maze (see queueSetPiece in maze_engine.js).
+
+var test = require("node:test");
+var assert = require("node:assert");
+var { createMaze } = require("../maze_engine.js");
+var { importAscii, importTiledMap } = require("../maze_import.js");
+var { createAutopilot } = require("../maze_autopilot.js");
+
+var room = [
+	"###.###",
+	"#.....#",
+	"#.###.#",
+	"#..@..#",
+	"###.###"
+].join("\n");
+
+//A set piece's rows as they are in the maze now, top row first (or undefined for rows the maze doesn't have at the moment).
+function findSetPieceRows(maze, setPiece, height, column) {
+	var rows = maze.getRows();
+
+	return setPiece.rows.map(function (line, r) {
+		var row = rows.find(row => row.height == height + setPiece.height - 1 - r);
+		return row && row.blocks.slice(column, column + setPiece.width).map(block => block.isWall ? "#" : ".").join("");
+	});
+}
+
+test("importAscii() reads the walls, floors and start", function () {
+	var setPiece = importAscii("\r\n\n" + room + "\n\n");
+
+	assert.deepStrictEqual(setPiece.rows, room.replace("@", ".").split("\n"));
+	assert.deepStrictEqual(setPiece.start, [3, 3]);
+	assert.strictEqual(setPiece.width, 7);
+	assert.strictEqual(setPiece.height, 5);
+	assert.strictEqual(importAscii("#.#\n#.#").start, null);
+});
+
+test("importAscii() says what's wrong with a set piece it can't use", function () {
+	assert.throws(() => importAscii("\n \n"), /empty/);
+	assert.throws(() => importAscii("#.#\n#..#"), /Line 2 is 4 blocks wide, but line 1 is 3/);
+	assert.throws(() => importAscii("#.#\n@.@"), /Line 2, column 3: there can only be one start/);
+	assert.throws(() => importAscii("#.#\n#x#"), /"x" isn't a wall/);
+	assert.throws(() => importAscii("###\n#.#"), /floor along its top row/);
+	assert.throws(() => importAscii("#.#\n###\n###"), /no way up through this set piece/);
+});
+
+test("importTiledMap() reads walls from the tiles' isWall property, or from any tile at all", function () {
+	var layer = { type: "tilelayer", name: "ground", width: 3, height: 2, data: [5, 4, 5, 5, 4 | 0x80000000, 5] };
+	var tilesets = [{ firstgid: 4, tiles: [{ id: 0, properties: [{ name: "isWall", type: "bool", value: false }] }, { id: 1, properties: [{ name: "isWall", type: "bool", value: true }] }] }];
+	var start = { type: "objectgroup", objects: [{ name: "character", x: 24, y: 20 }] };
+
+	var setPiece = importTiledMap({ tilewidth: 16, tileheight: 16, layers: [layer, start], tilesets: tilesets });
+	assert.deepStrictEqual(setPiece.rows, ["#.#", "#.#"]);
+	assert.deepStrictEqual(setPiece.start, [1, 1]);
+
+	//Without any isWall properties, tile 0 (nothing) is a floor and anything else is a wall.
+	var bareLayer = { type: "tilelayer", name: "bare", width: 3, height: 1, data: [7, 0, 7] };
+	assert.deepStrictEqual(importTiledMap({ layers: [layer, bareLayer] }, { layerName: "bare" }).rows, ["#.#"]);
+});
+
+test("importTiledMap() says what's wrong with a map it can't read", function () {
+	assert.throws(() => importTiledMap("{}"), /not a Tiled map/);
+	assert.throws(() => importTiledMap({ layers: [] }), /no tile layer/);
+	assert.throws(() => importTiledMap({ layers: [{ type: "tilelayer", name: "a", data: [] }] }, { layerName: "b" }), /no tile layer called "b"/);
+	assert.throws(() => importTiledMap({ layers: [{ type: "tilelayer", name: "zipped", data: "eJxjYGBgAAAABAAB" }] }), /compressed/);
+});
+
+test("a queued set piece is stamped into the maze as it's made, and the character can climb through it", function () {
+	var maze = createMaze({ seed: "set piece", enemySpawnRate: 0, tileSpawnRates: {} });
+	var setPiece = importAscii(room);
+	var height = maze.getTopHeight() + 10;
+	var autopilot = createAutopilot(maze);
+
+	assert.throws(() => maze.queueSetPiece(setPiece, maze.getTopHeight()), /above the top row/);
+	assert.throws(() => maze.queueSetPiece(setPiece, height, 0), /doesn't fit at column 0/);
+	maze.queueSetPiece(setPiece, height, 4);
+
+	while (maze.getCharacter().location.row.height < height + setPiece.height) {
+		assert.ok(autopilot.step(), "the autopilot got stuck at height " + maze.getCharacter().location.row.height);
+		if (maze.getTopHeight() >= height + setPiece.height) {
+			assert.deepStrictEqual(findSetPieceRows(maze, setPiece, height, 4), setPiece.rows);
+		}
+	}
+	assert.ok(maze.validate().isConnected);
+});
+
+test("the character starts on the start of a set piece which is in the first maze", function () {
+	var setPiece = importAscii(room);
+	var maze = createMaze({ seed: "start here", setPieces: [{ setPiece: setPiece, height: 20, column: 10 }] });
+	var character = maze.getCharacter().location;
+
+	assert.strictEqual(character.row.height, 20 + 1);
+	assert.strictEqual(character.blockIndex, 13);
+	assert.deepStrictEqual(findSetPieceRows(maze, setPiece, 20, 10), setPiece.rows);
+});
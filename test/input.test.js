@@ -0,0 +1,156 @@
+/**
+The MIT License (MIT)
+
+Copyright (c) 2024 Matt Payne
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+THE SOFTWARE.
+*/
+
+//The input controller (see maze_input.js): the player's own bindings, kept in localStorage (see maze_storage.js), and swipes.
+
+var test = require("node:test");
+var assert = require("node:assert");
+var { defaultBindings, createInputController, getDirectionOfTravel, mergeBindings, findBinding } = require("../maze_input.js");
+var { saveBindings, loadBindings, forgetBindings } = require("../maze_storage.js");
+
+//A stand-in for localStorage, which keeps everything in a Map.
+function makeStorage() {
+	var items = new Map();
+
+	return {
+		items: items,
+		getItem: key => items.has(key) ? items.get(key) : null,
+		setItem: (key, value) => items.set(key, String(value)),
+		removeItem: key => items.delete(key),
+		key: i => Array.from(items.keys())[i],
+		get length() {
+			return items.size;
+		}
+	};
+}
+
+//A stand-in for the document or the window, which passes events on to whoever is listening.
+function makeEventTarget() {
+	var listeners = [];
+
+	return {
+		addEventListener: (eventName, listener) => listeners.push({ eventName: eventName, listener: listener }),
+		removeEventListener: (eventName, listener) => listeners = listeners.filter(other => other.listener !== listener),
+		dispatch: (eventName, event) => listeners.filter(other => other.eventName == eventName).map(other => other.listener(event))
+	};
+}
+
+//Run the test with a localStorage, a document and a window of its own.
+function withBrowser(callback) {
+	global.localStorage = makeStorage();
+	global.document = makeEventTarget();
+	global.window = makeEventTarget();
+
+	try {
+		callback();
+	} finally {
+		delete global.localStorage;
+		delete global.document;
+		delete global.window;
+	}
+}
+
+function pressKey(code) {
+	var event = { code: code, repeat: false, target: null, preventDefault: () => {} };
+	document.dispatch("keydown", event);
+	document.dispatch("keyup", event);
+}
+
+test("bindings are saved in localStorage, and loaded back the same", function () {
+	withBrowser(function () {
+		assert.strictEqual(loadBindings(), null);
+
+		var bindings = mergeBindings(null);
+		bindings.keys.up = ["KeyI"];
+		saveBindings(bindings);
+		assert.deepStrictEqual(loadBindings(), bindings);
+
+		forgetBindings();
+		assert.strictEqual(loadBindings(), null);
+		assert.strictEqual(localStorage.length, 0);
+	});
+});
+
+test("mangled bindings in localStorage are ignored", function () {
+	withBrowser(function () {
+		localStorage.setItem("infiniteMazeContraption.bindings", "{not json");
+		assert.strictEqual(loadBindings(), null);
+		assert.deepStrictEqual(mergeBindings(loadBindings()), defaultBindings);
+	});
+});
+
+test("the player's bindings take the place of the defaults, and anything they leave out stays as it was", function () {
+	var bindings = mergeBindings({ keys: { up: ["KeyI"], left: "KeyJ" }, stickDeadzone: 0.25 });
+
+	assert.deepStrictEqual(bindings.keys.up, ["KeyI"]);
+	assert.deepStrictEqual(bindings.keys.left, defaultBindings.keys.left);
+	assert.deepStrictEqual(bindings.keys.down, defaultBindings.keys.down);
+	assert.deepStrictEqual(bindings.gamepadButtons, defaultBindings.gamepadButtons);
+	assert.strictEqual(bindings.stickDeadzone, 0.25);
+
+	assert.deepStrictEqual(mergeBindings(null), defaultBindings);
+	assert.deepStrictEqual(mergeBindings("up"), defaultBindings);
+
+	bindings.keys.down.push("KeyK");
+	assert.strictEqual(findBinding(defaultBindings.keys, "KeyK"), undefined, "the defaults were changed");
+});
+
+test("a key the player binds is saved, and still works the next time the game is played", function () {
+	withBrowser(function () {
+		var input = createInputController();
+		input.setBinding("keyboard", "up", ["KeyI", "KeyA"]);
+		input.stop();
+
+		//KeyA was taken away from left.
+		assert.deepStrictEqual(loadBindings().keys.up, ["KeyI", "KeyA"]);
+		assert.deepStrictEqual(loadBindings().keys.left, ["ArrowLeft"]);
+
+		input = createInputController();
+		pressKey("KeyI");
+		assert.strictEqual(input.takeDirection(), "up");
+		pressKey("KeyW");
+		assert.strictEqual(input.takeDirection(), undefined);
+
+		input.resetBindings();
+		assert.strictEqual(loadBindings(), null);
+		pressKey("KeyW");
+		assert.strictEqual(input.takeDirection(), "up");
+		input.stop();
+	});
+});
+
+test("a swipe goes whichever way it mostly travelled, down the screen being down the maze", function () {
+	assert.strictEqual(getDirectionOfTravel(0, -80, 30), "up");
+	assert.strictEqual(getDirectionOfTravel(10, 80, 30), "down");
+	assert.strictEqual(getDirectionOfTravel(-80, 40, 30), "left");
+	assert.strictEqual(getDirectionOfTravel(31, -30, 30), "right");
+	assert.strictEqual(getDirectionOfTravel(30, -30, 30), "up");
+});
+
+test("a swipe which doesn't go far enough is a tap, and a stick inside its deadzone isn't pushed", function () {
+	assert.strictEqual(getDirectionOfTravel(29, -29, 30), undefined);
+	assert.strictEqual(getDirectionOfTravel(0, 0, 30), undefined);
+	assert.strictEqual(getDirectionOfTravel(0.3, -0.4, defaultBindings.stickDeadzone), undefined);
+	assert.strictEqual(getDirectionOfTravel(0.3, -0.6, defaultBindings.stickDeadzone), "up");
+});
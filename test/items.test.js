@@ -0,0 +1,164 @@
+/**
+The MIT License (MIT)
+
+Copyright (c) 2024 Matt Payne
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+THE SOFTWARE.
+*/
+
+//Items: coins, keys and time bonuses scattered over the floors, and picked up by walking onto them (see spawnItems in maze_engine.js).
+
+var test = require("node:test");
+var assert = require("node:assert");
+var { createMaze } = require("../maze_engine.js");
+var { createAutopilot } = require("../maze_autopilot.js");
+
+var itemRates = { coin: 0.05, key: 0.02, timeBonus: 0.02 };
+
+//No tiles, so the only keys are the character's own (not door keys), and no enemies to end the run.
+function makeMaze(seed, itemSpawnRates) {
+	return createMaze({ seed: seed, itemSpawnRates: itemSpawnRates, tileSpawnRates: {}, enemySpawnRate: 0 });
+}
+
+//Every item in the maze, by "height,blockIndex".
+function findItems(maze) {
+	var items = {};
+	maze.getRows().map(row => row.blocks.filter(block => block.item !== null).map(block => items[row.height + "," + block.blockIndex] = block.item));
+	return items;
+}
+
+function isDeadEnd(block) {
+	return block.isWall == false && block.adjacentBlocks.filter(nBlock => nBlock.isWall == false).length == 1;
+}
+
+test("items are only scattered on floors, just above the screen, and ride down with their Blocks", function () {
+	var maze = makeMaze("items", itemRates);
+	var autopilot = createAutopilot(maze);
+	var itemRow = maze.firstVisibleRow - 1;
+	var items = findItems(maze);
+	var collected = [];
+	var itemsKept = 0;
+	maze.subscribe("collect", event => collected.push(event.block.row.height + "," + event.block.blockIndex));
+
+	assert.ok(Object.keys(items).length > 0);
+	maze.subscribe("shift", function () {
+		maze.getRows().map(function (row, rowIndex) {
+			row.blocks.filter(block => block.item !== null).map(function (block) {
+				assert.strictEqual(block.isWall, false);
+				assert.ok(rowIndex >= itemRow, "an item turned up in row " + rowIndex);
+			});
+		});
+
+		//Every item from before the shift is still where it was, unless it's been picked up or its row thrown away.
+		var bottomHeight = maze.getRow(maze.numberOfRows - 1).height;
+		var itemsNow = findItems(maze);
+		for (var place in items) {
+			if (parseInt(place) >= bottomHeight && collected.indexOf(place) == -1) {
+				assert.strictEqual(itemsNow[place], items[place], "the item at " + place + " moved");
+				itemsKept++;
+			}
+		}
+		items = itemsNow;
+	});
+
+	for (var s = 0; s < 300; s++) {
+		autopilot.step();
+	}
+	assert.ok(maze.getTopHeight() > 200);
+	assert.ok(itemsKept > 1000);
+});
+
+test("walking onto an item picks it up", function () {
+	var maze = makeMaze("collect", itemRates);
+	var autopilot = createAutopilot(maze);
+	var counts = { coin: 0, key: 0, timeBonus: 0 };
+	var elapsedTime = 0;
+
+	maze.subscribe("collect", function (event) {
+		assert.strictEqual(event.block, maze.getCharacter().location);
+		assert.strictEqual(event.block.item, null);
+		counts[event.item.type]++;
+		if (event.item.type == "timeBonus") {
+			elapsedTime = Math.max(0, elapsedTime - 10000);
+		}
+	});
+
+	for (var s = 0; s < 600; s++) {
+		autopilot.step();
+		maze.tick(50);
+		elapsedTime += 50;
+	}
+
+	assert.ok(counts.coin > 0 && counts.key > 0 && counts.timeBonus > 0, JSON.stringify(counts));
+	assert.strictEqual(maze.getScore().coins, counts.coin);
+	assert.strictEqual(maze.getCharacter().keys, counts.key);
+	assert.strictEqual(maze.getScore().elapsedTime, elapsedTime);
+});
+
+test("a time bonus can't take the clock below zero", function () {
+	var maze = makeMaze("bonus", { timeBonus: 1 });
+	var autopilot = createAutopilot(maze);
+	var bonuses = 0;
+	maze.subscribe("collect", () => bonuses++);
+
+	for (var s = 0; s < 50; s++) {
+		autopilot.step();
+		maze.tick(100);
+		assert.ok(maze.getScore().elapsedTime >= 0);
+	}
+	assert.ok(bonuses > 1);
+	assert.ok(maze.getScore().elapsedTime < 50 * 100);
+});
+
+test("the spawn rates can change with height, and {} turns items off", function () {
+	var none = makeMaze("rates", {});
+	var highCoins = makeMaze("rates", height => height > 150 ? { coin: 0.2 } : {});
+	var autopilot = createAutopilot(highCoins);
+
+	assert.deepStrictEqual(findItems(none), {});
+	for (var s = 0; s < 300; s++) {
+		autopilot.step();
+	}
+
+	var items = findItems(highCoins);
+	assert.ok(Object.keys(items).length > 0);
+	for (var place in items) {
+		assert.strictEqual(items[place].type, "coin");
+		assert.ok(parseInt(place) > 150);
+	}
+});
+
+test("dead ends get more than their share of items", function () {
+	var floors = 0;
+	var deadEnds = 0;
+	var items = 0;
+	var itemsInDeadEnds = 0;
+
+	for (var i = 0; i < 5; i++) {
+		var maze = makeMaze("dead ends " + i, { coin: 0.05 });
+		maze.getRows().slice(maze.firstVisibleRow - 1).map(row => row.blocks.filter(block => block.isWall == false).map(function (block) {
+			floors++;
+			deadEnds += isDeadEnd(block) ? 1 : 0;
+			items += block.item !== null ? 1 : 0;
+			itemsInDeadEnds += block.item !== null && isDeadEnd(block) ? 1 : 0;
+		}));
+	}
+
+	assert.ok(itemsInDeadEnds / items > 2 * deadEnds / floors, itemsInDeadEnds + " of " + items + " items in " + deadEnds + " dead ends of " + floors + " floors");
+});
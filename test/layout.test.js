@@ -0,0 +1,57 @@
+/**
+The MIT License (MIT)
+
+Copyright (c) 2024 Matt Payne
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+THE SOFTWARE.
+*/
+
+//Fitting the maze onto the canvas (see maze_renderer.js): any shape of grid on any shape of canvas, sharp on high-DPI screens.
+
+var test = require("node:test");
+var assert = require("node:assert");
+var { createMaze } = require("../maze_engine.js");
+var { getCanvasPixelSize, fitMaze } = require("../maze_renderer.js");
+
+test("a square maze fills a square canvas", function () {
+	assert.deepStrictEqual(fitMaze(700, 700, 28, 28), { squareLength: 25, mazeLeft: 0, mazeTop: 0 });
+});
+
+test("a maze is as big as it can be on a wide canvas, and centred across it", function () {
+	assert.deepStrictEqual(fitMaze(1000, 600, 20, 30), { squareLength: 20, mazeLeft: 300, mazeTop: 0 });
+});
+
+test("a maze is as big as it can be on a tall canvas, and centred down it", function () {
+	assert.deepStrictEqual(fitMaze(360, 800, 18, 20), { squareLength: 20, mazeLeft: 0, mazeTop: 200 });
+});
+
+test("a wide maze and a tall maze both fit a canvas of their own shape", function () {
+	[[40, 20], [15, 45]].map(function (grid) {
+		var maze = createMaze({ seed: "layout", numberOfRowBlocks: grid[0], numberOfVisibleRows: grid[1] });
+		var layout = fitMaze(maze.numberOfRowBlocks * 12, maze.numberOfVisibleRows * 12, maze.numberOfRowBlocks, maze.numberOfVisibleRows);
+
+		assert.deepStrictEqual(layout, { squareLength: 12, mazeLeft: 0, mazeTop: 0 });
+	});
+});
+
+test("a high-DPI screen gets more real pixels behind the canvas", function () {
+	assert.deepStrictEqual(getCanvasPixelSize(700, 500, 1), { width: 700, height: 500 });
+	assert.deepStrictEqual(getCanvasPixelSize(700, 500, 2), { width: 1400, height: 1000 });
+	assert.deepStrictEqual(getCanvasPixelSize(333, 201, 1.5), { width: 500, height: 302 });
+});
@@ -0,0 +1,121 @@
+/**
+The MIT License (MIT)
+
+Copyright (c) 2024 Matt Payne
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+THE SOFTWARE.
+*/
+
+//The pathfinder (see maze_pathfinder.js) for click-to-move: it finds the shortest walk to any floor the character can get to.
+
+var test = require("node:test");
+var assert = require("node:assert");
+var { createMaze } = require("../maze_engine.js");
+var { findShortestPath, getDirection } = require("../maze_pathfinder.js");
+var { getWalkingNeighbours } = require("../maze_validator.js");
+var { createAutopilot } = require("../maze_autopilot.js");
+
+var generators = ["paths", "eller", "growingTree"];
+
+//A maze the character has climbed a way up, with tiles, so canStep has something to say.
+function makeClimbedMaze(seed, generator) {
+	var maze = createMaze({ seed: seed, generator: generator, enemySpawnRate: 0 });
+	var autopilot = createAutopilot(maze);
+
+	for (var s = 0; s < 200; s++) {
+		autopilot.step();
+	}
+	return maze;
+}
+
+//How many steps it is to every floor the character can get to, found the slow and simple way (breadth-first).
+function findDistances(maze) {
+	var start = maze.getCharacter().location;
+	var distances = new Map([[start, 0]]);
+	var queue = [start];
+
+	for (var q = 0; q < queue.length; q++) {
+		getWalkingNeighbours(queue[q])
+			.filter(block => maze.canStep(queue[q], block, maze.getCharacter()) && !distances.has(block))
+			.map(function (block) {
+				distances.set(block, distances.get(queue[q]) + 1);
+				queue[queue.length] = block;
+			});
+	}
+	return distances;
+}
+
+generators.map(function (generator) {
+	test("in a " + generator + " maze, there's a shortest path to every floor the character can get to, and to no other", function () {
+		var maze = makeClimbedMaze("paths " + generator, generator);
+		var character = maze.getCharacter();
+		var canStep = (fromBlock, toBlock) => maze.canStep(fromBlock, toBlock, character);
+		var distances = findDistances(maze);
+		var reachable = 0;
+
+		maze.getRows().map(row => row.blocks.filter(block => !block.isWall).map(function (block) {
+			var path = findShortestPath(character.location, block, canStep);
+
+			if (distances.has(block)) {
+				reachable++;
+				assert.notStrictEqual(path, null, "no path to row " + block.rowIndex + ", block " + block.blockIndex);
+				assert.strictEqual(path.length, distances.get(block));
+			} else {
+				assert.strictEqual(path, null, "a path to row " + block.rowIndex + ", block " + block.blockIndex + ", which can't be reached");
+			}
+		}));
+		assert.ok(reachable > 100);
+	});
+
+	test("in a " + generator + " maze, the pathfinder finds a way to the top whenever validate() does, just as short", function () {
+		var maze = makeClimbedMaze("top " + generator, generator);
+		var character = maze.getCharacter();
+		var result = maze.validate();
+
+		assert.ok(result.isConnected);
+		var path = findShortestPath(character.location, result.route[result.route.length - 1], (fromBlock, toBlock) => maze.canStep(fromBlock, toBlock, character));
+		assert.strictEqual(path.length, result.route.length - 1);
+	});
+});
+
+test("the character can walk a path, one move at a time, even down into the bottom row", function () {
+	var maze = createMaze({ seed: "walk down", enemySpawnRate: 0, tileSpawnRates: {} });
+	var character = maze.getCharacter();
+	var distances = findDistances(maze);
+	var bottomRow = maze.getRows().length - 1;
+	var goal = Array.from(distances.keys()).filter(block => block.rowIndex >= bottomRow - 1).pop();
+
+	assert.notStrictEqual(goal, undefined, "nothing reachable in the bottom two rows");
+	var path = findShortestPath(character.location, goal);
+	path.map(function (block, i) {
+		assert.ok(maze.move(getDirection(character.location, block)), "step " + i + " was blocked");
+		assert.strictEqual(character.location, block);
+	});
+	assert.strictEqual(character.location, goal);
+});
+
+test("there's no path to a wall, and an empty one to where the character already is", function () {
+	var maze = createMaze({ seed: "walls" });
+	var character = maze.getCharacter();
+	var wall = maze.getRow(5).blocks[0];
+
+	assert.strictEqual(findShortestPath(character.location, wall), null);
+	assert.deepStrictEqual(findShortestPath(character.location, character.location), []);
+	assert.strictEqual(getDirection(character.location, wall), undefined);
+});
@@ -0,0 +1,129 @@
+/**
+The MIT License (MIT)
+
+Copyright (c) 2024 Matt Payne
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+THE SOFTWARE.
+*/
+
+//The maze's events and plugins (see subscribe and registerPlugin in maze_engine.js).
+
+var test = require("node:test");
+var assert = require("node:assert");
+var { createMaze, loadMaze, registerPlugin } = require("../maze_engine.js");
+var { exportAscii } = require("../maze_export.js");
+var { createAutopilot } = require("../maze_autopilot.js");
+
+//Every item in the maze, as "rowIndex,blockIndex type".
+function listItems(maze) {
+	var items = [];
+	maze.getRows().map(row => row.blocks.filter(block => block.item !== null).map(block => items.push(block.rowIndex + "," + block.blockIndex + " " + block.item.type)));
+	return items;
+}
+
+//Make a maze with a plugin, and take the plugin away again afterwards, so it doesn't get into the other tests' mazes.
+function withPlugin(plugin, makeMaze) {
+	var unregister = registerPlugin(plugin);
+	try {
+		return makeMaze();
+	} finally {
+		unregister();
+	}
+}
+
+test("subscribers hear about moves, blocked moves, shifts and new rows, until they unsubscribe", function () {
+	var maze = createMaze({ seed: "events", enemySpawnRate: 0 });
+	var heard = { move: [], blocked: [], shift: 0, rowCreated: 0 };
+
+	maze.subscribe("move", event => heard.move.push(event));
+	maze.subscribe("blocked", event => heard.blocked.push(event));
+	maze.subscribe("shift", () => heard.shift++);
+	var unsubscribe = maze.subscribe("rowCreated", event => heard.rowCreated++);
+
+	var autopilot = createAutopilot(maze);
+	for (var s = 0; s < 200; s++) {
+		autopilot.step();
+	}
+	assert.strictEqual(heard.move.length, autopilot.getStats().steps);
+	assert.strictEqual(heard.rowCreated, heard.shift);
+	assert.ok(heard.shift > 0);
+	heard.move.map(event => assert.strictEqual(event.type, "move"));
+	assert.strictEqual(heard.move[heard.move.length - 1].to, maze.getCharacter().location);
+
+	//Straight into a wall.
+	var location = maze.getCharacter().location;
+	var wallSide = ["up", "right", "down", "left"].find(function (direction) {
+		var next = { up: [-1, 0], right: [0, 1], down: [1, 0], left: [0, -1] }[direction];
+		var row = maze.getRow(location.rowIndex + next[0]);
+		return row !== undefined && row.blocks[location.blockIndex + next[1]] !== undefined && row.blocks[location.blockIndex + next[1]].isWall;
+	});
+	assert.strictEqual(maze.move(wallSide), false);
+	assert.strictEqual(heard.blocked.pop().reason, "wall");
+
+	unsubscribe();
+	var shifts = heard.shift;
+	for (var s = 0; s < 200; s++) {
+		autopilot.step();
+	}
+	assert.ok(heard.shift > shifts);
+	assert.strictEqual(heard.rowCreated, shifts);
+});
+
+test("a plugin is set up with every maze made after it's registered, before it's carved", function () {
+	var carvesBeforeMade = 0;
+	var mazes = [];
+	var plugin = {
+		name: "counter",
+		setup: function (maze) {
+			mazes.push(maze);
+			maze.subscribe("carve", () => carvesBeforeMade++);
+		}
+	};
+
+	var maze = withPlugin(plugin, () => createMaze({ seed: "plugin" }));
+	assert.deepStrictEqual(mazes, [maze]);
+	assert.ok(carvesBeforeMade > 0);
+
+	withPlugin(plugin, () => loadMaze(maze.save()));
+	assert.strictEqual(mazes.length, 2);
+
+	createMaze({ seed: "after" });
+	assert.strictEqual(mazes.length, 2, "it was taken away again");
+});
+
+test("a plugin can veto items without changing the walls or the other items", function () {
+	var plain = createMaze({ seed: "veto" });
+	var noCoins = withPlugin({ allow: (decision, details) => !(decision == "item" && details.type == "coin") }, () => createMaze({ seed: "veto" }));
+
+	assert.strictEqual(exportAscii(noCoins, { region: "buffer" }), exportAscii(plain, { region: "buffer" }));
+	assert.ok(listItems(plain).some(item => item.endsWith(" coin")));
+	assert.deepStrictEqual(listItems(noCoins), listItems(plain).filter(item => !item.endsWith(" coin")));
+});
+
+test("a plugin can cross off the Blocks the path generator picks from", function () {
+	var maze = withPlugin({
+		filterNextBlocks: (blocks) => blocks.filter(block => block.blockIndex > 2)
+	}, () => createMaze({ seed: "filtered", itemSpawnRates: {}, tileSpawnRates: {}, enemySpawnRate: 0 }));
+	var info = maze.getGeneratorDebugInfo();
+
+	[info.mainPath].concat(info.paths).map(function (path) {
+		//A path may start anywhere, but it never grows into a Block that was crossed off.
+		path.slice(1).map(block => assert.ok(block.blockIndex > 2, "a path grew into block " + block.blockIndex));
+	});
+});
@@ -0,0 +1,169 @@
+/**
+The MIT License (MIT)
+
+Copyright (c) 2024 Matt Payne
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+THE SOFTWARE.
+*/
+
+//The canvas renderer (see maze_renderer.js) only watches the maze. The maze never knows it's being drawn.
+
+var test = require("node:test");
+var assert = require("node:assert");
+var { createMaze } = require("../maze_engine.js");
+var { createCanvasRenderer } = require("../maze_renderer.js");
+
+//A stand-in for a canvas's 2d context, which counts what it's asked to draw and ignores the rest.
+function makeContext() {
+	var context = {
+		fills: 0,
+		measureText: () => ({ width: 0 }),
+		fillRect: () => context.fills++,
+		fill: () => context.fills++
+	};
+
+	return new Proxy(context, {
+		get: (target, name) => name in target ? target[name] : () => {}
+	});
+}
+
+//A stand-in for the canvas, which keeps track of its event listeners.
+function makeCanvas() {
+	return {
+		width: 300,
+		height: 150,
+		clientWidth: 300,
+		clientHeight: 240,
+		style: {},
+		listeners: [],
+		context: makeContext(),
+		getContext: function () { return this.context; },
+		getBoundingClientRect: () => ({ left: 0, top: 0 }),
+		addEventListener: function (eventName, listener) { this.listeners.push(listener); },
+		removeEventListener: function (eventName, listener) { this.listeners = this.listeners.filter(other => other !== listener); }
+	};
+}
+
+//Run the test with a window and an animation loop to draw in. nextFrame() runs the frame the renderer asked for last.
+function withWindow(callback) {
+	var frame = null;
+	var time = 0;
+
+	global.window = {
+		devicePixelRatio: 1,
+		listeners: [],
+		addEventListener: (eventName, listener) => global.window.listeners.push(listener),
+		removeEventListener: (eventName, listener) => global.window.listeners = global.window.listeners.filter(other => other !== listener)
+	};
+	global.requestAnimationFrame = function (callback) {
+		frame = callback;
+		return 1;
+	};
+	global.cancelAnimationFrame = () => frame = null;
+
+	try {
+		callback(function nextFrame() {
+			var thisFrame = frame;
+			frame = null;
+			time += 1000;
+			if (thisFrame !== null) {
+				thisFrame(time);
+			}
+			return thisFrame !== null;
+		});
+	} finally {
+		delete global.window;
+		delete global.requestAnimationFrame;
+		delete global.cancelAnimationFrame;
+	}
+}
+
+//Count the maze's listeners, as they come and go.
+function countListeners(maze) {
+	var counts = { subscribed: 0, unsubscribed: 0 };
+	var subscribe = maze.subscribe;
+
+	maze.subscribe = function (eventName, listener) {
+		var unsubscribe = subscribe(eventName, listener);
+		counts.subscribed++;
+		return function () {
+			counts.unsubscribed++;
+			unsubscribe();
+		};
+	};
+
+	return counts;
+}
+
+test("a maze plays the same whether or not it's being drawn", function () {
+	withWindow(function (nextFrame) {
+		var drawnMaze = createMaze({ seed: "drawn" });
+		var headlessMaze = createMaze({ seed: "drawn" });
+		createCanvasRenderer(drawnMaze, makeCanvas(), { theme: "night" });
+
+		["up", "up", "left", "up", "right", "up", "down", "up"].map(function (direction) {
+			assert.strictEqual(drawnMaze.move(direction), headlessMaze.move(direction));
+			nextFrame();
+		});
+		drawnMaze.tick(500);
+		headlessMaze.tick(500);
+		nextFrame();
+
+		assert.strictEqual(JSON.stringify(drawnMaze.save()), JSON.stringify(headlessMaze.save()));
+	});
+});
+
+test("the renderer only draws when the maze tells it something has changed", function () {
+	withWindow(function (nextFrame) {
+		var maze = createMaze({ seed: "drawn", enemySpawnRate: 0 });
+		var canvas = makeCanvas();
+		createCanvasRenderer(maze, canvas, { moveDuration: 0, scrollDuration: 0 });
+
+		nextFrame();
+		var fills = canvas.context.fills;
+		nextFrame();
+		assert.strictEqual(canvas.context.fills, fills, "a frame with nothing moving was drawn");
+
+		var direction = ["up", "left", "right", "down"].find(direction => maze.move(direction));
+		assert.ok(direction !== undefined);
+		nextFrame();
+		assert.ok(canvas.context.fills > fills, "the character moved, and wasn't drawn");
+	});
+});
+
+test("a stopped renderer lets go of the maze, the canvas and the window, and its loop stops", function () {
+	withWindow(function (nextFrame) {
+		var maze = createMaze({ seed: "drawn" });
+		var counts = countListeners(maze);
+		var canvas = makeCanvas();
+		var renderer = createCanvasRenderer(maze, canvas, { debug: true });
+		renderer.setGhost(createMaze({ seed: "ghost" }));
+
+		assert.ok(counts.subscribed > 0);
+		assert.ok(canvas.listeners.length > 0);
+		assert.strictEqual(global.window.listeners.length, 1);
+
+		renderer.stop();
+
+		assert.strictEqual(counts.unsubscribed, counts.subscribed);
+		assert.deepStrictEqual(canvas.listeners, []);
+		assert.deepStrictEqual(global.window.listeners, []);
+		assert.strictEqual(nextFrame(), false);
+	});
+});
@@ -0,0 +1,154 @@
+/**
+The MIT License (MIT)
+
+Copyright (c) 2024 Matt Payne
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+THE SOFTWARE.
+*/
+
+//Replays and ghosts (see maze_replay.js): the same moves on the same steps of the clock play a run out again exactly.
+
+var test = require("node:test");
+var assert = require("node:assert");
+var { createMaze, loadMaze, makeRandom } = require("../maze_engine.js");
+var { createRecorder, loadReplay, checkReplayGrid, checkReplayMatches, createReplayPlayer, createGhost } = require("../maze_replay.js");
+var { createAutopilot } = require("../maze_autopilot.js");
+var { importAscii } = require("../maze_import.js");
+
+var generators = ["paths", "eller", "growingTree"];
+
+//Let the autopilot play, with the time handed over in uneven lumps (as a browser's animation frames would), until the run ends.
+function play(maze, steps) {
+	var autopilot = createAutopilot(maze);
+	var random = makeRandom("frames");
+
+	for (var s = 0; s < steps && !maze.isGameOver(); s++) {
+		autopilot.step();
+		maze.tick(5 + Math.floor(random() * 60));
+	}
+	autopilot.stop();
+}
+
+//Everything about the maze, as JSON. Except spareTime: that's the time handed to maze.tick() which hasn't made up a whole step
+//of the clock yet, and nothing happens on part of a step, so a replay (which only knows about whole steps) can't tell.
+function saveText(maze) {
+	return JSON.stringify(Object.assign(maze.save(), { spareTime: 0 }));
+}
+
+generators.map(function (generator) {
+	test("a replay of a " + generator + " run, with enemies and lava, plays out exactly the same", function () {
+		var maze = createMaze({ seed: "replay " + generator, generator: generator, hazard: "normal", lives: 5 });
+		var recorder = createRecorder(maze);
+		play(maze, 600);
+		maze.endGame("test");
+
+		var replay = JSON.parse(JSON.stringify(recorder.getReplay()));
+		var player = createReplayPlayer(replay);
+		assert.strictEqual(player.isFinished(), false);
+
+		var replayed = player.finish();
+		assert.ok(player.isFinished());
+		assert.strictEqual(saveText(replayed), saveText(maze));
+		assert.deepStrictEqual(replayed.getScore(), maze.getScore());
+		assert.deepStrictEqual(replay.score, maze.getScore());
+		assert.ok(replayed.isGameOver());
+	});
+});
+
+test("a replay played up to a step of the clock is where the run was on that step", function () {
+	var maze = createMaze({ seed: "real time", enemySpawnRate: 0.1 });
+	var recorder = createRecorder(maze);
+	var autopilot = createAutopilot(maze);
+	var saves = [];
+
+	//The clock moves on at least a step between moves, so nothing else happens on the step each one is saved on.
+	for (var s = 0; s < 200 && !maze.isGameOver(); s++) {
+		autopilot.step();
+		saves[s] = { clock: maze.getClock(), save: saveText(maze) };
+		maze.tick(10 * (1 + (s % 3)));
+	}
+
+	var player = createReplayPlayer(recorder.getReplay());
+	saves.map(function (saved) {
+		player.playTo(saved.clock);
+		assert.strictEqual(saveText(player.maze), saved.save);
+	});
+});
+
+test("a replay of a loaded game, with a set piece queued part-way through, starts from the saved game", function () {
+	var maze = createMaze({ seed: "part-way" });
+	play(maze, 100);
+	maze = loadMaze(maze.save());
+
+	var recorder = createRecorder(maze);
+	maze.queueSetPiece(importAscii("#.#\n#.#"), maze.getTopHeight() + 3, 5);
+	play(maze, 300);
+
+	var replay = recorder.getReplay();
+	assert.notStrictEqual(replay.start.savedGame, undefined);
+	assert.ok(replay.inputs.some(input => input[1] == "setPiece"));
+	assert.strictEqual(saveText(createReplayPlayer(replay).finish()), saveText(maze));
+});
+
+test("the ghost climbs a copy of the maze step for step with the character", function () {
+	var config = { seed: "ghost", enemySpawnRate: 0, hazard: "easy" };
+	var best = createMaze(config);
+	var recorder = createRecorder(best);
+	play(best, 400);
+
+	var maze = createMaze(config);
+	var ghost = createGhost(recorder.getReplay(), maze);
+
+	//The ghost waits for the character's first step.
+	maze.tick(1000);
+	ghost.update();
+	assert.strictEqual(ghost.maze.getClock(), 0);
+
+	maze.move("up");
+	while (maze.getClock() < best.getClock() && !maze.isGameOver()) {
+		maze.tick(30);
+		ghost.update();
+		assert.strictEqual(ghost.maze.getClock(), maze.getClock());
+	}
+	assert.strictEqual(saveText(ghost.maze), saveText(best));
+});
+
+test("a replay is only played on the maze it was recorded on", function () {
+	var maze = createMaze({ seed: "this one", numberOfRowBlocks: 20 });
+	var replay = createRecorder(maze).getReplay();
+
+	assert.doesNotThrow(() => checkReplayMatches(replay, createMaze({ seed: "this one", numberOfRowBlocks: 20 })));
+	assert.throws(() => checkReplayMatches(replay, createMaze({ seed: "another one", numberOfRowBlocks: 20 })), /different seed/);
+	assert.throws(() => checkReplayMatches(replay, createMaze({ seed: "this one", numberOfRowBlocks: 20, generator: "eller" })), /different generator/);
+	assert.throws(() => checkReplayMatches(replay, createMaze({ seed: "this one", numberOfRowBlocks: 20, hazard: "hard" })), /different hazard/);
+	assert.throws(() => checkReplayGrid(replay, createMaze({ seed: "this one" }).getConfig()), /grid of 20x20 with a buffer of 3, but this maze's grid is 30x30/);
+	assert.throws(() => createGhost(replay, createMaze({ seed: "another one", numberOfRowBlocks: 20 })), /different seed/);
+});
+
+test("loadReplay() says what's wrong with a replay it can't play", function () {
+	var replay = createRecorder(createMaze({ seed: "broken" })).getReplay();
+
+	assert.deepStrictEqual(loadReplay(JSON.stringify(replay)), replay);
+	assert.throws(() => loadReplay("{"), /isn't JSON/);
+	assert.throws(() => loadReplay({ format: "something else" }), /not an infinite maze replay/);
+	assert.throws(() => loadReplay(Object.assign({}, replay, { version: 7 })), /version 7/);
+	assert.throws(() => loadReplay(Object.assign({}, replay, { clockStep: 16 })), /clock step of 16ms/);
+	assert.throws(() => loadReplay(Object.assign({}, replay, { start: {} })), /which maze/);
+	assert.throws(() => loadReplay(Object.assign({}, replay, { inputs: null })), /no inputs/);
+});
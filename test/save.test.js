@@ -0,0 +1,76 @@
+/**
+The MIT License (MIT)
+
+Copyright (c) 2024 Matt Payne
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+THE SOFTWARE.
+*/
+
+//Saving and loading (see maze.save() and loadMaze() in maze_engine.js): a loaded game carries on exactly as the saved one would have.
+
+var test = require("node:test");
+var assert = require("node:assert");
+var { createMaze, loadMaze, makeRandom } = require("../maze_engine.js");
+
+var generators = ["paths", "eller", "growingTree"];
+
+//Make some moves, leaning upwards, with the clock ticking along. The moves come from a seed of their own, so they're the same every time.
+function play(maze, seed, count) {
+	var random = makeRandom(seed);
+
+	for (var i = 0; i < count; i++) {
+		maze.move(["up", "up", "left", "right", "down"][Math.floor(random() * 5)]);
+		maze.tick(70);
+	}
+}
+
+//The saved game as the JSON it's written out as. (The walls between Eller's rooms have no set, which is a gap in a live array and null once it's saved.)
+function saveText(maze) {
+	return JSON.stringify(maze.save());
+}
+
+generators.map(function (generator) {
+	test("a loaded " + generator + " game plays on the same as the one it was saved from", function () {
+		var maze = createMaze({ seed: "saved", generator: generator, hazard: "easy", keepHistory: true });
+		play(maze, "before", 200);
+
+		var loaded = loadMaze(JSON.parse(JSON.stringify(maze.save())));
+		assert.strictEqual(saveText(loaded), saveText(maze));
+
+		play(maze, "after", 300);
+		play(loaded, "after", 300);
+		assert.strictEqual(saveText(loaded), saveText(maze));
+		assert.deepStrictEqual(loaded.getScore(), maze.getScore());
+		assert.deepStrictEqual(loaded.getHazard(), maze.getHazard());
+	});
+});
+
+test("a loaded game has the config it was saved with", function () {
+	var maze = createMaze({ seed: "config", numberOfRowBlocks: 20, numberOfVisibleRows: 40, bufferMultiplier: 4, difficulty: "twisty" });
+
+	assert.deepStrictEqual(loadMaze(maze.save()).getConfig(), maze.getConfig());
+});
+
+test("loadMaze() turns away anything that isn't a saved game it can load", function () {
+	var savedGame = createMaze({ seed: "wrong" }).save();
+
+	assert.throws(() => loadMaze({ rows: [] }), /not a saved infinite maze/);
+	assert.throws(() => loadMaze(null), /not a saved infinite maze/);
+	assert.throws(() => loadMaze(Object.assign({}, savedGame, { version: 99 })), /version 99/);
+});
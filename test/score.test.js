@@ -0,0 +1,129 @@
+/**
+The MIT License (MIT)
+
+Copyright (c) 2024 Matt Payne
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+THE SOFTWARE.
+*/
+
+//The score of a run, the maze's clock, and the end of the game (see getScore, tick and endGame in maze_engine.js).
+
+var test = require("node:test");
+var assert = require("node:assert");
+var { createMaze, loadMaze, clockStep } = require("../maze_engine.js");
+var { createAutopilot } = require("../maze_autopilot.js");
+
+//A maze with nothing in it to end the run early, or to hand out time bonuses.
+function makeMaze(seed) {
+	return createMaze({ seed: seed, itemSpawnRates: {}, enemySpawnRate: 0 });
+}
+
+test("the score counts the steps taken, and the rows climbed above where the character started", function () {
+	var maze = makeMaze("score");
+	var startHeight = maze.getCharacter().location.row.height;
+	var highestHeight = startHeight;
+	var autopilot = createAutopilot(maze);
+
+	for (var s = 0; s < 300; s++) {
+		autopilot.step();
+		highestHeight = Math.max(highestHeight, maze.getCharacter().location.row.height);
+
+		var score = maze.getScore();
+		assert.strictEqual(score.steps, autopilot.getStats().steps);
+		assert.strictEqual(score.rowsClimbed, highestHeight - startHeight);
+	}
+	assert.ok(maze.getScore().rowsClimbed > 100);
+	assert.strictEqual(maze.getScore().coins, 0);
+});
+
+test("bumping into a wall isn't a step", function () {
+	var maze = makeMaze("score");
+	var location = maze.getCharacter().location;
+	var direction = ["up", "right", "down", "left"].find(function (direction) {
+		var next = { up: [-1, 0], right: [0, 1], down: [1, 0], left: [0, -1] }[direction];
+		var block = maze.getRow(location.rowIndex + next[0]) && maze.getRow(location.rowIndex + next[0]).blocks[location.blockIndex + next[1]];
+		return block === undefined || block.isWall;
+	});
+
+	assert.strictEqual(maze.move(direction), false);
+	assert.strictEqual(maze.getScore().steps, 0);
+});
+
+test("the clock starts with the first step, and counts whole steps of the clock however the time is handed over", function () {
+	var maze = makeMaze("clock");
+	var autopilot = createAutopilot(maze);
+
+	maze.tick(5000);
+	assert.strictEqual(maze.getClock(), 0);
+	assert.strictEqual(maze.getScore().elapsedTime, 0);
+
+	autopilot.step();
+	maze.tick(clockStep * 2.5);
+	maze.tick(clockStep / 2);
+	maze.tick(clockStep * 0.9);
+	assert.strictEqual(maze.getClock(), 3);
+	assert.strictEqual(maze.getScore().elapsedTime, clockStep * 3);
+
+	maze.tick(1000);
+	assert.strictEqual(maze.getScore().elapsedTime, clockStep * 3 + 1000);
+});
+
+test("once the game is over, the character can't move and the clock stops", function () {
+	var maze = makeMaze("over");
+	var autopilot = createAutopilot(maze);
+	var gameOvers = [];
+	maze.subscribe("gameOver", event => gameOvers.push(event));
+
+	for (var s = 0; s < 20; s++) {
+		autopilot.step();
+	}
+	maze.tick(1234);
+
+	var location = maze.getCharacter().location;
+	maze.endGame();
+	maze.endGame("caught");
+	assert.strictEqual(maze.isGameOver(), true);
+	assert.strictEqual(gameOvers.length, 1);
+	assert.strictEqual(gameOvers[0].reason, "gaveUp");
+	assert.deepStrictEqual(gameOvers[0].score, maze.getScore());
+	assert.strictEqual(maze.getScore().gameOverReason, "gaveUp");
+
+	["up", "right", "down", "left"].map(direction => assert.strictEqual(maze.move(direction), false));
+	assert.strictEqual(maze.getCharacter().location, location);
+	maze.tick(5000);
+	assert.strictEqual(maze.getScore().elapsedTime, 1230);
+	assert.strictEqual(maze.getScore().steps, 20);
+});
+
+test("the score is saved with the game, and carries on from there", function () {
+	var maze = makeMaze("saved score");
+	var autopilot = createAutopilot(maze);
+	for (var s = 0; s < 100; s++) {
+		autopilot.step();
+		maze.tick(37);
+	}
+
+	var loaded = loadMaze(JSON.parse(JSON.stringify(maze.save())));
+	assert.deepStrictEqual(loaded.getScore(), maze.getScore());
+
+	maze.endGame("gaveUp");
+	var loadedOver = loadMaze(JSON.parse(JSON.stringify(maze.save())));
+	assert.strictEqual(loadedOver.isGameOver(), true);
+	assert.strictEqual(loadedOver.getScore().gameOverReason, "gaveUp");
+});
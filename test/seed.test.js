@@ -0,0 +1,94 @@
+/**
+The MIT License (MIT)
+
+Copyright (c) 2024 Matt Payne
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+THE SOFTWARE.
+*/
+
+//Every random decision goes through the seeded generator, so a seed always builds the same maze (see maze_engine.js).
+
+var test = require("node:test");
+var assert = require("node:assert");
+var { createMaze, makeRandom } = require("../maze_engine.js");
+var { exportAscii } = require("../maze_export.js");
+
+var generators = ["paths", "eller", "growingTree"];
+
+//The whole buffer as text, with the character in it.
+function drawMaze(maze) {
+	return exportAscii(maze, { region: "buffer" });
+}
+
+//Some moves to make, leaning upwards, picked with a seed of their own so they're the same every time.
+function makeMoves(seed, count) {
+	var random = makeRandom(seed);
+	var moves = [];
+
+	for (var i = 0; i < count; i++) {
+		moves[i] = ["up", "up", "left", "right", "down"][Math.floor(random() * 5)];
+	}
+	return moves;
+}
+
+test("makeRandom gives the same numbers for the same seed", function () {
+	var first = makeRandom("daily");
+	var second = makeRandom("daily");
+
+	for (var i = 0; i < 100; i++) {
+		var number = first();
+		assert.strictEqual(second(), number);
+		assert.ok(number >= 0 && number < 1);
+	}
+	assert.notStrictEqual(makeRandom("weekly")(), makeRandom("daily")());
+});
+
+generators.map(function (generator) {
+	test("the same seed builds the same " + generator + " maze, move for move", function () {
+		var first = createMaze({ seed: "same", generator: generator });
+		var second = createMaze({ seed: "same", generator: generator });
+
+		assert.deepStrictEqual(drawMaze(second), drawMaze(first));
+
+		makeMoves("moves", 300).map(function (direction, step) {
+			assert.strictEqual(second.move(direction), first.move(direction));
+			second.tick(100);
+			first.tick(100);
+			if (step % 50 == 0) {
+				assert.deepStrictEqual(drawMaze(second), drawMaze(first), "different after step " + step);
+			}
+		});
+		assert.deepStrictEqual(drawMaze(second), drawMaze(first));
+		assert.deepStrictEqual(second.getScore(), first.getScore());
+	});
+
+	test("another seed builds another " + generator + " maze", function () {
+		var first = createMaze({ seed: "one", generator: generator });
+		var second = createMaze({ seed: "two", generator: generator });
+
+		assert.notDeepStrictEqual(drawMaze(second), drawMaze(first));
+	});
+});
+
+test("a seed builds the same maze with or without items, tiles and enemies", function () {
+	var plain = createMaze({ seed: "extras", itemSpawnRates: {}, tileSpawnRates: {}, enemySpawnRate: 0 });
+	var busy = createMaze({ seed: "extras" });
+
+	assert.deepStrictEqual(drawMaze(busy), drawMaze(plain));
+});
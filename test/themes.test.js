@@ -0,0 +1,103 @@
+/**
+The MIT License (MIT)
+
+Copyright (c) 2024 Matt Payne
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+THE SOFTWARE.
+*/
+
+//Themes and tilesets (see maze_themes.js).
+
+var test = require("node:test");
+var assert = require("node:assert");
+var fs = require("node:fs");
+var path = require("node:path");
+var { createMaze } = require("../maze_engine.js");
+var { mazeThemes, makeTheme, getWallVariant } = require("../maze_themes.js");
+
+test("every theme has every colour, filled in from the classic theme where it doesn't say", function () {
+	var colourNames = Object.keys(mazeThemes.classic.colours);
+
+	Object.keys(mazeThemes).map(function (name) {
+		var theme = makeTheme(name);
+		assert.deepStrictEqual(Object.keys(theme.colours).sort(), colourNames.slice().sort(), name);
+		assert.strictEqual(theme.name, mazeThemes[name].name);
+	});
+
+	var custom = makeTheme({ colours: { wall: "#123456" } });
+	assert.strictEqual(custom.name, "Custom");
+	assert.strictEqual(custom.colours.wall, "#123456");
+	assert.strictEqual(custom.colours.floor, mazeThemes.classic.colours.floor);
+	assert.strictEqual(custom.outlineWidth, 1);
+	assert.strictEqual(custom.tileset, null);
+	assert.throws(() => makeTheme("sepia"), /Unknown theme: sepia/);
+});
+
+test("every sprite a tileset names is on its sprite sheet", function () {
+	Object.keys(mazeThemes).filter(name => mazeThemes[name].tileset !== undefined).map(function (name) {
+		var tileset = mazeThemes[name].tileset;
+		var png = fs.readFileSync(path.join(__dirname, "..", tileset.src));
+		var columns = png.readUInt32BE(16) / tileset.spriteSize;
+		var rows = png.readUInt32BE(20) / tileset.spriteSize;
+		var characterRows = Object.keys(tileset.characterRows).map(facing => tileset.characterRows[facing]);
+
+		assert.ok(columns >= 16, name + "'s sheet has no room for 16 walls");
+		assert.ok(columns >= tileset.characterFrames);
+		assert.ok(tileset.floor[0] < columns && tileset.floor[1] < rows);
+		[tileset.wallRow].concat(characterRows).map(row => assert.ok(row < rows, name + "'s sheet has no row " + row));
+		assert.deepStrictEqual(Object.keys(tileset.characterRows).sort(), ["down", "left", "right", "up"]);
+	});
+});
+
+test("a wall's variant says which of its sides are open", function () {
+	var maze = createMaze({
+		seed: "corridor",
+		itemSpawnRates: {},
+		tileSpawnRates: {},
+		enemySpawnRate: 0,
+		generator: function (tools) {
+			return {
+				makePaths: function () {
+					for (var i = 0; i < tools.maze.numberOfRows - 1; i++) {
+						tools.maze.getRow(i).blocks[5].isWall = false;
+					}
+					tools.maze.getRow(40).blocks[6].isWall = false;
+					tools.maze.getRow(tools.maze.numberOfRows - 1).blocks[8].isWall = false;
+					return tools.maze.getRow(tools.maze.numberOfRows - 2).blocks[5];
+				},
+				extendPaths: () => tools.maze.getRow(0).blocks[5].isWall = false
+			};
+		}
+	});
+	var row = index => maze.getRow(index).blocks;
+
+	assert.strictEqual(getWallVariant(row(30)[10]), 0);
+	assert.strictEqual(getWallVariant(row(30)[4]), 2);
+	assert.strictEqual(getWallVariant(row(30)[6]), 8);
+	assert.strictEqual(getWallVariant(row(39)[6]), 8 + 4);
+	assert.strictEqual(getWallVariant(row(41)[6]), 8 + 1);
+	assert.strictEqual(getWallVariant(row(40)[7]), 8);
+
+	//The bottom rows join downward as well as upward.
+	var bottom = maze.numberOfRows - 1;
+	assert.strictEqual(getWallVariant(row(bottom)[5]), 1);
+	assert.strictEqual(getWallVariant(row(bottom)[7]), 2);
+	assert.strictEqual(getWallVariant(row(bottom - 1)[8]), 4);
+	assert.strictEqual(getWallVariant(row(bottom - 2)[8]), 0);
+});
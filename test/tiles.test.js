@@ -0,0 +1,173 @@
+/**
+The MIT License (MIT)
+
+Copyright (c) 2024 Matt Payne
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+THE SOFTWARE.
+*/
+
+//Tiles (see maze_tiles.js): locked doors, one-way gates, teleporters, and tile types of your own.
+
+var test = require("node:test");
+var assert = require("node:assert");
+var { createMaze } = require("../maze_engine.js");
+var { registerTileType, Tile } = require("../maze_tiles.js");
+var { createAutopilot } = require("../maze_autopilot.js");
+
+//A maze which is one straight corridor up column 5, with nothing in it, so tiles can be put exactly where they're wanted.
+function makeCorridorMaze() {
+	return createMaze({
+		seed: "corridor",
+		itemSpawnRates: {},
+		tileSpawnRates: {},
+		enemySpawnRate: 0,
+		generator: function (tools) {
+			return {
+				makePaths: function () {
+					for (var i = 0; i < tools.maze.numberOfRows - 1; i++) {
+						tools.maze.getRow(i).blocks[5].isWall = false;
+					}
+					return tools.maze.getRow(tools.maze.numberOfRows - 2).blocks[5];
+				},
+				extendPaths: () => tools.maze.getRow(0).blocks[5].isWall = false
+			};
+		}
+	});
+}
+
+//Put a tile on the floor this many rows above the character.
+function placeTile(maze, rowsUp, type, details) {
+	var block = maze.getRow(maze.getCharacter().location.rowIndex - rowsUp).blocks[5];
+	block.tile = Object.assign(new Tile(type), details);
+	return block;
+}
+
+test("a locked door only opens for a key, and its own key only fits it", function () {
+	var maze = makeCorridorMaze();
+	var character = maze.getCharacter();
+	var blocked = [];
+	maze.subscribe("blocked", event => blocked[blocked.length] = event.reason);
+
+	var door = placeTile(maze, 1, "door", { isLocked: true, doorId: 7 });
+	assert.strictEqual(maze.move("up"), false);
+	assert.deepStrictEqual(blocked, ["tile"]);
+
+	character.doorKeys = [3];
+	assert.strictEqual(maze.move("up"), false);
+
+	character.doorKeys = [3, 7];
+	character.keys = 1;
+	assert.ok(maze.move("up"));
+	assert.strictEqual(door.tile.isLocked, false);
+	assert.deepStrictEqual(character.doorKeys, [3]);
+	assert.strictEqual(character.keys, 1);
+
+	//Once it's open, it stays open.
+	assert.ok(maze.move("down"));
+	assert.ok(maze.move("up"));
+});
+
+test("a gate can only be walked through the way it points", function () {
+	var maze = makeCorridorMaze();
+
+	placeTile(maze, 1, "gate", { direction: "up" });
+	placeTile(maze, 3, "gate", { direction: "down" });
+	assert.ok(maze.move("up"));
+	assert.ok(maze.move("up"));
+	assert.strictEqual(maze.move("down"), false);
+	assert.strictEqual(maze.move("up"), false);
+});
+
+test("a teleporter sends the character to the other one of its pair, unless its pair has gone", function () {
+	var maze = makeCorridorMaze();
+	var character = maze.getCharacter();
+	var teleports = [];
+	maze.subscribe("teleport", event => teleports[teleports.length] = event);
+
+	var near = placeTile(maze, 1, "teleporter", {});
+	var far = placeTile(maze, 20, "teleporter", { pair: near });
+	near.tile.pair = far;
+	var farHeight = far.row.height;
+
+	assert.ok(maze.move("up"));
+	assert.strictEqual(character.location, far);
+	assert.strictEqual(teleports.length, 1);
+	assert.strictEqual(teleports[0].from, near);
+	assert.strictEqual(teleports[0].to, far);
+	assert.strictEqual(character.location.row.height, farHeight);
+
+	//The maze itself never counts on walking past a teleporter, but the character can walk onto one.
+	assert.strictEqual(maze.canStep(character.location, near, undefined), false);
+	far.tile.pair = null;
+	assert.ok(maze.move("down"));
+	assert.ok(maze.move("up"));
+	assert.strictEqual(character.location, far);
+});
+
+test("a tile type of your own decides who walks onto it, and what happens when they do", function () {
+	var entered = [];
+
+	assert.throws(() => registerTileType("broken", { isWalkable: () => true }), /needs isWalkable\(\) and draw\(\)/);
+	registerTileType("mud", {
+		isWalkable: (block, walker, direction) => direction != "up" || walker.keys > 0,
+		onEnter: (block, character) => entered[entered.length] = block,
+		draw: function () {}
+	});
+
+	var maze = makeCorridorMaze();
+	var mud = placeTile(maze, 1, "mud", {});
+	assert.strictEqual(maze.move("up"), false);
+	maze.getCharacter().keys = 1;
+	assert.ok(maze.move("up"));
+	assert.deepStrictEqual(entered, [mud]);
+});
+
+test("with doors, gates and teleporters everywhere, there's still a way to the top, counting doors as open", function () {
+	var maze = createMaze({ seed: "tiles everywhere", tileSpawnRates: { door: 0.5, gate: 0.5, teleporter: 0.3 }, enemySpawnRate: 0 });
+	var autopilot = createAutopilot(maze);
+	var tiles = new Set();
+	var shifts = 0;
+
+	maze.subscribe("shift", function () {
+		shifts++;
+		maze.getRows().map(row => row.blocks.filter(block => block.tile !== null).map(block => tiles.add(block.tile.type)));
+		assert.ok(maze.validate().isConnected, "cut off after shift " + shifts);
+	});
+	for (var s = 0; s < 1500; s++) {
+		autopilot.step();
+	}
+
+	assert.ok(shifts > 0);
+	assert.deepStrictEqual(Array.from(tiles).sort(), ["door", "gate", "teleporter"]);
+});
+
+test("every locked door's own key is somewhere below it", function () {
+	var maze = createMaze({ seed: "keys", tileSpawnRates: { door: 0.5 }, enemySpawnRate: 0 });
+	var doors = 0;
+
+	maze.getRows().map(row => row.blocks.filter(block => block.tile !== null && block.tile.type == "door").map(function (door) {
+		doors++;
+		var keys = [];
+		maze.getRows().map(row => row.blocks.filter(block => block.item !== null && block.item.doorId === door.tile.doorId).map(block => keys.push(block)));
+
+		assert.strictEqual(keys.length, 1, "door " + door.tile.doorId + " has " + keys.length + " keys");
+		assert.ok(keys[0].row.height < door.row.height);
+	}));
+	assert.ok(doors > 0);
+});
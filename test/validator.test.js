@@ -0,0 +1,153 @@
+/**
+The MIT License (MIT)
+
+Copyright (c) 2024 Matt Payne
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+THE SOFTWARE.
+*/
+
+//The connectivity validator and the repair (see maze_validator.js): the character can always climb to the top generated row.
+
+var test = require("node:test");
+var assert = require("node:assert");
+var { createMaze } = require("../maze_engine.js");
+var { findUpwardRoute, carveConnectingCorridor, getWalkingNeighbours } = require("../maze_validator.js");
+var { createAutopilot } = require("../maze_autopilot.js");
+
+var generators = ["paths", "eller", "growingTree"];
+
+//Brick up a whole row, so nothing below it can get past.
+function wallOffRow(row) {
+	row.blocks.map(block => block.isWall = true);
+}
+
+//Let the autopilot climb until the maze shifts, or give up after a while.
+function climbUntilShift(maze) {
+	var shifted = false;
+	var unsubscribe = maze.subscribe("shift", () => shifted = true);
+	var autopilot = createAutopilot(maze);
+
+	for (var s = 0; s < 500 && !shifted; s++) {
+		autopilot.step();
+	}
+	autopilot.stop();
+	unsubscribe();
+	return shifted;
+}
+
+generators.map(function (generator) {
+	test("a " + generator + " maze stays connected as the character climbs", function () {
+		var maze = createMaze({ seed: "connected", generator: generator, enemySpawnRate: 0 });
+		var autopilot = createAutopilot(maze);
+		var shifts = 0;
+
+		assert.ok(maze.validate().isConnected);
+		maze.subscribe("shift", function () {
+			shifts++;
+			assert.ok(maze.validate().isConnected, "cut off after shift " + shifts);
+		});
+
+		for (var s = 0; s < 1000; s++) {
+			autopilot.step();
+		}
+		assert.ok(shifts > 0);
+	});
+});
+
+test("validate() finds the shortest route up, from the character to the top generated row", function () {
+	var maze = createMaze({ seed: "route" });
+	var result = maze.validate();
+	var character = maze.getCharacter();
+
+	assert.ok(result.isConnected);
+	assert.strictEqual(result.route[0], character.location);
+	assert.strictEqual(result.route[result.route.length - 1].rowIndex, 1);
+	result.route.map(block => assert.strictEqual(block.isWall, false));
+	for (var i = 1; i < result.route.length; i++) {
+		assert.ok(getWalkingNeighbours(result.route[i - 1]).includes(result.route[i]), "step " + i + " isn't a step");
+	}
+});
+
+test("a bricked-up row cuts the character off, and carveConnectingCorridor() gets it through again", function () {
+	var maze = createMaze({ seed: "bricked", repair: false });
+	var character = maze.getCharacter();
+	var innerMaze = character.location.row.maze;
+
+	wallOffRow(maze.getRow(10));
+	var result = maze.validate();
+	assert.strictEqual(result.isConnected, false);
+	assert.deepStrictEqual(result.route, []);
+	assert.ok(result.highestBlock.rowIndex > 10);
+
+	var carvedBlocks = carveConnectingCorridor(innerMaze, character.location, 1);
+	assert.ok(carvedBlocks.length > 0);
+	carvedBlocks.map(block => assert.strictEqual(block.isWall, false));
+	assert.ok(carvedBlocks.some(block => block.rowIndex == 10));
+	assert.ok(findUpwardRoute(innerMaze, character.location, 1).isConnected);
+});
+
+test("the engine repairs a cut-off maze when it shifts, unless repair is off", function () {
+	var repaired = createMaze({ seed: "repair", enemySpawnRate: 0, tileSpawnRates: {} });
+	var unrepaired = createMaze({ seed: "repair", enemySpawnRate: 0, tileSpawnRates: {}, repair: false });
+	var repairs = [];
+
+	repaired.subscribe("repair", event => repairs[repairs.length] = event);
+	unrepaired.subscribe("repair", event => assert.fail("repair is off"));
+
+	[repaired, unrepaired].map(function (maze) {
+		wallOffRow(maze.getRow(5));
+		assert.ok(climbUntilShift(maze));
+	});
+
+	assert.strictEqual(repairs.length, 1);
+	assert.ok(repairs[0].carvedBlocks.length > 0);
+	assert.ok(repaired.validate().isConnected);
+	assert.strictEqual(unrepaired.validate().isConnected, false);
+});
+
+test("an eller maze is repaired even with repair off, since it needs it", function () {
+	var maze = createMaze({ seed: "eller", generator: "eller", enemySpawnRate: 0, tileSpawnRates: {}, repair: false });
+	var repairs = 0;
+
+	maze.subscribe("repair", () => repairs++);
+	wallOffRow(maze.getRow(5));
+	assert.ok(climbUntilShift(maze));
+
+	assert.ok(repairs > 0);
+	assert.ok(maze.validate().isConnected);
+});
+
+test("getWalkingNeighbours() gives the Blocks maze.move() can reach, all the way down to the bottom row", function () {
+	var maze = createMaze({ seed: "neighbours" });
+	var rows = maze.getRows();
+	var bottomRow = rows.length - 1;
+
+	//The bottom two rows are left out of a Block's adjacentBlocks, but not out of its walking neighbours.
+	var block = rows[bottomRow - 1].blocks[5];
+	assert.deepStrictEqual(getWalkingNeighbours(block), [
+		rows[bottomRow - 2].blocks[5],
+		rows[bottomRow - 1].blocks[6],
+		rows[bottomRow].blocks[5],
+		rows[bottomRow - 1].blocks[4]
+	]);
+
+	//At the edges and the bottom, there's nothing on the far side.
+	assert.strictEqual(getWalkingNeighbours(rows[bottomRow].blocks[0]).length, 2);
+	assert.strictEqual(getWalkingNeighbours(rows[0].blocks[0]).length, 2);
+});
@@ -0,0 +1,116 @@
+/**
+The MIT License (MIT)
+
+Copyright (c) 2024 Matt Payne
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+THE SOFTWARE.
+*/
+
+//The fog of war (see maze_visibility.js): what the character can see from where it stands, and what it has seen before.
+
+var test = require("node:test");
+var assert = require("node:assert");
+var { createMaze, loadMaze } = require("../maze_engine.js");
+var { createVisibility, hasLineOfSight } = require("../maze_visibility.js");
+
+//A maze which is one straight corridor up column 5, with walls all around it.
+function makeCorridorMaze() {
+	return createMaze({
+		seed: "corridor",
+		itemSpawnRates: {},
+		tileSpawnRates: {},
+		enemySpawnRate: 0,
+		generator: function (tools) {
+			return {
+				makePaths: function () {
+					for (var i = 0; i < tools.maze.numberOfRows - 1; i++) {
+						tools.maze.getRow(i).blocks[5].isWall = false;
+					}
+					return tools.maze.getRow(tools.maze.numberOfRows - 10).blocks[5];
+				},
+				extendPaths: () => tools.maze.getRow(0).blocks[5].isWall = false
+			};
+		}
+	});
+}
+
+//The Block this many rows up and columns right of the character.
+function nearCharacter(maze, rowsUp, columnsRight) {
+	var location = maze.getCharacter().location;
+	return maze.getRow(location.rowIndex - rowsUp).blocks[location.blockIndex + columnsRight];
+}
+
+test("in line of sight, the character sees along its corridor and the walls beside it, but not through them", function () {
+	var maze = makeCorridorMaze();
+	var visibility = createVisibility(maze, { radius: 4 });
+	var location = maze.getCharacter().location;
+
+	assert.ok(visibility.isEnabled());
+	assert.ok(nearCharacter(maze, 4, 0).isVisible);
+	assert.ok(nearCharacter(maze, -4, 0).isVisible);
+	assert.ok(nearCharacter(maze, 0, 1).isVisible);
+	assert.strictEqual(nearCharacter(maze, 5, 0).isVisible, false, "outside the radius");
+	assert.strictEqual(nearCharacter(maze, 0, 2).isVisible, false, "behind a wall");
+	assert.strictEqual(hasLineOfSight(maze, location, nearCharacter(maze, 0, 1)), true);
+	assert.strictEqual(hasLineOfSight(maze, location, nearCharacter(maze, 2, 2)), false);
+});
+
+test("with a light radius, walls don't block the light, and with the fog off nothing is marked at all", function () {
+	var maze = makeCorridorMaze();
+	var visibility = createVisibility(maze, { mode: "radius", radius: 4 });
+
+	assert.ok(nearCharacter(maze, 0, 2).isVisible);
+	assert.ok(nearCharacter(maze, 2, 2).isVisible);
+	assert.strictEqual(nearCharacter(maze, 3, 3).isVisible, false, "outside the radius");
+
+	visibility.setOptions({ mode: "off" });
+	assert.strictEqual(visibility.isEnabled(), false);
+	assert.strictEqual(nearCharacter(maze, 0, 2).isVisible, false);
+	assert.throws(() => visibility.setOptions({ mode: "x-ray" }), /Unknown visibility mode: x-ray/);
+});
+
+test("what's been seen stays explored as the character moves on and the maze shifts", function () {
+	var maze = makeCorridorMaze();
+	var visibility = createVisibility(maze, { radius: 3 });
+	var start = maze.getCharacter().location;
+	var below = nearCharacter(maze, -3, 0);
+
+	for (var s = 0; s < 40; s++) {
+		assert.ok(maze.move("up"));
+	}
+	assert.strictEqual(start.isVisible, false);
+	assert.ok(start.isExplored);
+	assert.ok(below.isExplored);
+	assert.ok(nearCharacter(maze, 3, 0).isVisible);
+
+	visibility.stop();
+	assert.ok(maze.move("up"));
+	assert.strictEqual(nearCharacter(maze, 3, 0).isExplored, false, "it stopped looking");
+});
+
+test("what's been explored is saved with the game", function () {
+	var maze = createMaze({ seed: "explored" });
+	var explored = maze => maze.getRows().map(row => row.blocks.map(block => block.isExplored ? "+" : "-").join(""));
+
+	createVisibility(maze);
+	["up", "up", "left", "right", "up", "down", "up"].map(direction => maze.move(direction));
+	assert.ok(explored(maze).join("").includes("+"));
+
+	assert.deepStrictEqual(explored(loadMaze(maze.save())), explored(maze));
+});